@@ -3,8 +3,48 @@
  * Handles message passing and coordination between popup and content scripts
  */
 
-// Track active connections
+// lib/*.js attach their API to window.celigoUExtractor; a service worker's global object is self
+self.window = self;
+importScripts('lib/extractor.js', 'lib/assets.js', 'lib/scrape.js', 'lib/search.js', 'lib/diff.js', 'lib/library.js');
+
+// Track active connections (popup ports subscribed to job status, by id)
 const connections = new Map();
+let nextConnectionId = 1;
+
+const CRAWL_TIMEOUTS = {
+    pageLoad: 30000,     // lesson page load after navigating the tab
+    lessonFrame: 20000,  // SCORM frame running the extractor after the page loads
+    poll: 1000
+};
+
+// Crawl jobs are stored one per key (job:<id>), in queue order under jobs
+const JOB_PREFIX = 'job:';
+
+// Wakes the worker to continue the queue (MV3 workers stop after ~30s idle)
+const QUEUE_ALARM = 'crawl-queue';
+const QUEUE_ALARM_PERIOD = 1;  // minutes, while a job is running
+
+const RATE_LIMIT = {
+    pageInterval: 3000   // minimum time between page loads driven by a crawl
+};
+
+const RETRY = {
+    maxAttempts: 3,      // a lesson is marked failed after this many tries
+    baseDelay: 30000     // doubled after each failed try
+};
+
+// Crawl jobs in queue order, loaded from storage when the worker starts
+let jobs = [];
+
+// Whether a runQueue() loop is active in this worker
+let queueRunning = false;
+
+let lastPageLoadAt = 0;
+
+const jobsLoaded = loadJobs();
+
+// Library requests wait for scrapes from the old history to be moved over
+const libraryReady = migrateHistory().catch(error => console.error('History migration error:', error));
 
 /**
  * Handle installation
@@ -18,9 +58,11 @@ chrome.runtime.onInstalled.addListener((details) => {
             settings: {
                 autoExtract: false,
                 includeRawText: false,
-                maxTextLength: 10000
-            },
-            history: []
+                maxTextLength: 10000,
+                discoverAnswers: false,
+                captureAssets: false,
+                assetExport: 'bundle'
+            }
         });
     }
 });
@@ -40,14 +82,61 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             handleExecuteInAllFrames(message, sender, sendResponse);
             return true;
 
-        case 'saveToHistory':
-            handleSaveToHistory(message.data, sendResponse);
+        case 'saveToLibrary':
+            handleSaveToLibrary(message.data, sendResponse);
             return true;
 
-        case 'getHistory':
-            handleGetHistory(sendResponse);
+        case 'getLibrary':
+            handleGetLibrary(sendResponse);
             return true;
 
+        case 'getLibraryLesson':
+            handleGetLibraryLesson(message.key, message.version, sendResponse);
+            return true;
+
+        case 'deleteLibraryLesson':
+            handleDeleteLibraryLesson(message.key, sendResponse);
+            return true;
+
+        case 'pinLibraryLesson':
+            handlePinLibraryLesson(message.key, message.pinned, sendResponse);
+            return true;
+
+        case 'pruneLibrary':
+            handlePruneLibrary(sendResponse);
+            return true;
+
+        case 'searchLibrary':
+            handleSearchLibrary(message.query, sendResponse);
+            return true;
+
+        case 'scrapeCourse':
+            handleScrapeCourse(message, sendResponse);
+            return true;
+
+        case 'crawlPath':
+            handleCrawlPath(message, sendResponse);
+            return true;
+
+        case 'getJobs':
+            handleGetJobs(sendResponse);
+            return true;
+
+        case 'getJob':
+            handleGetJob(message.jobId, sendResponse);
+            return true;
+
+        case 'pauseJob':
+        case 'resumeJob':
+        case 'retryJob':
+        case 'removeJob':
+            handleJobAction(message, sendResponse);
+            return true;
+
+        case 'preloadProgress':
+            // Broadcast from frames to the popup - nothing to do here
+            return false;
+
         default:
             sendResponse({ success: false, error: 'Unknown action' });
     }
@@ -92,91 +181,917 @@ async function handleExecuteInAllFrames(message, sender, sendResponse) {
             return;
         }
 
-        // Execute extraction in all frames and aggregate results
-        const results = await chrome.scripting.executeScript({
-            target: { tabId: tab.id, allFrames: true },
-            func: () => {
-                // This runs in each frame
-                if (typeof window.celigoUScraper !== 'undefined') {
-                    return window.celigoUScraper.extract();
-                }
-                return null;
+        // Run the content scripts' extractor in every frame and aggregate (lib/scrape.js)
+        sendResponse(await celigoUExtractor.executeInAllFrames(tab.id));
+    } catch (error) {
+        console.error('Execute in frames error:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Move scrapes saved by earlier versions (chrome.storage.local history) into the library, oldest first
+ */
+async function migrateHistory() {
+    const storage = await chrome.storage.local.get(['history']);
+    const history = storage.history || [];
+
+    for (const entry of history.slice().reverse()) {
+        if (!entry.data) continue;
+        await celigoUExtractor.library.saveLesson(entry.data, { scrapedAt: entry.timestamp, pinned: entry.pinned });
+    }
+
+    await chrome.storage.local.remove('history');
+    if (history.length > 0) {
+        console.log(`Celigo U Scraper: Moved ${history.length} history entries to the library`);
+    }
+}
+
+/**
+ * Save a lesson scrape to the library (a new version of the lesson when its content changed)
+ */
+async function handleSaveToLibrary(data, sendResponse) {
+    try {
+        await libraryReady;
+        sendResponse({ success: true, data: await celigoUExtractor.library.saveLesson(data) });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Get the library: every lesson record (without scraped data) and its storage use
+ */
+async function handleGetLibrary(sendResponse) {
+    try {
+        await libraryReady;
+        sendResponse({
+            success: true,
+            data: {
+                lessons: await celigoUExtractor.library.listLessons(),
+                usage: await celigoUExtractor.library.estimateUsage()
             }
         });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
 
-        // Aggregate results from all frames
-        const aggregated = {
-            flipCards: [],
-            hotspots: [],
-            knowledgeChecks: [],
-            accordions: [],
-            tabs: [],
-            textBlocks: [],
-            lists: [],
-            images: [],
-            videos: []
-        };
+/**
+ * Get one library lesson with the data of a version (the latest by default)
+ */
+async function handleGetLibraryLesson(key, version, sendResponse) {
+    try {
+        await libraryReady;
+        const lesson = await celigoUExtractor.library.getLesson(key, version);
+        if (lesson) {
+            sendResponse({ success: true, data: lesson });
+        } else {
+            sendResponse({ success: false, error: 'Library lesson not found' });
+        }
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
 
-        results.forEach(result => {
-            if (result.result) {
-                Object.keys(aggregated).forEach(key => {
-                    if (Array.isArray(result.result[key])) {
-                        aggregated[key].push(...result.result[key]);
-                    }
-                });
-            }
+/**
+ * Delete a library lesson and all its versions, and the captured images nothing else uses
+ */
+async function handleDeleteLibraryLesson(key, sendResponse) {
+    try {
+        await libraryReady;
+        sendResponse({ success: true, data: await celigoUExtractor.library.deleteLesson(key) });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Pin or unpin a library lesson (pinned lessons keep all their versions on cleanup)
+ */
+async function handlePinLibraryLesson(key, pinned, sendResponse) {
+    try {
+        await libraryReady;
+        if (await celigoUExtractor.library.setPinned(key, pinned)) {
+            sendResponse({ success: true });
+        } else {
+            sendResponse({ success: false, error: 'Library lesson not found' });
+        }
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Delete old versions, keeping the latest of each unpinned lesson, and the captured images nothing else uses
+ */
+async function handlePruneLibrary(sendResponse) {
+    try {
+        await libraryReady;
+        const result = await celigoUExtractor.library.pruneVersions();
+        sendResponse({ success: true, data: { ...result, usage: await celigoUExtractor.library.estimateUsage() } });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Full-text search over the latest version of every library lesson
+ */
+async function handleSearchLibrary(query, sendResponse) {
+    try {
+        await libraryReady;
+        sendResponse({ success: true, data: await celigoUExtractor.library.search(query || '') });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Popup subscriptions to job status: the current job list on connect,
+ * then again after every change
+ */
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== 'job-status') return;
+
+    const id = nextConnectionId++;
+    connections.set(id, port);
+    port.onDisconnect.addListener(() => connections.delete(id));
+
+    jobsLoaded.then(() => port.postMessage({ action: 'jobStatus', jobs: jobs.map(jobSummary) }));
+});
+
+/**
+ * Wake-ups scheduled while jobs are running or waiting to retry
+ */
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name !== QUEUE_ALARM) return;
+    await jobsLoaded;
+    runQueue();
+});
+
+/**
+ * Crawl job for the given curriculum or path courses
+ * Courses hold their lessons once listed (lessons: null until the crawl opens the course page).
+ */
+function createJob(type, tab, fields) {
+    return {
+        id: Date.now(),
+        type,
+        status: 'queued',
+        tabId: tab.id,
+        startUrl: tab.url,
+        title: '',
+        path: null,
+        courses: [],
+        current: null,
+        error: '',
+        waitUntil: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        ...fields
+    };
+}
+
+/**
+ * Lesson state kept by a crawl, from a curriculum entry (lib/skilljar.js)
+ */
+function crawlLesson(entry) {
+    return {
+        index: entry.index,
+        id: entry.id,
+        title: entry.title,
+        type: entry.type,
+        section: entry.section,
+        url: entry.url,
+        locked: !!entry.locked,
+        status: 'pending',
+        attempts: 0,
+        retryAt: null
+    };
+}
+
+/**
+ * Tab a crawl drives: the one asked for, else the active tab
+ */
+async function crawlTab(tabId) {
+    if (tabId) {
+        return chrome.tabs.get(tabId);
+    }
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    return tab;
+}
+
+/**
+ * Queue a crawl of every lesson of the course open in a tab
+ */
+async function handleScrapeCourse(message, sendResponse) {
+    try {
+        const tab = await crawlTab(message.tabId);
+        if (!tab) {
+            sendResponse({ success: false, error: 'No active tab' });
+            return;
+        }
+
+        const metadata = await celigoUExtractor.readTabMetadata(tab.id);
+        const curriculum = metadata?.curriculum || [];
+        if (curriculum.length === 0) {
+            sendResponse({ success: false, error: 'No course curriculum found on this page' });
+            return;
+        }
+
+        const job = createJob('course', tab, {
+            title: metadata.course || '',
+            courses: [{
+                index: 1,
+                id: metadata.courseId || '',
+                title: metadata.course || '',
+                slug: metadata.courseSlug || '',
+                url: metadata.url || tab.url,
+                status: 'listed',
+                attempts: 0,
+                retryAt: null,
+                metadata,
+                lessons: curriculum.map(crawlLesson)
+            }]
         });
 
-        sendResponse({ success: true, data: aggregated });
+        await enqueueJob(job);
+        sendResponse({ success: true, data: jobSummary(job) });
     } catch (error) {
-        console.error('Execute in frames error:', error);
         sendResponse({ success: false, error: error.message });
     }
 }
 
 /**
- * Save extraction to history
+ * Queue a crawl of every course of the learning path page open in a tab
  */
-async function handleSaveToHistory(data, sendResponse) {
+async function handleCrawlPath(message, sendResponse) {
     try {
-        const storage = await chrome.storage.local.get(['history']);
-        const history = storage.history || [];
-        
-        // Add new entry
-        history.unshift({
-            id: Date.now(),
-            timestamp: new Date().toISOString(),
-            url: data.url,
-            course: data.course,
-            lesson: data.lesson,
-            itemCount: data.itemCount,
-            data: data.extractedData
+        const tab = await crawlTab(message.tabId);
+        if (!tab) {
+            sendResponse({ success: false, error: 'No active tab' });
+            return;
+        }
+
+        const path = await celigoUExtractor.readTabPath(tab.id);
+        if (!path || path.courses.length === 0) {
+            sendResponse({ success: false, error: 'No courses found on this page - open the learning path page' });
+            return;
+        }
+
+        const job = createJob('path', tab, {
+            title: path.path,
+            path: { url: path.url, path: path.path, pathSlug: path.pathSlug },
+            courses: path.courses.map(course => ({
+                ...course,
+                status: 'pending',
+                attempts: 0,
+                retryAt: null,
+                metadata: null,
+                lessons: null
+            }))
         });
 
-        // Keep only last 50 entries
-        if (history.length > 50) {
-            history.splice(50);
+        await enqueueJob(job);
+        sendResponse({ success: true, data: jobSummary(job) });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Every job's status (the same list job-status subscribers receive)
+ */
+async function handleGetJobs(sendResponse) {
+    try {
+        await jobsLoaded;
+        sendResponse({ success: true, data: jobs.map(jobSummary) });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * One job's status, with its document unless it is running
+ */
+async function handleGetJob(jobId, sendResponse) {
+    try {
+        await jobsLoaded;
+        const job = jobs.find(item => item.id === jobId);
+        if (!job) {
+            sendResponse({ success: false, error: 'Job not found' });
+            return;
         }
 
-        await chrome.storage.local.set({ history });
-        sendResponse({ success: true });
+        sendResponse({
+            success: true,
+            data: {
+                ...jobSummary(job),
+                document: job.status === 'running' ? null : buildCrawlDocument(job)
+            }
+        });
     } catch (error) {
         sendResponse({ success: false, error: error.message });
     }
 }
 
 /**
- * Get extraction history
+ * Change a job's place in the queue:
+ * - pauseJob: stop after the lesson being scraped
+ * - resumeJob: queue a paused job again (in the given tab when its own was closed)
+ * - retryJob: queue the failed lessons (and courses whose lessons couldn't be listed) of a finished or paused job
+ * - removeJob: drop a job that isn't running
  */
-async function handleGetHistory(sendResponse) {
+async function handleJobAction(message, sendResponse) {
     try {
-        const storage = await chrome.storage.local.get(['history']);
-        sendResponse({ success: true, data: storage.history || [] });
+        await jobsLoaded;
+        const job = jobs.find(item => item.id === message.jobId);
+        if (!job) {
+            sendResponse({ success: false, error: 'Job not found' });
+            return;
+        }
+
+        switch (message.action) {
+            case 'pauseJob':
+                if (job.status !== 'running' && job.status !== 'queued') {
+                    throw new Error('The job is not running');
+                }
+                job.status = 'paused';
+                break;
+
+            case 'resumeJob':
+                if (job.status !== 'paused') {
+                    throw new Error('The job is not paused');
+                }
+                await requeueJob(job, message.tabId);
+                break;
+
+            case 'retryJob':
+                if (job.status === 'running' || job.status === 'queued') {
+                    throw new Error('The job is still running');
+                }
+                if (resetFailures(job) === 0) {
+                    throw new Error('Nothing failed');
+                }
+                await requeueJob(job, message.tabId);
+                break;
+
+            case 'removeJob':
+                if (job.status === 'running') {
+                    throw new Error('Pause the job before removing it');
+                }
+                jobs = jobs.filter(item => item !== job);
+                await chrome.storage.local.remove(jobKey(job.id));
+                await saveJobIndex();
+                broadcastJobs();
+                sendResponse({ success: true, data: null });
+                return;
+        }
+
+        await reportJob(job);
+        runQueue();
+        sendResponse({ success: true, data: jobSummary(job) });
     } catch (error) {
         sendResponse({ success: false, error: error.message });
     }
 }
 
+/**
+ * Mark failed lessons and courses pending again with fresh attempts
+ * @returns {number} How many were reset
+ */
+function resetFailures(job) {
+    let reset = 0;
+    job.courses.forEach(course => {
+        if (course.status === 'failed') {
+            Object.assign(course, { status: 'pending', attempts: 0, retryAt: null });
+            delete course.error;
+            reset++;
+        }
+        (course.lessons || []).forEach(lesson => {
+            if (lesson.status !== 'failed') return;
+            Object.assign(lesson, { status: 'pending', attempts: 0, retryAt: null });
+            delete lesson.error;
+            reset++;
+        });
+    });
+    return reset;
+}
+
+/**
+ * Put a paused or finished job back in the queue, in its tab if that's still open
+ */
+async function requeueJob(job, tabId) {
+    let tab = null;
+    try {
+        tab = await crawlTab(job.tabId);
+    } catch (e) {
+        // The job's tab was closed (or the browser restarted) - use the popup's tab
+        tab = await crawlTab(tabId);
+    }
+    if (!tab) throw new Error('No tab to crawl in');
+
+    job.tabId = tab.id;
+    job.status = 'queued';
+    job.error = '';
+    job.finishedAt = null;
+}
+
+function jobKey(jobId) {
+    return `${JOB_PREFIX}${jobId}`;
+}
+
+/**
+ * Load the queue when the worker starts and continue any job that was running
+ * (the previous worker was stopped, or the browser closed, mid-crawl)
+ */
+async function loadJobs() {
+    try {
+        const storage = await chrome.storage.local.get(['jobs']);
+        const ids = storage.jobs || [];
+        const stored = await chrome.storage.local.get(ids.map(jobKey));
+        jobs = ids.map(id => stored[jobKey(id)]).filter(Boolean);
+    } catch (error) {
+        console.error('Job queue load error:', error);
+    }
+
+    if (jobs.some(job => job.status === 'running' || job.status === 'queued')) {
+        console.log('Celigo U Scraper: Resuming crawl queue');
+        runQueue();
+    }
+}
+
+async function saveJob(job) {
+    await chrome.storage.local.set({ [jobKey(job.id)]: job });
+}
+
+async function saveJobIndex() {
+    await chrome.storage.local.set({ jobs: jobs.map(job => job.id) });
+}
+
+async function enqueueJob(job) {
+    await jobsLoaded;
+    jobs.push(job);
+    await saveJob(job);
+    await saveJobIndex();
+    broadcastJobs();
+    runQueue();
+}
+
+/**
+ * Job to work on next: the running one, else the first queued, skipping jobs
+ * waiting out a retry delay
+ */
+function nextJob(now) {
+    const ready = jobs.filter(job => !job.waitUntil || job.waitUntil <= now);
+    return ready.find(job => job.status === 'running') || ready.find(job => job.status === 'queued');
+}
+
+/**
+ * Work through the queue one job at a time; when only retry waits are left,
+ * sleep until the earliest with an alarm
+ */
+async function runQueue() {
+    if (queueRunning) return;
+    queueRunning = true;
+
+    try {
+        // Keep the worker coming back while jobs are in progress
+        await chrome.alarms.create(QUEUE_ALARM, { periodInMinutes: QUEUE_ALARM_PERIOD });
+
+        let job = nextJob(Date.now());
+        while (job) {
+            await runJob(job);
+            job = nextJob(Date.now());
+        }
+
+        const waiting = jobs.filter(item => (item.status === 'running' || item.status === 'queued') && item.waitUntil);
+        if (waiting.length > 0) {
+            const when = Math.min(...waiting.map(item => item.waitUntil));
+            await chrome.alarms.create(QUEUE_ALARM, { when: Math.max(when, Date.now() + 1000) });
+        } else {
+            await chrome.alarms.clear(QUEUE_ALARM);
+        }
+    } catch (error) {
+        console.error('Job queue error:', error);
+    } finally {
+        queueRunning = false;
+    }
+}
+
+/**
+ * Open each pending lesson of a job and scrape it, listing a course's lessons
+ * first when the crawl reaches it; state is saved after every lesson
+ */
+async function runJob(job) {
+    try {
+        await chrome.tabs.get(job.tabId);
+    } catch (e) {
+        job.status = 'paused';
+        job.error = 'The crawl tab was closed - resume to continue in the current tab';
+        await reportJob(job);
+        return;
+    }
+
+    job.status = 'running';
+    job.waitUntil = null;
+    job.startedAt = job.startedAt || new Date().toISOString();
+
+    try {
+        const storage = await chrome.storage.local.get(['settings']);
+        const settings = storage.settings || {};
+
+        for (const course of job.courses) {
+            if (job.status !== 'running') break;
+            if (course.status === 'pending' && isDue(course)) {
+                job.current = { course: course.index, courseTitle: course.title, lesson: 0, lessonTitle: '' };
+                await reportJob(job);
+                await listCourseLessons(job.tabId, course);
+            }
+
+            for (const lesson of course.lessons || []) {
+                if (job.status !== 'running') break;
+                if (lesson.status !== 'pending' || !isDue(lesson)) continue;
+
+                job.current = { course: course.index, courseTitle: course.title, lesson: lesson.index, lessonTitle: lesson.title };
+                await reportJob(job);
+                const result = await scrapeCourseLesson(job.tabId, lesson, settings);
+                if (result.status === 'failed') {
+                    scheduleRetry(lesson, result.error);
+                } else {
+                    Object.assign(lesson, result, { retryAt: null });
+                    delete lesson.error;
+                    if (result.status === 'scraped') await saveCrawledLesson(result);
+                }
+                await reportJob(job);
+            }
+        }
+
+        if (job.status === 'running') {
+            const retryTimes = pendingItems(job).map(item => item.retryAt).filter(Boolean);
+            if (retryTimes.length > 0) {
+                // Everything left is waiting out a retry delay
+                job.waitUntil = Math.min(...retryTimes);
+            } else {
+                job.status = 'complete';
+                job.finishedAt = new Date().toISOString();
+
+                // Return the learner to the page they started on
+                try {
+                    await loadCrawlPage(job.tabId, job.startUrl);
+                } catch (e) {
+                    console.log('Crawl note:', e.message);
+                }
+            }
+        }
+
+        job.current = null;
+        await reportJob(job);
+        const counts = crawlCounts(job);
+        console.log(`Celigo U Scraper: Crawl ${job.status} - ${counts.scraped} scraped, ${counts.skipped} skipped, ${counts.failed} failed, ${counts.pending} pending`);
+    } catch (error) {
+        // Storage or tab errors outside a lesson - keep what was scraped and let the user resume
+        console.error('Crawl error:', error);
+        job.status = 'paused';
+        job.error = error.message;
+        await reportJob(job);
+    }
+}
+
+/**
+ * Keep a crawled lesson in the library too; a library error doesn't fail the lesson
+ */
+async function saveCrawledLesson(result) {
+    try {
+        await libraryReady;
+        await celigoUExtractor.library.saveLesson(result);
+    } catch (error) {
+        console.error('Library save error:', error);
+    }
+}
+
+/**
+ * Whether a pending lesson or course is past its retry delay
+ */
+function isDue(item) {
+    return !item.retryAt || item.retryAt <= Date.now();
+}
+
+/**
+ * Courses and lessons of a job still to do
+ */
+function pendingItems(job) {
+    return [
+        ...job.courses.filter(course => course.status === 'pending'),
+        ...job.courses.flatMap(course => (course.lessons || []).filter(lesson => lesson.status === 'pending'))
+    ];
+}
+
+/**
+ * Record a failed try: pending again after a backoff delay, or failed for good after RETRY.maxAttempts
+ */
+function scheduleRetry(item, error) {
+    item.attempts = (item.attempts || 0) + 1;
+    item.error = error;
+    if (item.attempts >= RETRY.maxAttempts) {
+        item.status = 'failed';
+        item.retryAt = null;
+        return;
+    }
+    item.status = 'pending';
+    item.retryAt = Date.now() + RETRY.baseDelay * Math.pow(2, item.attempts - 1);
+}
+
+/**
+ * Open a path course's page and read its curriculum into course.lessons
+ */
+async function listCourseLessons(tabId, course) {
+    try {
+        await loadCrawlPage(tabId, course.url);
+        const metadata = await celigoUExtractor.readTabMetadata(tabId);
+        const curriculum = metadata?.curriculum || [];
+        if (curriculum.length === 0) {
+            throw new Error('No course curriculum found');
+        }
+
+        course.metadata = metadata;
+        course.lessons = curriculum.map(crawlLesson);
+        course.status = 'listed';
+        course.retryAt = null;
+        delete course.error;
+    } catch (error) {
+        console.error(`Crawl error listing ${course.url}:`, error);
+        scheduleRetry(course, error.message);
+    }
+}
+
+/**
+ * Scrape one lesson of a crawl
+ * @returns {Promise<Object>} Lesson state: status ('scraped', 'skipped' or 'failed') and its content, reason or error
+ */
+async function scrapeCourseLesson(tabId, lesson, settings) {
+    if (celigoUExtractor.QUIZ_LESSON_TYPES.test(lesson.type || '')) {
+        return { status: 'skipped', reason: 'quiz' };
+    }
+    if (lesson.locked) {
+        return { status: 'skipped', reason: 'locked' };
+    }
+
+    try {
+        await loadCrawlPage(tabId, lesson.url);
+
+        // Skilljar sends learners back to the course page from lessons behind an unpassed quiz
+        const tab = await chrome.tabs.get(tabId);
+        if (lesson.id && !new URL(tab.url).pathname.split('/').includes(lesson.id)) {
+            return { status: 'skipped', reason: 'locked' };
+        }
+
+        const frameLoaded = await waitForLessonFrame(tabId);
+        const data = await celigoUExtractor.scrapeTab(tabId, { settings });
+        if (!frameLoaded && data.statistics.totalItems === 0) {
+            return { status: 'failed', error: 'Lesson content did not load' };
+        }
+
+        return {
+            status: 'scraped',
+            metadata: data.metadata,
+            content: data.content,
+            assets: data.assets,
+            statistics: data.statistics
+        };
+    } catch (error) {
+        console.error(`Crawl error in ${lesson.url}:`, error);
+        return { status: 'failed', error: error.message };
+    }
+}
+
+/**
+ * Add up statistics objects (per-type item counts)
+ */
+function sumStatistics(list) {
+    const statistics = {};
+    list.forEach(item => {
+        Object.entries(item || {}).forEach(([key, value]) => {
+            statistics[key] = (statistics[key] || 0) + value;
+        });
+    });
+    return statistics;
+}
+
+/**
+ * Course document: course metadata, one section per lesson, failures and totals
+ */
+function buildCourseDocument(course) {
+    const metadata = course.metadata || {};
+    const lessons = (course.lessons || []).map(({ locked, attempts, retryAt, ...lesson }) => lesson);
+    const statistics = sumStatistics(lessons.map(lesson => lesson.statistics));
+
+    return {
+        type: 'course',
+        metadata: {
+            scrapedAt: new Date().toISOString(),
+            url: course.url || metadata.url || '',
+            course: metadata.course || course.title || '',
+            courseId: metadata.courseId || course.id || '',
+            courseSlug: metadata.courseSlug || course.slug || '',
+            description: metadata.description || '',
+            path: metadata.path || '',
+            pathSlug: metadata.pathSlug || '',
+            lessonCount: lessons.length
+        },
+        lessons,
+        failures: lessons
+            .filter(lesson => lesson.status === 'failed')
+            .map(lesson => ({ index: lesson.index, title: lesson.title, url: lesson.url, error: lesson.error })),
+        assets: Object.assign({}, ...lessons.map(lesson => lesson.assets)),
+        statistics: {
+            ...statistics,
+            totalItems: statistics.totalItems || 0,
+            lessons: lessons.length,
+            scraped: lessons.filter(lesson => lesson.status === 'scraped').length,
+            skipped: lessons.filter(lesson => lesson.status === 'skipped').length,
+            failed: lessons.filter(lesson => lesson.status === 'failed').length,
+            pending: lessons.filter(lesson => lesson.status === 'pending').length
+        }
+    };
+}
+
+/**
+ * Document for a crawl: the course document, or for a learning path
+ * path metadata with one course document per course
+ */
+function buildCrawlDocument(job) {
+    if (job.type === 'course') {
+        return buildCourseDocument(job.courses[0]);
+    }
+
+    const courses = job.courses.map(course => {
+        const courseDocument = { index: course.index, status: course.status, ...buildCourseDocument(course) };
+        if (course.error) courseDocument.error = course.error;
+        return courseDocument;
+    });
+
+    return {
+        type: 'path',
+        metadata: {
+            scrapedAt: new Date().toISOString(),
+            url: job.path.url,
+            path: job.path.path,
+            pathSlug: job.path.pathSlug,
+            courseCount: courses.length
+        },
+        courses,
+        failures: [
+            ...courses
+                .filter(course => course.status === 'failed')
+                .map(course => ({ course: course.metadata.course, url: course.metadata.url, error: course.error })),
+            ...courses.flatMap(course => course.failures.map(failure => ({ course: course.metadata.course, ...failure })))
+        ],
+        assets: Object.assign({}, ...courses.map(course => course.assets)),
+        statistics: {
+            ...sumStatistics(courses.map(course => course.statistics)),
+            courses: courses.length
+        }
+    };
+}
+
+/**
+ * Lesson counts by state across the crawl's courses
+ */
+function crawlCounts(job) {
+    const lessons = job.courses.flatMap(course => course.lessons || []);
+    const count = (status) => lessons.filter(lesson => lesson.status === status).length;
+    return {
+        courses: job.courses.length,
+        failedCourses: job.courses.filter(course => course.status === 'failed').length,
+        lessons: lessons.length,
+        pending: count('pending'),
+        retrying: lessons.filter(lesson => lesson.status === 'pending' && lesson.retryAt).length,
+        scraped: count('scraped'),
+        skipped: count('skipped'),
+        failed: count('failed')
+    };
+}
+
+/**
+ * Job status for the popup (without lesson content)
+ */
+function jobSummary(job) {
+    const course = job.current && job.courses[job.current.course - 1];
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        title: job.title,
+        error: job.error,
+        waitUntil: job.waitUntil,
+        current: job.current && {
+            ...job.current,
+            lessonCount: course?.lessons?.length || 0
+        },
+        counts: crawlCounts(job),
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+    };
+}
+
+/**
+ * Send the job list to every subscribed popup
+ */
+function broadcastJobs() {
+    const summaries = jobs.map(jobSummary);
+    connections.forEach(port => {
+        try {
+            port.postMessage({ action: 'jobStatus', jobs: summaries });
+        } catch (e) {
+            // Port closed between disconnect and cleanup
+        }
+    });
+}
+
+/**
+ * Persist a job and tell subscribers
+ */
+async function reportJob(job) {
+    await saveJob(job);
+    broadcastJobs();
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Navigate the crawl tab, spacing page loads RATE_LIMIT.pageInterval apart
+ */
+async function loadCrawlPage(tabId, url) {
+    const wait = lastPageLoadAt + RATE_LIMIT.pageInterval - Date.now();
+    if (wait > 0) await delay(wait);
+    lastPageLoadAt = Date.now();
+    await navigateTab(tabId, url);
+}
+
+/**
+ * Load a URL in the tab and wait for the page to finish loading
+ */
+function navigateTab(tabId, url) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            chrome.tabs.onUpdated.removeListener(onUpdated);
+            reject(new Error(`Timed out loading ${url}`));
+        }, CRAWL_TIMEOUTS.pageLoad);
+
+        function onUpdated(updatedTabId, changeInfo) {
+            if (updatedTabId !== tabId || changeInfo.status !== 'complete') return;
+            clearTimeout(timer);
+            chrome.tabs.onUpdated.removeListener(onUpdated);
+            resolve();
+        }
+
+        chrome.tabs.onUpdated.addListener(onUpdated);
+        chrome.tabs.update(tabId, { url }).catch(error => {
+            clearTimeout(timer);
+            chrome.tabs.onUpdated.removeListener(onUpdated);
+            reject(error);
+        });
+    });
+}
+
+/**
+ * Wait for a SCORM frame running the extractor on Rise or Storyline content
+ * @returns {Promise<boolean>} false when the lesson has no frame (video, text lessons) or it didn't load in time
+ */
+async function waitForLessonFrame(tabId) {
+    const deadline = Date.now() + CRAWL_TIMEOUTS.lessonFrame;
+
+    while (Date.now() < deadline) {
+        let frames = [];
+        try {
+            const results = await chrome.scripting.executeScript({
+                target: { tabId, allFrames: true },
+                func: () => ({
+                    hasFrames: document.querySelector('iframe') !== null,
+                    ready: window !== window.top && !!window.celigoUExtractor &&
+                           window.celigoUExtractor.detectContentType(document).isArticulate
+                })
+            });
+            frames = results.map(result => result.result).filter(Boolean);
+        } catch (e) {
+            // Frames still attaching - try again
+            console.log('Lesson frame note:', e.message);
+        }
+
+        if (frames.some(frame => frame.ready)) return true;
+        if (frames.length > 0 && frames.every(frame => !frame.hasFrames)) return false;
+        await delay(CRAWL_TIMEOUTS.poll);
+    }
+
+    return false;
+}
+
 /**
  * Handle tab updates - inject scripts if needed
  */
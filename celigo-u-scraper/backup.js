@@ -0,0 +1,186 @@
+/**
+ * Celigo U Scraper - Library Backup
+ * Exports the whole library - every lesson, all its versions and the images
+ * captured for offline use - to one archive file through chrome.downloads,
+ * and merges such an archive into this profile's library, so a scraped
+ * learning path can be shared. Opened from the popup's Library tab (file
+ * dialogs close the popup, so this runs in its own tab). Flashcard edits and
+ * study progress aren't stored by the extension, so they aren't archived.
+ */
+
+// Archive format; bump the version when its shape changes
+const ARCHIVE_FORMAT = 'celigo-u-library';
+const ARCHIVE_VERSION = 1;
+
+class CeligoUBackup {
+    constructor() {
+        this.downloads = new Map();
+        this.initElements();
+        this.initEventListeners();
+        this.loadSummary();
+    }
+
+    initElements() {
+        this.elements = {
+            summary: document.getElementById('summary'),
+            messageArea: document.getElementById('message-area'),
+            exportBtn: document.getElementById('export-btn'),
+            importFile: document.getElementById('import-file'),
+            importBtn: document.getElementById('import-btn')
+        };
+    }
+
+    initEventListeners() {
+        this.elements.exportBtn.addEventListener('click', () => this.exportLibrary());
+        this.elements.importFile.addEventListener('change', () => {
+            this.elements.importBtn.disabled = this.elements.importFile.files.length === 0;
+        });
+        this.elements.importBtn.addEventListener('click', () => this.importLibrary());
+
+        // The archive's object URL is needed until the download has read it
+        chrome.downloads.onChanged.addListener((delta) => {
+            const url = this.downloads.get(delta.id);
+            if (url && delta.state && delta.state.current !== 'in_progress') {
+                URL.revokeObjectURL(url);
+                this.downloads.delete(delta.id);
+            }
+        });
+    }
+
+    // Plain text: messages can carry error text read from the archive
+    showMessage(text, type = 'info') {
+        const message = document.createElement('div');
+        message.className = `message ${type}`;
+        message.textContent = text;
+        this.elements.messageArea.replaceChildren(message);
+    }
+
+    clearMessage() {
+        this.elements.messageArea.replaceChildren();
+    }
+
+    async loadSummary() {
+        try {
+            const usage = await celigoUExtractor.library.estimateUsage();
+            this.elements.summary.textContent = `This library: ${usage.lessons} lessons, ${usage.versions} versions`;
+            this.elements.exportBtn.disabled = usage.lessons === 0;
+        } catch (error) {
+            console.error('Backup summary error:', error);
+            this.showMessage('Could not read the library.', 'error');
+        }
+    }
+
+    /**
+     * Captured image files (lib/assets.js) referenced by any stored version, keyed by assetId
+     */
+    async readAssets(versions) {
+        const assetIds = [...new Set(versions.flatMap(version => Object.values(version.data?.assets || {})))];
+        if (assetIds.length === 0) return {};
+
+        const stored = await chrome.storage.local.get(assetIds.map(celigoUExtractor.assetKey));
+        const assets = {};
+        assetIds.forEach(assetId => {
+            const file = stored[celigoUExtractor.assetKey(assetId)];
+            if (file) assets[assetId] = file;
+        });
+        return assets;
+    }
+
+    /**
+     * Download the library as celigo-u-library-<date>.json
+     */
+    async exportLibrary() {
+        this.clearMessage();
+        this.elements.exportBtn.disabled = true;
+
+        try {
+            const { lessons, versions } = await celigoUExtractor.library.exportLibrary();
+            const archive = {
+                format: ARCHIVE_FORMAT,
+                formatVersion: ARCHIVE_VERSION,
+                exportedAt: new Date().toISOString(),
+                extensionVersion: chrome.runtime.getManifest().version,
+                lessons,
+                versions,
+                assets: await this.readAssets(versions)
+            };
+
+            const url = URL.createObjectURL(new Blob([JSON.stringify(archive)], { type: 'application/json' }));
+            const downloadId = await chrome.downloads.download({
+                url,
+                filename: `celigo-u-library-${archive.exportedAt.slice(0, 10)}.json`,
+                saveAs: true
+            });
+            this.downloads.set(downloadId, url);
+
+            const images = Object.keys(archive.assets).length;
+            this.showMessage(`Exported ${lessons.length} lessons, ${versions.length} versions and ${images} images.`, 'success');
+        } catch (error) {
+            console.error('Library export error:', error);
+            this.showMessage(`Export failed: ${error.message}`, 'error');
+        } finally {
+            this.elements.exportBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Merge the chosen archive into the library, then add the images this profile doesn't have
+     */
+    async importLibrary() {
+        const file = this.elements.importFile.files[0];
+        if (!file) return;
+
+        this.clearMessage();
+        this.elements.importBtn.disabled = true;
+
+        try {
+            let archive;
+            try {
+                archive = JSON.parse(await file.text());
+            } catch (e) {
+                this.showMessage('That file is not a library archive (it is not JSON).', 'error');
+                return;
+            }
+            if (archive?.format !== ARCHIVE_FORMAT) {
+                this.showMessage('That file is not a library archive. Export one with "Export Library".', 'error');
+                return;
+            }
+            if (archive.formatVersion > ARCHIVE_VERSION) {
+                this.showMessage('That archive comes from a newer version of the extension. Update it and try again.', 'error');
+                return;
+            }
+
+            const report = await celigoUExtractor.library.importLibrary(archive);
+
+            // Only image files as lib/assets.js stores them; same bytes, same key - only write files that aren't stored yet
+            const entries = archive.assets && typeof archive.assets === 'object' ? Object.entries(archive.assets) : [];
+            const assets = entries.filter(([assetId, asset]) => celigoUExtractor.isAssetRecord(asset, assetId));
+            const keys = assets.map(([assetId]) => celigoUExtractor.assetKey(assetId));
+            const stored = keys.length > 0 ? await chrome.storage.local.get(keys) : {};
+            const fresh = Object.fromEntries(assets
+                .filter(([assetId]) => !stored[celigoUExtractor.assetKey(assetId)])
+                .map(([assetId, asset]) => [celigoUExtractor.assetKey(assetId), asset]));
+            await chrome.storage.local.set(fresh);
+
+            const invalid = entries.length - assets.length;
+            this.showMessage(
+                `Imported ${report.lessonsAdded} new lessons and updated ${report.lessonsUpdated}: ` +
+                `${report.versionsAdded} versions added, ${report.versionsSkipped} already in the library, ` +
+                `${Object.keys(fresh).length} images added` +
+                `${invalid > 0 ? `, ${invalid} entries skipped as they are not image files` : ''}.`,
+                'success'
+            );
+            await this.loadSummary();
+        } catch (error) {
+            console.error('Library import error:', error);
+            this.showMessage(`Import failed: ${error.message}`, 'error');
+        } finally {
+            this.elements.importBtn.disabled = this.elements.importFile.files.length === 0;
+        }
+    }
+}
+
+// Initialize when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+    new CeligoUBackup();
+});
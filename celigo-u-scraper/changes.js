@@ -0,0 +1,231 @@
+/**
+ * Celigo U Scraper - Lesson Changes
+ * Side-by-side comparison of two stored versions of a lesson (lib/diff.js):
+ * the items added, removed and modified per content type, with the changed
+ * words of each field and table cell highlighted. Opened from the popup's
+ * Library tab as changes.html?key=<lesson key>[&from=<version>&to=<version>];
+ * by default the latest version is compared with the one scraped before it.
+ */
+
+class CeligoUChanges {
+    constructor() {
+        this.lesson = null;
+        this.initElements();
+        this.initEventListeners();
+        this.load();
+    }
+
+    initElements() {
+        this.elements = {
+            lessonLink: document.getElementById('lesson-link'),
+            fromSelect: document.getElementById('from-select'),
+            toSelect: document.getElementById('to-select'),
+            messageArea: document.getElementById('message-area'),
+            summary: document.getElementById('summary'),
+            diffList: document.getElementById('diff-list')
+        };
+    }
+
+    initEventListeners() {
+        this.elements.fromSelect.addEventListener('change', () => this.compare());
+        this.elements.toSelect.addEventListener('change', () => this.compare());
+    }
+
+    showMessage(text, type = 'info') {
+        this.elements.messageArea.innerHTML = `<div class="message ${type}">${text}</div>`;
+    }
+
+    clearMessage() {
+        this.elements.messageArea.innerHTML = '';
+    }
+
+    /**
+     * The lesson named in the URL and its stored versions, then the requested comparison
+     */
+    async load() {
+        try {
+            const params = new URLSearchParams(location.search);
+            this.lesson = await celigoUExtractor.library.getLesson(params.get('key'));
+            if (!this.lesson) {
+                this.showMessage('That lesson is not in the library.', 'error');
+                return;
+            }
+
+            this.elements.lessonLink.textContent = this.lesson.lesson || this.lesson.url || 'Untitled';
+            if (this.lesson.url) this.elements.lessonLink.href = this.lesson.url;
+            document.title = `${this.elements.lessonLink.textContent} - Lesson Changes`;
+
+            const versions = this.lesson.versions;
+            if (versions.length < 2) {
+                this.showMessage('Only one version of this lesson is stored. Scrape it again after the course is updated to compare.', 'info');
+                return;
+            }
+
+            [this.elements.fromSelect, this.elements.toSelect].forEach(select => {
+                select.replaceChildren(...versions.map(version => {
+                    const option = document.createElement('option');
+                    option.value = version.version;
+                    option.textContent = `Version ${version.version} · ${new Date(version.scrapedAt).toLocaleString()}`;
+                    return option;
+                }));
+            });
+
+            // Versions are newest scrape first; "from" defaults to the one scraped before "to"
+            const stored = (value) => versions.some(version => version.version === value);
+            const to = stored(Number(params.get('to'))) ? Number(params.get('to')) : versions[0].version;
+            const before = versions[versions.findIndex(version => version.version === to) + 1] || versions[versions.length - 1];
+            const from = stored(Number(params.get('from'))) ? Number(params.get('from')) : before.version;
+            this.elements.fromSelect.value = from;
+            this.elements.toSelect.value = to;
+            await this.compare();
+        } catch (error) {
+            console.error('Changes load error:', error);
+            this.showMessage('Could not read the library.', 'error');
+        }
+    }
+
+    /**
+     * Diff the selected versions and render the result
+     */
+    async compare() {
+        this.clearMessage();
+        const from = Number(this.elements.fromSelect.value);
+        const to = Number(this.elements.toSelect.value);
+        history.replaceState(null, '', `?key=${encodeURIComponent(this.lesson.key)}&from=${from}&to=${to}`);
+
+        try {
+            const [before, after] = await Promise.all([
+                celigoUExtractor.library.getLesson(this.lesson.key, from),
+                celigoUExtractor.library.getLesson(this.lesson.key, to)
+            ]);
+            if (!before || !after) {
+                this.showMessage('That version is no longer stored.', 'error');
+                return;
+            }
+
+            const diff = celigoUExtractor.diffLessons(before.data.content, after.data.content);
+            this.renderSummary(diff, before, after);
+            this.renderDiff(diff);
+        } catch (error) {
+            console.error('Changes compare error:', error);
+            this.showMessage('Could not compare the versions.', 'error');
+        }
+    }
+
+    renderSummary(diff, before, after) {
+        const { added, removed, modified, unchanged, cells } = diff.summary;
+        const title = document.createElement('strong');
+        title.textContent = `Version ${before.openedVersion} → ${after.openedVersion}`;
+
+        const counts = diff.changed
+            ? `: ${added} added, ${removed} removed, ${modified} modified${cells > 0 ? ` (${cells} table cells)` : ''}, ${unchanged} unchanged`
+            : ': no changes to the lesson content';
+        this.elements.summary.replaceChildren(title, counts);
+    }
+
+    /**
+     * One section per content type, modified items first, then removed and added
+     */
+    renderDiff(diff) {
+        const nodes = [];
+        diff.types.forEach(result => {
+            const section = document.createElement('div');
+            section.className = 'section';
+            const counts = [
+                result.modified.length > 0 ? `${result.modified.length} modified` : '',
+                result.removed.length > 0 ? `${result.removed.length} removed` : '',
+                result.added.length > 0 ? `${result.added.length} added` : ''
+            ].filter(part => part);
+            section.textContent = `${celigoUExtractor.CONTENT_TYPE_LABELS[result.type] || result.type} · ${counts.join(', ')}`;
+            nodes.push(section);
+
+            result.modified.forEach(change => nodes.push(this.createModifiedItem(change)));
+            result.removed.forEach(item => nodes.push(this.createWholeItem(item, 'removed')));
+            result.added.forEach(item => nodes.push(this.createWholeItem(item, 'added')));
+        });
+        this.elements.diffList.replaceChildren(...nodes);
+    }
+
+    createChange(status, label, badgeText) {
+        const item = document.createElement('div');
+        item.className = `change ${status}`;
+
+        const header = document.createElement('div');
+        header.className = 'change-title';
+        const title = document.createElement('span');
+        title.textContent = label || 'Untitled';
+        const badge = document.createElement('span');
+        badge.className = 'badge';
+        badge.textContent = badgeText;
+        header.append(title, badge);
+        item.append(header);
+        return item;
+    }
+
+    /**
+     * Field name over a before | after pair; the changed words are marked when both sides have text
+     */
+    createSides(fieldName, before, after) {
+        const field = document.createElement('div');
+        field.className = 'field';
+        field.textContent = fieldName;
+
+        const left = document.createElement('div');
+        const right = document.createElement('div');
+        left.className = `side${before ? '' : ' empty'}`;
+        right.className = `side${after ? '' : ' empty'}`;
+
+        if (before && after) {
+            celigoUExtractor.diffWords(before, after).forEach(part => {
+                if (part.op !== 'added') left.append(this.createPart(part, 'del'));
+                if (part.op !== 'removed') right.append(this.createPart(part, 'ins'));
+            });
+        } else {
+            left.textContent = before;
+            right.textContent = after;
+        }
+
+        const sides = document.createElement('div');
+        sides.className = 'sides';
+        sides.append(left, right);
+        return [field, sides];
+    }
+
+    createPart(part, tagName) {
+        if (part.op === 'same') return document.createTextNode(part.text);
+        const mark = document.createElement(tagName);
+        mark.textContent = part.text;
+        return mark;
+    }
+
+    createModifiedItem(change) {
+        const cells = change.cells || [];
+        const rows = (change.rowsAdded?.length || 0) + (change.rowsRemoved?.length || 0);
+        const badgeText = cells.length + rows > 0
+            ? `Modified · ${[cells.length > 0 ? `${cells.length} cells` : '', rows > 0 ? `${rows} rows` : ''].filter(part => part).join(', ')}`
+            : 'Modified';
+        const item = this.createChange('modified', change.label, badgeText);
+
+        change.changes.forEach(fieldChange => item.append(...this.createSides(fieldChange.field, fieldChange.before, fieldChange.after)));
+        cells.forEach(cell => item.append(...this.createSides(`${cell.row} › ${cell.column}`, cell.before, cell.after)));
+        (change.rowsRemoved || []).forEach(row => item.append(...this.createSides('Row removed', row.join(' | '), '')));
+        (change.rowsAdded || []).forEach(row => item.append(...this.createSides('Row added', '', row.join(' | '))));
+        return item;
+    }
+
+    /**
+     * An added item (right side only) or a removed one (left side only), field by field
+     */
+    createWholeItem(entry, status) {
+        const item = this.createChange(status, entry.label, status === 'added' ? 'Added' : 'Removed');
+        entry.fields.forEach(({ field, text }) => {
+            item.append(...this.createSides(field, status === 'removed' ? text : '', status === 'added' ? text : ''));
+        });
+        return item;
+    }
+}
+
+// Initialize when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+    new CeligoUChanges();
+});
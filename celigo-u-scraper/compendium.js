@@ -0,0 +1,338 @@
+/**
+ * Celigo U Scraper - Course Compendium
+ * One course as a whole: every lesson saved in the library, in the order of
+ * the course's Skilljar curriculum, with the lessons not saved yet, and the
+ * whole course exported in one click as a course document (the shape a
+ * course crawl produces) in any export format (lib/format.js). Opened from
+ * the popup's Library tab as compendium.html?course=<course key>.
+ */
+
+class CeligoUCompendium {
+    constructor() {
+        this.courses = [];
+        this.compendium = null;
+        this.settings = {};
+        this.initElements();
+        this.initEventListeners();
+        this.load();
+    }
+
+    initElements() {
+        this.elements = {
+            courseSelect: document.getElementById('course-select'),
+            assetExport: document.getElementById('asset-export'),
+            exportFormat: document.getElementById('export-format'),
+            exportBtn: document.getElementById('export-btn'),
+            messageArea: document.getElementById('message-area'),
+            summary: document.getElementById('summary'),
+            lessonList: document.getElementById('lesson-list')
+        };
+    }
+
+    initEventListeners() {
+        this.elements.courseSelect.addEventListener('change', (e) => this.showCourse(e.target.value));
+        this.elements.assetExport.addEventListener('change', (e) => this.saveSettings({ assetExport: e.target.value }));
+        this.elements.exportFormat.addEventListener('change', (e) => this.saveSettings({ exportFormat: e.target.value }));
+        this.elements.exportBtn.addEventListener('click', () => this.exportCourse());
+    }
+
+    async loadSettings() {
+        const storage = await chrome.storage.local.get(['settings']);
+        this.settings = storage.settings || {};
+        this.elements.assetExport.value = this.settings.assetExport || 'bundle';
+        this.elements.exportFormat.value = this.settings.exportFormat in celigoUExtractor.EXPORT_FORMATS ? this.settings.exportFormat : 'json';
+    }
+
+    async saveSettings(changes) {
+        this.settings = { ...this.settings, ...changes };
+        await chrome.storage.local.set({ settings: this.settings });
+    }
+
+    showMessage(text, type = 'info') {
+        this.elements.messageArea.innerHTML = `<div class="message ${type}">${text}</div>`;
+    }
+
+    clearMessage() {
+        this.elements.messageArea.innerHTML = '';
+    }
+
+    /**
+     * Courses in the library, then the one named in the URL (or the first)
+     */
+    async load() {
+        try {
+            await this.loadSettings();
+
+            const courses = new Map();
+            (await celigoUExtractor.library.listLessons()).forEach(lesson => {
+                const course = courses.get(lesson.courseKey) || { key: lesson.courseKey, title: '', lessons: 0 };
+                course.title = course.title || lesson.course;
+                course.lessons++;
+                courses.set(lesson.courseKey, course);
+            });
+            this.courses = Array.from(courses.values()).sort((a, b) => (a.title || a.key).localeCompare(b.title || b.key));
+
+            if (this.courses.length === 0) {
+                this.showMessage('The library is empty. Scrape some lessons first.', 'info');
+                return;
+            }
+
+            this.elements.courseSelect.replaceChildren(...this.courses.map(course => {
+                const option = document.createElement('option');
+                option.value = course.key;
+                option.textContent = `${course.title || course.key} (${course.lessons})`;
+                return option;
+            }));
+
+            const requested = new URLSearchParams(location.search).get('course');
+            const selected = this.courses.some(course => course.key === requested) ? requested : this.courses[0].key;
+            this.elements.courseSelect.value = selected;
+            await this.showCourse(selected);
+        } catch (error) {
+            console.error('Compendium load error:', error);
+            this.showMessage('Could not read the library.', 'error');
+        }
+    }
+
+    /**
+     * Assemble and render one course
+     */
+    async showCourse(courseKey) {
+        this.clearMessage();
+        this.elements.exportBtn.disabled = true;
+        history.replaceState(null, '', `?course=${encodeURIComponent(courseKey)}`);
+
+        try {
+            this.compendium = this.assemble(await celigoUExtractor.library.getCourse(courseKey));
+            this.renderCourse(this.compendium);
+            this.elements.exportBtn.disabled = !this.compendium.lessons.some(lesson => lesson.record);
+        } catch (error) {
+            console.error('Compendium course error:', error);
+            this.showMessage('Could not read the course from the library.', 'error');
+        }
+    }
+
+    /**
+     * Stored lessons in curriculum order
+     * The curriculum comes from the most recently scraped lesson that has one;
+     * curriculum entries with no stored lesson are 'missing', and stored lessons
+     * the curriculum doesn't list (renamed, removed, or scraped without Skilljar
+     * metadata) follow at the end by lesson position.
+     * @param {Array} records - Library lessons with data (celigoUExtractor.library.getCourse())
+     * @returns {Object} { metadata, lessons: [{ index, id, title, type, section, url, status, inCurriculum, record }] }
+     */
+    assemble(records) {
+        const newest = records.slice().sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+        const source = newest.find(record => record.data?.metadata?.curriculum?.length > 0);
+        const metadata = (source || newest[0])?.data?.metadata || {};
+        const curriculum = source ? source.data.metadata.curriculum : [];
+
+        const unmatched = new Set(records);
+        const lessons = curriculum.map(entry => {
+            const record = Array.from(unmatched).find(item =>
+                (entry.id && item.lessonId === entry.id) || (entry.url && item.url === entry.url));
+            unmatched.delete(record);
+            return {
+                index: entry.index,
+                id: entry.id,
+                title: entry.title,
+                type: entry.type || '',
+                section: entry.section || '',
+                url: entry.url,
+                locked: !!entry.locked,
+                status: record ? 'scraped' : 'missing',
+                inCurriculum: true,
+                record
+            };
+        });
+
+        const position = (record) => record.lessonIndex ?? Number.MAX_SAFE_INTEGER;
+        Array.from(unmatched).sort((a, b) => position(a) - position(b)).forEach(record => {
+            lessons.push({
+                index: lessons.length + 1,
+                id: record.lessonId,
+                title: record.lesson,
+                type: record.data?.metadata?.lessonType || '',
+                section: '',
+                url: record.url,
+                locked: false,
+                status: 'scraped',
+                inCurriculum: false,
+                record
+            });
+        });
+
+        return { metadata, lessons };
+    }
+
+    renderCourse(compendium) {
+        const lessons = compendium.lessons;
+        const saved = lessons.filter(lesson => lesson.record).length;
+        const missing = lessons.length - saved;
+
+        const title = document.createElement('strong');
+        title.textContent = compendium.metadata.course || this.elements.courseSelect.value;
+        const counts = `: ${saved} of ${lessons.length} lessons saved${missing > 0 ? `, ${missing} missing` : ''}`;
+        this.elements.summary.replaceChildren(title, counts);
+
+        const items = [];
+        let section = null;
+        lessons.forEach(lesson => {
+            const heading = lesson.inCurriculum ? lesson.section : 'Not in the curriculum';
+            if (heading && heading !== section) {
+                const sectionItem = document.createElement('li');
+                sectionItem.className = 'section';
+                sectionItem.textContent = heading;
+                items.push(sectionItem);
+            }
+            section = heading;
+            items.push(this.createLessonItem(lesson));
+        });
+        this.elements.lessonList.replaceChildren(...items);
+    }
+
+    /**
+     * Lesson row: linked title and status badge, detail line, and for saved
+     * lessons the stored JSON (rendered when first expanded)
+     */
+    createLessonItem(lesson) {
+        const item = document.createElement('li');
+        item.className = `lesson ${lesson.status}`;
+
+        const header = document.createElement('div');
+        header.className = 'lesson-title';
+        const link = document.createElement(lesson.url ? 'a' : 'span');
+        link.textContent = `${lesson.index}. ${lesson.title || 'Untitled'}`;
+        if (lesson.url) {
+            link.href = lesson.url;
+            link.target = '_blank';
+        }
+        const badge = document.createElement('span');
+        badge.className = 'badge';
+        badge.textContent = lesson.record ? `Saved · v${lesson.record.version}` : 'Missing';
+        header.append(link, badge);
+
+        const detail = document.createElement('div');
+        detail.className = 'lesson-detail';
+        const parts = [];
+        if (lesson.type) parts.push(lesson.type);
+        if (lesson.record) {
+            parts.push(`${lesson.record.itemCount || 0} items`, `scraped ${new Date(lesson.record.scrapedAt).toLocaleString()}`);
+        } else if (celigoUExtractor.QUIZ_LESSON_TYPES.test(lesson.type || '')) {
+            parts.push('graded quizzes are not scraped');
+        } else if (lesson.locked) {
+            parts.push('locked until an earlier quiz is passed');
+        } else {
+            parts.push('open the lesson and scrape it, or scrape the whole course');
+        }
+        detail.textContent = parts.join(' · ');
+        item.append(header, detail);
+
+        if (lesson.record?.data) {
+            const details = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.textContent = 'Content';
+            const pre = document.createElement('pre');
+            details.append(summary, pre);
+            details.addEventListener('toggle', () => {
+                if (details.open && !pre.textContent) {
+                    pre.textContent = JSON.stringify(lesson.record.data.content, null, 2);
+                }
+            });
+            item.append(details);
+        }
+
+        return item;
+    }
+
+    /**
+     * Course document for export: course metadata, one section per curriculum
+     * lesson (saved lessons with their stored scrape), the missing lessons and totals
+     */
+    buildDocument(compendium) {
+        const metadata = compendium.metadata;
+        const lessons = compendium.lessons.map(({ record, locked, ...lesson }) => {
+            if (!record) return lesson;
+            return {
+                ...lesson,
+                version: record.version,
+                scrapedAt: record.scrapedAt,
+                metadata: record.data.metadata,
+                content: record.data.content,
+                assets: record.data.assets || {},
+                statistics: record.data.statistics || {}
+            };
+        });
+        const scraped = lessons.filter(lesson => lesson.status === 'scraped');
+
+        const statistics = {};
+        scraped.forEach(lesson => {
+            Object.entries(lesson.statistics).forEach(([key, value]) => {
+                statistics[key] = (statistics[key] || 0) + value;
+            });
+        });
+
+        return {
+            type: 'course',
+            metadata: {
+                scrapedAt: new Date().toISOString(),
+                url: metadata.courseSlug && metadata.url ? new URL(`/${metadata.courseSlug}`, metadata.url).href : '',
+                course: metadata.course || '',
+                courseId: metadata.courseId || '',
+                courseSlug: metadata.courseSlug || '',
+                description: metadata.description || '',
+                path: metadata.path || '',
+                pathSlug: metadata.pathSlug || '',
+                lessonCount: lessons.length
+            },
+            lessons,
+            missing: lessons
+                .filter(lesson => lesson.status === 'missing')
+                .map(lesson => ({ index: lesson.index, title: lesson.title, url: lesson.url })),
+            assets: Object.assign({}, ...scraped.map(lesson => lesson.assets)),
+            statistics: {
+                ...statistics,
+                totalItems: statistics.totalItems || 0,
+                lessons: lessons.length,
+                scraped: scraped.length,
+                missing: lessons.length - scraped.length
+            }
+        };
+    }
+
+    /**
+     * Download the course document as celigo-u-<course>-<date>.<json|md|txt>, per the format and image settings
+     */
+    async exportCourse() {
+        if (!this.compendium) return;
+        this.clearMessage();
+
+        try {
+            const courseDocument = this.buildDocument(this.compendium);
+            const exported = await celigoUExtractor.buildExport(courseDocument, this.settings.assetExport || 'bundle');
+            const format = this.elements.exportFormat.value;
+            const { extension, mimeType } = celigoUExtractor.EXPORT_FORMATS[format];
+
+            const slug = (text) => (text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+            const parts = ['celigo-u', slug(courseDocument.metadata.course || this.elements.courseSelect.value), courseDocument.metadata.scrapedAt.slice(0, 10)];
+
+            const url = URL.createObjectURL(new Blob([celigoUExtractor.formatExport(exported, format)], { type: mimeType }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${parts.filter(part => part).join('-')}.${extension}`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+            const missing = courseDocument.statistics.missing;
+            this.showMessage(`Exported ${courseDocument.statistics.scraped} lessons${missing > 0 ? ` (${missing} missing)` : ''}.`, 'success');
+        } catch (error) {
+            console.error('Compendium export error:', error);
+            this.showMessage('Export failed.', 'error');
+        }
+    }
+}
+
+// Initialize when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+    new CeligoUCompendium();
+});
@@ -0,0 +1,188 @@
+/**
+ * Celigo U Scraper - Answer Discovery (opt-in)
+ * Rise only marks the correct choice after the learner submits, so knowledge
+ * checks scrape with every isCorrect false. When enabled, this submits each
+ * choice of every knowledge-check block inside the SCORM frame, reads the
+ * correct/incorrect state and feedback, then resets with "Take Again".
+ *
+ * Scope is deliberately narrow: only knowledge-check blocks inside lesson
+ * content ([data-block-id]) are touched. Rise does not report those to the
+ * LMS; graded quiz lessons (which do report score/completion through the
+ * Skilljar SCORM API on the parent page) are never answered, and nothing here
+ * calls into the parent page.
+ * Requires lib/extractor.js; adds celigoUExtractor.discoverAnswers(), run by lib/reveal.js
+ */
+
+(function() {
+    'use strict';
+
+    const extractor = window.celigoUExtractor;
+    if (!extractor || extractor.discoverAnswers) return;
+
+    const { SELECTORS, QUESTION_TYPES, getText, getMarkdown, innermost } = extractor;
+
+    const KC_BLOCK = '.block-knowledge, .blocks-knowledge-check, [class*="knowledge-check"], [class*="block-knowledge"]';
+
+    const BUTTON_LABELS = {
+        submit: /^(submit|check)/i,
+        reset: /(take again|try again|retry|reset)/i
+    };
+
+    function delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Visible, enabled button in the block whose label matches
+     */
+    function findButton(block, pattern) {
+        return Array.from(block.querySelectorAll('button, [role="button"]')).find(btn => {
+            const label = btn.getAttribute('aria-label') || getText(btn);
+            return pattern.test(label.trim()) && !btn.disabled && btn.getAttribute('aria-disabled') !== 'true';
+        });
+    }
+
+    /**
+     * 'correct' | 'incorrect' | null from a class name / label
+     */
+    function readState(text) {
+        if (/incorrect|wrong/i.test(text)) return 'incorrect';
+        if (/correct|\bright\b/i.test(text)) return 'correct';
+        return null;
+    }
+
+    /**
+     * Overall result shown after submitting
+     */
+    function readResult(block) {
+        const feedback = block.querySelector(SELECTORS.feedback);
+        if (!feedback || !getText(feedback)) return null;
+
+        // Status label ("Correct"/"Incorrect") is recorded as isCorrect, not repeated in the text
+        const label = feedback.querySelector('[class*="label"], [class*="title"], h3, h4');
+        const labelText = getText(label);
+        return {
+            status: readState(`${labelText} ${feedback.className}`),
+            feedback: getMarkdown(feedback).replace(getMarkdown(label), '').trim()
+        };
+    }
+
+    /**
+     * Per-choice correct/incorrect marker Rise shows after submitting
+     */
+    function readChoiceState(choice) {
+        const marker = choice.querySelector('[class*="correct"], [aria-label*="correct" i]');
+        return readState(choice.className) || (marker ? readState(`${marker.className} ${marker.getAttribute('aria-label') || ''}`) : null);
+    }
+
+    function getChoices(block) {
+        return innermost(block.querySelectorAll(SELECTORS.choice)).filter(el => getText(el).length > 0);
+    }
+
+    /**
+     * Select a choice (clicking its input when there is one)
+     */
+    function selectChoice(choice) {
+        const input = choice.matches('input') ? choice : choice.querySelector('input[type="radio"], input[type="checkbox"]');
+        (input || choice).click();
+    }
+
+    /**
+     * Submit choices of one knowledge-check block and record what Rise reveals
+     */
+    async function discoverBlock(block, session) {
+        // Only choice questions can be answered by clicking - fill-in and matching are left alone
+        const type = extractor.detectQuestionType(block);
+        if (type === QUESTION_TYPES.fillIn || type === QUESTION_TYPES.matching) return;
+
+        const initialChoices = getChoices(block);
+        if (initialChoices.length === 0) return;
+
+        const answers = initialChoices.map((choice, i) => ({
+            text: getMarkdown(choice),
+            isCorrect: false,
+            feedback: '',
+            index: i
+        }));
+
+        // The learner already answered - read what is on screen and leave it alone
+        const existing = readResult(block);
+        if (existing) {
+            initialChoices.forEach((choice, i) => { answers[i].isCorrect = readChoiceState(choice) === 'correct'; });
+            session.captures.answers.set(block, { choices: answers, feedback: existing.feedback, status: 'observed' });
+            return;
+        }
+
+        const isMulti = type === QUESTION_TYPES.multipleResponse;
+        let correctFeedback = '';
+        let status = 'partial';
+
+        for (let i = 0; i < answers.length; i++) {
+            const choices = getChoices(block);
+            if (!choices[i]) break;
+
+            selectChoice(choices[i]);
+            await delay(session.delay / 2);
+
+            const submit = findButton(block, BUTTON_LABELS.submit);
+            if (!submit) break;
+            submit.click();
+            await delay(session.delay);
+
+            const result = readResult(block);
+            const marked = getChoices(block).map(readChoiceState);
+
+            if (result) {
+                answers[i].feedback = result.feedback;
+                if (result.status === 'correct') {
+                    answers[i].isCorrect = true;
+                    correctFeedback = result.feedback;
+                    status = 'discovered';
+                }
+            }
+
+            // Rise marks every correct choice after a submit - that settles multi-response questions
+            if (marked.includes('correct')) {
+                marked.forEach((state, j) => { if (answers[j]) answers[j].isCorrect = state === 'correct'; });
+                status = 'discovered';
+            }
+
+            const reset = findButton(block, BUTTON_LABELS.reset);
+            if (!reset) break;
+            reset.click();
+            await delay(session.delay);
+
+            // One submit is enough when markers revealed the full answer set of a multi-response question
+            if (isMulti && status === 'discovered') break;
+        }
+
+        session.captures.answers.set(block, {
+            choices: answers,
+            feedback: correctFeedback,
+            status: status
+        });
+    }
+
+    /**
+     * Discover correct answers for every knowledge-check block in the frame
+     * @param {Document} doc - SCORM frame document
+     * @param {Object} session - Reveal session (delay, captures.answers)
+     */
+    async function discoverAnswers(doc, session) {
+        const blocks = Array.from(doc.querySelectorAll(SELECTORS.block))
+            .map(block => (block.matches(KC_BLOCK) ? block : block.querySelector(KC_BLOCK)))
+            .filter(Boolean);
+
+        for (const block of blocks) {
+            try {
+                await discoverBlock(block, session);
+            } catch (e) {
+                console.log('Celigo U Scraper: Answer discovery failed for a block:', e.message);
+            }
+        }
+
+        console.log(`Celigo U Scraper: Answer discovery checked ${blocks.length} knowledge checks`);
+    }
+
+    extractor.discoverAnswers = discoverAnswers;
+})();
@@ -0,0 +1,212 @@
+/**
+ * Celigo U Scraper - Offline Asset Capture (opt-in)
+ * Image URLs point at the SCORM CDN and are often signed or session-bound, so
+ * they stop resolving a day after the scrape. When enabled, this fetches every
+ * image the extraction references (images[], labeled-graphic backgrounds,
+ * flip-card faces, choice images) from inside the frame, where the course
+ * session applies, and stores each file in chrome.storage.local under
+ * 'asset:<hash>' - the SHA-256 of its bytes, so a file shared by several
+ * lessons is stored once. Image objects get an assetId the popup uses to embed
+ * or bundle the files in exports (buildExport()).
+ * Requires lib/extractor.js; adds celigoUExtractor.captureAssets() / buildExport()
+ */
+
+(function() {
+    'use strict';
+
+    const extractor = window.celigoUExtractor;
+    if (!extractor || extractor.captureAssets) return;
+
+    const ASSET_PREFIX = 'asset:';
+
+    // Files larger than this are left as links (settings.maxAssetBytes overrides)
+    const DEFAULT_MAX_BYTES = 2 * 1024 * 1024;
+
+    // Keys whose values are image objects ({ src, alt, ... })
+    const IMAGE_KEYS = ['image', 'images'];
+
+    /**
+     * Storage key of a captured asset
+     */
+    function assetKey(assetId) {
+        return `${ASSET_PREFIX}${assetId}`;
+    }
+
+    /**
+     * Whether a value is an asset record as captureAssets() stores it (an image
+     * file's data URL, type and size under its hash), e.g. before an archived
+     * file is written to storage
+     */
+    function isAssetRecord(record, assetId) {
+        return !!record && typeof record === 'object' &&
+            /^[0-9a-z]+$/.test(assetId) && record.hash === assetId &&
+            typeof record.dataUrl === 'string' && record.dataUrl.startsWith('data:') &&
+            typeof record.mimeType === 'string' && (record.mimeType === '' || record.mimeType.startsWith('image/')) &&
+            Number.isFinite(record.size) && record.size >= 0;
+    }
+
+    /**
+     * Every image object referenced by a content object
+     * (top-level images[] entries and nested image fields)
+     */
+    function collectImageRefs(content) {
+        const refs = [];
+
+        (function walk(value, key) {
+            if (!value || typeof value !== 'object') return;
+            if (Array.isArray(value)) {
+                value.forEach(v => walk(v, key));
+                return;
+            }
+            if (IMAGE_KEYS.includes(key) && typeof value.src === 'string') {
+                refs.push(value);
+            }
+            Object.keys(value).forEach(k => {
+                if (k !== 'outline') walk(value[k], k);
+            });
+        })(content);
+
+        return refs;
+    }
+
+    /**
+     * Hex SHA-256 of the file; djb2 of its data URL where SubtleCrypto is unavailable (http frames)
+     */
+    async function hashFile(blob, dataUrl) {
+        if (!crypto?.subtle) return extractor.hashString(dataUrl);
+        const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    function blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Fetch one image with the frame's cookies
+     * @returns {Promise<Object>} Asset record, or { error } when it can't be kept
+     */
+    async function fetchAsset(src, maxBytes) {
+        const response = await fetch(src, { credentials: 'include' });
+        if (!response.ok) return { error: `http-${response.status}` };
+
+        const declared = parseInt(response.headers.get('content-length'), 10);
+        if (declared > maxBytes) return { error: 'too-large' };
+
+        const blob = await response.blob();
+        if (blob.size > maxBytes) return { error: 'too-large' };
+        if (blob.type && !blob.type.startsWith('image/')) return { error: 'not-an-image' };
+
+        const dataUrl = await blobToDataUrl(blob);
+        return {
+            hash: await hashFile(blob, dataUrl),
+            mimeType: blob.type || '',
+            size: blob.size,
+            url: src,
+            capturedAt: new Date().toISOString(),
+            dataUrl: dataUrl
+        };
+    }
+
+    /**
+     * Fetch and store every image referenced by a content object
+     * Sets assetId (or assetError) on each image object and content.assets
+     * to a { url: assetId } index the popup uses after merging frames.
+     * @param {Object} content - Extraction result (modified in place)
+     * @param {Object} [options]
+     * @param {number} [options.maxAssetBytes] - Per-file size cap
+     * @returns {Promise<Object>} The same content object
+     */
+    async function captureAssets(content, options = {}) {
+        const maxBytes = options.maxAssetBytes ?? DEFAULT_MAX_BYTES;
+        const results = new Map();
+        const records = {};
+
+        for (const ref of collectImageRefs(content)) {
+            if (!ref.src || ref.src.startsWith('data:')) continue;
+
+            if (!results.has(ref.src)) {
+                let result;
+                try {
+                    result = await fetchAsset(ref.src, maxBytes);
+                } catch (e) {
+                    // Usually a CDN without CORS headers for this frame's origin
+                    result = { error: 'fetch-failed' };
+                }
+                if (result.hash) records[assetKey(result.hash)] = result;
+                results.set(ref.src, result);
+            }
+
+            const result = results.get(ref.src);
+            if (result.hash) {
+                ref.assetId = result.hash;
+            } else {
+                ref.assetError = result.error;
+            }
+        }
+
+        const keys = Object.keys(records);
+        if (keys.length > 0) {
+            // Same bytes, same key - only write files that aren't stored yet
+            const stored = await chrome.storage.local.get(keys);
+            const fresh = Object.fromEntries(keys.filter(key => !stored[key]).map(key => [key, records[key]]));
+            await chrome.storage.local.set(fresh);
+        }
+
+        content.assets = {};
+        results.forEach((result, src) => {
+            if (result.hash) content.assets[src] = result.hash;
+        });
+
+        console.log(`Celigo U Scraper: Captured ${keys.length} of ${results.size} images for offline use`);
+        return content;
+    }
+
+    /**
+     * Export copy of scraped data (a lesson or a course/path document) with its captured images:
+     * - 'embed': each image's src becomes its data URL (original URL kept as originalSrc)
+     * - 'bundle': files are added once under assetFiles, keyed by the items' assetId
+     * - 'links': unchanged
+     * @returns {Promise<Object>} A copy, or data itself when there is nothing to add
+     */
+    async function buildExport(data, mode = 'bundle') {
+        const assetIds = [...new Set(Object.values(data.assets || {}))];
+        if (mode === 'links' || assetIds.length === 0) return data;
+
+        const stored = await chrome.storage.local.get(assetIds.map(assetKey));
+        const exported = JSON.parse(JSON.stringify(data));
+
+        if (mode === 'embed') {
+            // Course documents keep each lesson's content under lessons[] (courses[].lessons[] for a path)
+            collectImageRefs(exported.courses || exported.lessons || exported.content).forEach(image => {
+                const file = stored[assetKey(image.assetId)];
+                if (!file) return;
+                image.originalSrc = image.src;
+                image.src = file.dataUrl;
+            });
+            return exported;
+        }
+
+        exported.assetFiles = {};
+        assetIds.forEach(assetId => {
+            const file = stored[assetKey(assetId)];
+            if (file) {
+                exported.assetFiles[assetId] = { mimeType: file.mimeType, size: file.size, url: file.url, dataUrl: file.dataUrl };
+            }
+        });
+        return exported;
+    }
+
+    extractor.ASSET_PREFIX = ASSET_PREFIX;
+    extractor.isAssetRecord = isAssetRecord;
+    extractor.DEFAULT_MAX_ASSET_BYTES = DEFAULT_MAX_BYTES;
+    extractor.assetKey = assetKey;
+    extractor.collectImageRefs = collectImageRefs;
+    extractor.captureAssets = captureAssets;
+    extractor.buildExport = buildExport;
+})();
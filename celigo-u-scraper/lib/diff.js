@@ -0,0 +1,284 @@
+/**
+ * Celigo U Scraper - Lesson Diff
+ * Structural comparison of two scrapes of a lesson: per content type, the
+ * items added, removed and modified (with the fields that changed, and for
+ * tables the cells), so a course update can be reviewed item by item.
+ * Item ids are positional, so items are matched by content, not by id.
+ * Requires lib/extractor.js and lib/search.js; adds celigoUExtractor.diffLessons() / diffWords()
+ */
+
+(function() {
+    'use strict';
+
+    const extractor = window.celigoUExtractor;
+    if (!extractor || extractor.diffLessons) return;
+
+    // Fields that don't change what a learner sees: bookkeeping, and URLs (CDN links change with every publish)
+    const IGNORED_KEYS = [...extractor.BOOKKEEPING_KEYS, ...extractor.LINK_KEYS];
+
+    // Items this alike (shared words, 0-1) are one item modified rather than one removed and one added
+    const MATCH_THRESHOLD = 0.5;
+
+    // Word diffs longer than this (words before × words after) are shown as a whole replacement
+    const MAX_WORD_DIFF = 250000;
+
+    /**
+     * Compared fields of an item as { 'choices.1.text': 'text', ... } - strings
+     * without Markdown, numbers and booleans (isCorrect) as text
+     */
+    function fieldsOf(item) {
+        const fields = {};
+
+        (function collect(value, path) {
+            if (IGNORED_KEYS.includes(path[path.length - 1]) || value === null || value === undefined) return;
+            if (Array.isArray(value)) {
+                value.forEach((v, i) => collect(v, [...path, i]));
+            } else if (typeof value === 'object') {
+                Object.keys(value).forEach(k => collect(value[k], [...path, k]));
+            } else {
+                const text = typeof value === 'string' ? extractor.stripMarkdown(value).trim() : String(value);
+                if (text) fields[path.join('.')] = text;
+            }
+        })(item, []);
+
+        return fields;
+    }
+
+    /**
+     * Readable field name: 'choices.1.text' gives 'choices 2 › text'
+     */
+    function fieldLabel(path) {
+        return path.split('.').reduce((parts, segment) => {
+            if (/^\d+$/.test(segment) && parts.length > 0) {
+                parts[parts.length - 1] += ` ${Number(segment) + 1}`;
+            } else {
+                parts.push(segment);
+            }
+            return parts;
+        }, []).join(' › ');
+    }
+
+    /**
+     * Short heading of an item (question, title, card front, table headers, ...), else the start of its text
+     */
+    function labelOf(item, fields) {
+        const label = item.question || item.title || item.heading || item.caption || item.label ||
+            item.front?.title || item.front?.content || item.headers?.join(' | ') || Object.values(fields)[0] || '';
+        return extractor.stripMarkdown(String(label)).replace(/\s+/g, ' ').slice(0, 120);
+    }
+
+    /**
+     * Share of words two items have in common (Jaccard), 1 more when their labels are the same
+     */
+    function similarity(a, b) {
+        const words = (entry) => new Set(extractor.tokenize(Object.values(entry.fields).join(' ')));
+        a.words = a.words || words(a);
+        b.words = b.words || words(b);
+
+        let shared = 0;
+        a.words.forEach(word => { if (b.words.has(word)) shared++; });
+        const total = a.words.size + b.words.size - shared;
+        const score = total > 0 ? shared / total : 0;
+        return a.label && a.label === b.label ? score + 1 : score;
+    }
+
+    /**
+     * Field changes of a modified item: [{ field, before, after }], before or after '' when the field is new or gone
+     */
+    function diffFields(before, after, skip = () => false) {
+        const paths = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+        return paths
+            .filter(path => !skip(path) && before[path] !== after[path])
+            .map(path => ({ field: fieldLabel(path), before: before[path] || '', after: after[path] || '' }));
+    }
+
+    /**
+     * Cell changes of a modified table
+     * Body rows are matched by their first cell (then the leftovers in order),
+     * so an inserted row shows as one added row, not as every later cell changed.
+     * @returns {Object} { cells: [{ row, column, before, after }], rowsAdded, rowsRemoved } - rows as arrays of cell text
+     */
+    function diffTable(before, after) {
+        const plain = (row) => (row || []).map(cell => extractor.stripMarkdown(String(cell || '')).trim());
+        const keyed = (table) => {
+            const seen = {};
+            return (table.rows || []).map(plain).map((row, i) => {
+                const first = row[0];
+                seen[first] = (seen[first] || 0) + 1;
+                return { key: first ? `${first}#${seen[first]}` : null, row, index: i };
+            });
+        };
+
+        const oldRows = keyed(before);
+        const newRows = keyed(after);
+        const pairs = [];
+        newRows.forEach(newRow => {
+            const match = newRow.key && oldRows.find(oldRow => !oldRow.matched && oldRow.key === newRow.key);
+            if (match) {
+                match.matched = newRow.matched = true;
+                pairs.push([match, newRow]);
+            }
+        });
+        const oldLeft = oldRows.filter(row => !row.matched);
+        const newLeft = newRows.filter(row => !row.matched);
+        const paired = Math.min(oldLeft.length, newLeft.length);
+        for (let i = 0; i < paired; i++) pairs.push([oldLeft[i], newLeft[i]]);
+
+        const headers = after.headers?.length ? after.headers : (before.headers || []);
+        const cells = [];
+        pairs.sort((a, b) => a[1].index - b[1].index).forEach(([oldRow, newRow]) => {
+            const width = Math.max(oldRow.row.length, newRow.row.length);
+            for (let c = 0; c < width; c++) {
+                if ((oldRow.row[c] || '') === (newRow.row[c] || '')) continue;
+                cells.push({
+                    row: newRow.row[0] || oldRow.row[0] || `Row ${newRow.index + 1}`,
+                    column: headers[c] || `Column ${c + 1}`,
+                    before: oldRow.row[c] || '',
+                    after: newRow.row[c] || ''
+                });
+            }
+        });
+
+        return {
+            cells,
+            rowsAdded: newLeft.slice(paired).map(row => row.row),
+            rowsRemoved: oldLeft.slice(paired).map(row => row.row)
+        };
+    }
+
+    /**
+     * Changes to the items of one content type
+     * Identical items pair up first, then the most similar remaining ones
+     * (MATCH_THRESHOLD); whatever is left was removed or added.
+     */
+    function diffItems(type, beforeItems, afterItems) {
+        const entries = (items) => items
+            .filter(item => item && typeof item === 'object')
+            .map((item, i) => {
+                const fields = fieldsOf(item);
+                return { item, fields, label: labelOf(item, fields), signature: JSON.stringify(fields), index: i };
+            });
+        const oldEntries = entries(beforeItems);
+        const newEntries = entries(afterItems);
+
+        let unchanged = 0;
+        newEntries.forEach(newEntry => {
+            const same = oldEntries.find(oldEntry => !oldEntry.match && oldEntry.signature === newEntry.signature);
+            if (same) {
+                same.match = newEntry.match = true;
+                unchanged++;
+            }
+        });
+
+        const candidates = [];
+        newEntries.filter(entry => !entry.match).forEach(newEntry => {
+            oldEntries.filter(entry => !entry.match).forEach(oldEntry => {
+                const score = similarity(oldEntry, newEntry);
+                if (score >= MATCH_THRESHOLD) candidates.push({ oldEntry, newEntry, score });
+            });
+        });
+
+        const modified = [];
+        candidates.sort((a, b) => b.score - a.score).forEach(({ oldEntry, newEntry }) => {
+            if (oldEntry.match || newEntry.match) return;
+            oldEntry.match = newEntry.match = true;
+
+            const change = { label: newEntry.label || oldEntry.label, index: newEntry.index };
+            if (type === 'tables') {
+                change.changes = diffFields(oldEntry.fields, newEntry.fields, path => path.startsWith('rows.'));
+                Object.assign(change, diffTable(oldEntry.item, newEntry.item));
+            } else {
+                change.changes = diffFields(oldEntry.fields, newEntry.fields);
+            }
+            modified.push(change);
+        });
+
+        const describe = ({ label, fields, index }) => ({
+            label,
+            index,
+            fields: Object.entries(fields).map(([path, text]) => ({ field: fieldLabel(path), text }))
+        });
+
+        return {
+            type,
+            added: newEntries.filter(entry => !entry.match).map(describe),
+            removed: oldEntries.filter(entry => !entry.match).map(describe),
+            modified: modified.sort((a, b) => a.index - b.index),
+            unchanged
+        };
+    }
+
+    /**
+     * Compare two versions of a lesson's content
+     * @param {Object} before - Older content (data.content)
+     * @param {Object} after - Newer content
+     * @returns {Object} { changed, summary: { added, removed, modified, unchanged, cells }, types: [{ type, added, removed, modified, unchanged }] }
+     *   - only the types with changes, in content order; table changes carry cells, rowsAdded and rowsRemoved
+     */
+    function diffLessons(before = {}, after = {}) {
+        const types = [...new Set([...Object.keys(after || {}), ...Object.keys(before || {})])]
+            .filter(type => type !== 'outline' && (Array.isArray(before?.[type]) || Array.isArray(after?.[type])))
+            .map(type => diffItems(type, before?.[type] || [], after?.[type] || []));
+
+        const summary = { added: 0, removed: 0, modified: 0, unchanged: 0, cells: 0 };
+        types.forEach(result => {
+            summary.added += result.added.length;
+            summary.removed += result.removed.length;
+            summary.modified += result.modified.length;
+            summary.unchanged += result.unchanged;
+            result.modified.forEach(change => { summary.cells += change.cells?.length || 0; });
+        });
+
+        return {
+            changed: summary.added + summary.removed + summary.modified > 0,
+            summary,
+            types: types.filter(result => result.added.length + result.removed.length + result.modified.length > 0)
+        };
+    }
+
+    /**
+     * Word-level diff of two texts for side-by-side display
+     * @returns {Array} [{ op: 'same' | 'removed' | 'added', text }], whitespace kept with the words
+     */
+    function diffWords(before, after) {
+        const a = String(before || '').split(/(\s+)/).filter(part => part);
+        const b = String(after || '').split(/(\s+)/).filter(part => part);
+        if (a.length * b.length > MAX_WORD_DIFF) {
+            return [{ op: 'removed', text: a.join('') }, { op: 'added', text: b.join('') }].filter(part => part.text);
+        }
+
+        // Longest common subsequence table, from the end
+        const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const parts = [];
+        const push = (op, text) => {
+            const last = parts[parts.length - 1];
+            if (last && last.op === op) last.text += text;
+            else parts.push({ op, text });
+        };
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                push('same', a[i]);
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                push('removed', a[i++]);
+            } else {
+                push('added', b[j++]);
+            }
+        }
+        while (i < a.length) push('removed', a[i++]);
+        while (j < b.length) push('added', b[j++]);
+        return parts;
+    }
+
+    extractor.diffLessons = diffLessons;
+    extractor.diffWords = diffWords;
+})();
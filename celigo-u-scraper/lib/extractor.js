@@ -0,0 +1,1800 @@
+/**
+ * Celigo U Scraper - Shared Extraction Engine
+ * Single extraction library used by every scraping path:
+ *   - loaded as a content script ahead of content-main.js / content-iframe.js
+ *   - injected by popup.js via chrome.scripting.executeScript({ files })
+ *   - loaded by popup.html for the shared filters and hashing helpers
+ * Exposes window.celigoUExtractor
+ */
+
+(function() {
+    'use strict';
+
+    // Already loaded in this world (content script + files injection share it)
+    if (window.celigoUExtractor) return;
+
+    // UI elements to exclude from scraping (navigation buttons, markers, etc.)
+    const EXCLUDE_LABELS = [
+        'close modal',
+        'previous',
+        'next',
+        'back',
+        'submit',
+        'continue',
+        'skip',
+        'menu',
+        'not viewed',
+        'marker,',
+        'information, not viewed'
+    ];
+
+    // False positive knowledge check patterns (system messages, not actual quiz questions)
+    const FALSE_POSITIVE_KC = [
+        'you are offline',
+        'trying to reconnect',
+        'loading',
+        'please wait',
+        'error occurred',
+        'begin by',
+        'select either option'
+    ];
+
+    // Block selectors - Rise 360 first, generic SCORM patterns after
+    const SELECTORS = {
+        flashcard: 'li.flashcard, .block-flashcards [class*="flashcard"][role="listitem"]',
+        flipCard: '.blocks-flip-card, .block-flip-card__card, [class*="flip-card"], [class*="flipcard"], ' +
+                  '[class*="FlipCard"], [class*="flipCard"], [data-block-type="flip-card"], [data-type="flip-card"]',
+        faceFront: '[class*="--front"], [class*="face-front"], [class*="front"], [class*="Front"]',
+        faceBack: '[class*="--back"], [class*="face-back"], [class*="back"], [class*="Back"]',
+        labeledGraphic: '.labeled-graphic-canvas, .block-labeled-graphic, [class*="labeled-graphic"], [class*="labeledGraphic"]',
+        marker: '.labeled-graphic-canvas__item, [class*="labeled-graphic"][class*="item"], ' +
+                '[class*="marker"], [class*="hotspot"], button, [role="button"]',
+        markerPanel: '[class*="bounds"], [class*="content-panel"], [class*="info-panel"]',
+        hotspot: '[class*="hotspot"], [class*="Hotspot"], [data-type="hotspot"]',
+        knowledgeCheck: '.blocks-knowledge-check, [class*="knowledge"], [class*="quiz"], [class*="question"], ' +
+                        '[class*="Question"], [class*="assessment"], [data-block-type*="quiz"], [data-type="question"]',
+        questionText: '[class*="question-text"], [class*="stem"], .question__text, [class*="prompt"], h2, h3, h4, p',
+        choice: '[class*="choice"], [class*="option"], [class*="answer"], [role="radio"], [role="checkbox"]',
+        feedback: '[class*="feedback"], [class*="Feedback"], [class*="explanation"]',
+        textEntry: 'input[type="text"], input:not([type]), textarea, [class*="fill-in"] input, [class*="blank"] input',
+        matchingPrompt: '[class*="matching"] [class*="prompt"], [class*="match"] [class*="source"], [class*="matching__item"]',
+        matchingResponse: '[class*="matching"] [class*="response"], [class*="match"] [class*="target"], [class*="matching__match"]',
+        accordion: '.blocks-accordion, [class*="accordion"], [class*="Accordion"], [data-block-type="accordion"], ' +
+                   '[data-type="accordion"], [class*="collapsible"]',
+        accordionItem: '[class*="accordion-item"], [class*="accordion__item"], [class*="item"], details',
+        accordionHeader: '[class*="header"], [class*="title"], [class*="trigger"], summary, button',
+        accordionBody: '[class*="content"], [class*="body"], [class*="panel"]',
+        tabs: '.blocks-tabs, [class*="block-tabs"], [class*="tabs-block"], [data-block-type="tabs"], [class*="tab-container"]',
+        tabButton: '[role="tab"], [class*="tab-button"]',
+        tabPanel: '[role="tabpanel"], [class*="tab-pane"], [class*="tab-panel"], [class*="tab-content"]',
+        process: '.blocks-process, [class*="process"], [data-block-type="process"]',
+        processStep: '[class*="step"], [class*="item"]',
+        timeline: '.blocks-timeline, [class*="timeline"], [data-block-type="timeline"]',
+        timelineEvent: '[class*="event"], [class*="item"]',
+        sorting: '.blocks-sorting, [class*="sorting"], [data-block-type="sorting"]',
+        sortingPile: '[class*="pile"], [class*="category"], [class*="bucket"], [role="listbox"]',
+        sortingPileTitle: '[class*="pile__title"], [class*="pile-title"], [class*="category__title"], [class*="title"], [class*="heading"], h3, h4',
+        sortingCard: '[class*="card"], [class*="draggable"], [draggable="true"], [role="option"]',
+        scenario: '.block-scenario, .blocks-scenario, [class*="scenario"], [data-block-type="scenario"]',
+        scenarioTitle: '[class*="scene"] [class*="title"], [class*="scenario__title"], h2, h3',
+        scenarioCharacter: '[class*="character"] [class*="name"], [class*="character-name"], [class*="character__name"]',
+        scenarioDialogue: '[class*="dialogue"], [class*="speech"], [class*="bubble"], [class*="message"]',
+        scenarioChoice: '[class*="response"], [class*="choice"], [class*="option"]',
+        scenarioFeedback: '[class*="feedback"], [class*="consequence"], [class*="outcome"]',
+        text: 'h1, h2, h3, h4, p, blockquote',
+        block: '[data-block-id]',
+        video: 'video',
+        videoEmbed: 'iframe[src*="youtube"], iframe[src*="vimeo"], iframe[src*="wistia"]',
+        captionTrack: 'track[kind="captions"], track[kind="subtitles"], track:not([kind])',
+        transcript: '[class*="transcript"]:not(button), [data-transcript]'
+    };
+
+    // Embed hosts and where their URLs keep the video id
+    const VIDEO_PROVIDERS = [
+        { name: 'youtube', pattern: /(?:youtube(?:-nocookie)?\.com\/(?:embed\/|watch\?v=)|youtu\.be\/)([\w-]{6,})/ },
+        { name: 'vimeo', pattern: /vimeo\.com\/(?:video\/)?(\d+)/ },
+        { name: 'wistia', pattern: /(?:wistia\.(?:net|com)\/(?:embed\/(?:iframe|medias)\/|medias\/)|wistia_async_)(\w+)/ }
+    ];
+
+    // knowledgeChecks[].questionType values, shared by the DOM extractor and data adapters
+    const QUESTION_TYPES = {
+        multipleChoice: 'multiple-choice',
+        multipleResponse: 'multiple-response',
+        fillIn: 'fill-in',
+        matching: 'matching',
+        imageChoice: 'image-choice'
+    };
+
+    // Skilljar lesson types of graded quizzes: crawls never open them (background.js), the compendium lists them as not scraped
+    const QUIZ_LESSON_TYPES = /quiz|assessment|exam|survey/i;
+
+    // Text types the outline leaves to an interactive item they are nested in (buildOutline())
+    const OUTLINE_TEXT_TYPES = ['textBlocks', 'lists'];
+
+    // Section headings per content type (changes page, Markdown and text exports)
+    const CONTENT_TYPE_LABELS = {
+        flipCards: 'Flip cards',
+        hotspots: 'Hotspots',
+        knowledgeChecks: 'Knowledge checks',
+        accordions: 'Accordions',
+        tabs: 'Tabs',
+        process: 'Process steps',
+        timeline: 'Timelines',
+        labeledGraphic: 'Labeled graphics',
+        sorting: 'Sorting activities',
+        scenario: 'Scenarios',
+        textBlocks: 'Text',
+        lists: 'Lists',
+        tables: 'Tables',
+        images: 'Images',
+        videos: 'Videos',
+        slides: 'Slides'
+    };
+
+    /**
+     * Check if a label is a UI control rather than learning content
+     */
+    function shouldExcludeLabel(label) {
+        if (!label) return true;
+        const lowerLabel = label.toLowerCase().trim();
+        // Exclude if too short or matches exclusion patterns
+        if (lowerLabel.length < 5) return true;
+        return EXCLUDE_LABELS.some(ex => lowerLabel.includes(ex) || lowerLabel === ex);
+    }
+
+    /**
+     * Check if a question is a system message rather than a quiz question
+     */
+    function isFalsePositiveKC(question) {
+        if (!question) return true;
+        const lower = question.toLowerCase();
+        return FALSE_POSITIVE_KC.some(fp => lower.includes(fp));
+    }
+
+    /**
+     * Parse a label into title and description
+     */
+    function parseLabel(label) {
+        if (!label) return { title: '', description: '' };
+
+        // Common patterns where title runs into description:
+        // "StatusThis shows whether..." -> "Status" | "This shows whether..."
+        // "Enable userYou can turn off..." -> "Enable user" | "You can turn off..."
+        // "Require MFAThe first time..." -> "Require MFA" | "The first time..."
+        // "ActionsSelecting the ellipsis..." -> "Actions" | "Selecting the ellipsis..."
+
+        // Pattern 0: title and description came from separate elements (getText keeps the line break)
+        const lines = label.split('\n').map(line => line.trim()).filter(line => line);
+        if (lines.length > 1 && lines[0].length <= 50) {
+            return { title: lines[0], description: lines.slice(1).join('\n') };
+        }
+
+        // Pattern 1: Title (possibly with spaces/uppercase words) followed by sentence starter
+        const sentenceStartMatch = label.match(/^(.+?)((?:The|This|You|When|If|A |An |It |Select|In |On |Use|Click|Choosing|Enabling|Disabling|What|Where|How|Why|Which|MFA |Note:|Tip:|Generally|Additional)[^]*)/);
+        if (sentenceStartMatch && sentenceStartMatch[1].length <= 50) {
+            let title = sentenceStartMatch[1].trim();
+            let description = sentenceStartMatch[2].trim();
+
+            // Description starts lowercase, title might have grabbed too much
+            if (description.match(/^[a-z]/)) {
+                const reparse = title.match(/^(.+?)([A-Z][a-z].*)$/);
+                if (reparse) {
+                    title = reparse[1].trim();
+                    description = reparse[2] + description;
+                }
+            }
+
+            return { title, description };
+        }
+
+        // Pattern 2: Simple boundary - word(s) ending in lowercase, then uppercase starts description
+        const boundaryMatch = label.match(/^([A-Z][a-zA-Z\s]{1,40}?)([A-Z][a-z].*)/);
+        if (boundaryMatch) {
+            return { title: boundaryMatch[1].trim(), description: boundaryMatch[2].trim() };
+        }
+
+        // Pattern 3: Colon or dash separator
+        const separatorMatch = label.match(/^([^:–—-]{3,40})(?:\s*[:–—-]\s*)(.+)/);
+        if (separatorMatch) {
+            return { title: separatorMatch[1].trim(), description: separatorMatch[2].trim() };
+        }
+
+        // If no pattern found, return full text as description
+        return { title: '', description: label.trim() };
+    }
+
+    // Serializer: elements that start a new line, and elements never worth reading
+    const BLOCK_TAGS = new Set([
+        'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DETAILS', 'DIALOG', 'DIV', 'DL', 'DT',
+        'FIELDSET', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'HEADER', 'LI', 'MAIN', 'NAV',
+        'P', 'SECTION', 'SUMMARY', 'TABLE', 'TBODY', 'THEAD', 'TFOOT', 'TR'
+    ]);
+    const SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'IFRAME', 'SELECT', 'INPUT', 'TEXTAREA']);
+
+    // Stands in for list indentation until the final pass trims stray whitespace
+    const INDENT = '\uE000';
+
+    /**
+     * Wrap inline text in a Markdown marker, keeping surrounding spaces outside it
+     */
+    function wrapInline(text, mark) {
+        const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        return match[2] ? `${match[1]}${mark}${match[2]}${mark}${match[3]}` : text;
+    }
+
+    /**
+     * Trim each line and collapse blank runs (indentation markers survive)
+     */
+    function tidyLines(text, plain) {
+        const lines = text.split('\n').map(line => line.replace(/^[ \t]+|[ \t]+$/g, ''));
+        return lines.join('\n')
+            .replace(plain ? /\n{2,}/g : /\n{3,}/g, plain ? '\n' : '\n\n')
+            .trim();
+    }
+
+    /**
+     * Serialize a list, one line per item, nested lists indented under their item
+     */
+    function serializeList(list, ctx) {
+        const depth = ctx.listDepth || 0;
+        const indent = INDENT.repeat(depth * 2);
+        const items = Array.from(list.children).filter(child => child.tagName === 'LI');
+
+        const lines = items.map((li, i) => {
+            const body = tidyLines(Array.from(li.childNodes)
+                .map(child => serialize(child, { ...ctx, listDepth: depth + 1 }))
+                .join(''), true);
+            if (!body) return '';
+
+            const marker = ctx.plain ? '' : (list.tagName === 'OL' ? `${i + 1}. ` : '- ');
+            const [first, ...rest] = body.split('\n');
+            // Nested list lines arrive already indented; other continuation lines align under the text
+            return [indent + marker + first, ...rest.map(line => (line.startsWith(INDENT) ? line : indent + INDENT + INDENT + line))].join('\n');
+        }).filter(line => line);
+
+        return `\n${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Serialize a DOM node as Markdown (ctx.plain: text only), keeping block boundaries
+     */
+    function serialize(node, ctx) {
+        if (node.nodeType === 3) {
+            return ctx.pre ? node.nodeValue : node.nodeValue.replace(/\s+/g, ' ');
+        }
+        if (node.nodeType !== 1 && node.nodeType !== 11) return '';
+
+        const tag = node.nodeType === 1 ? node.tagName.toUpperCase() : '';
+        if (SKIP_TAGS.has(tag)) return '';
+
+        const md = !ctx.plain;
+        const inner = (extra) => Array.from(node.childNodes)
+            .map(child => serialize(child, extra ? { ...ctx, ...extra } : ctx))
+            .join('');
+
+        switch (tag) {
+            case 'BR':
+                return '\n';
+            case 'HR':
+                return md ? '\n\n---\n\n' : '\n';
+            case 'STRONG':
+            case 'B':
+                return md ? wrapInline(inner(), '**') : inner();
+            case 'EM':
+            case 'I':
+                return md ? wrapInline(inner(), '_') : inner();
+            case 'CODE':
+            case 'KBD':
+                return md && !ctx.pre ? wrapInline(inner(), '`') : inner();
+            case 'PRE': {
+                const code = inner({ pre: true }).replace(/\n$/, '');
+                return md ? `\n\n\`\`\`\n${code}\n\`\`\`\n\n` : `\n${code}\n`;
+            }
+            case 'A': {
+                const text = inner();
+                const href = node.href || '';   // resolved against the frame's base URL
+                if (!md || !text.trim() || !/^(https?:|mailto:)/i.test(href) || text.trim() === href) return text;
+                const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+                return `${match[1]}[${match[2]}](${href})${match[3]}`;
+            }
+            case 'H1':
+            case 'H2':
+            case 'H3':
+            case 'H4':
+            case 'H5':
+            case 'H6': {
+                const text = inner().trim();
+                return md ? `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n` : `\n${text}\n`;
+            }
+            case 'UL':
+            case 'OL':
+                return serializeList(node, ctx);
+            case 'TD':
+            case 'TH':
+                return `${inner()} `;
+        }
+
+        if (BLOCK_TAGS.has(tag)) {
+            return md ? `\n\n${inner()}\n\n` : `\n${inner()}\n`;
+        }
+        return inner();
+    }
+
+    /**
+     * Markdown of an element's content: element boundaries, **bold**, _emphasis_,
+     * `code`, [links](absolute URLs) and nested lists ('' when missing)
+     */
+    function getMarkdown(el) {
+        if (!el) return '';
+        return tidyLines(serialize(el, { plain: false, listDepth: 0 }), false).split(INDENT).join(' ');
+    }
+
+    /**
+     * Plain text of an element, one line per block element ('' when missing)
+     * Unlike textContent, adjacent elements are never glued together.
+     */
+    function getText(el) {
+        if (!el) return '';
+        return tidyLines(serialize(el, { plain: true, listDepth: 0 }), true).split(INDENT).join(' ');
+    }
+
+    /**
+     * Text of the first match of a selector inside root
+     */
+    function queryText(root, selector) {
+        return getText(root.querySelector(selector));
+    }
+
+    /**
+     * Markdown of the first match of a selector inside root
+     */
+    function queryMarkdown(root, selector) {
+        return getMarkdown(root.querySelector(selector));
+    }
+
+    /**
+     * Plain text of a Markdown string (for hashing and comparisons)
+     */
+    function stripMarkdown(text) {
+        return text
+            .replace(/```[^\n]*\n([\s\S]*?)\n?```/g, '$1')
+            .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/`([^`]*)`/g, '$1')
+            .replace(/\*\*([\s\S]+?)\*\*/g, '$1')
+            .replace(/(^|[^\w])_(\S(?:[\s\S]*?\S)?)_(?=[^\w]|$)/g, '$1$2')
+            .replace(/^#{1,6}\s+/gm, '')
+            .replace(/^\s*(?:[-*]|\d+\.)\s+/gm, '')
+            .replace(/^---$/gm, '')
+            .replace(/\n{2,}/g, '\n')
+            .trim();
+    }
+
+    /**
+     * Drop elements nested inside another matched element
+     * (broad [class*="..."] selectors match a block and its children)
+     */
+    function topLevel(elements) {
+        const list = Array.from(elements);
+        return list.filter(el => !list.some(other => other !== el && other.contains(el)));
+    }
+
+    /**
+     * Drop elements that wrap another matched element
+     * (keeps individual choices rather than their list container)
+     */
+    function innermost(elements) {
+        const list = Array.from(elements);
+        return list.filter(el => !list.some(other => other !== el && el.contains(other)));
+    }
+
+    /**
+     * Small stable string hash (djb2) used for deduplication keys
+     */
+    function hashString(str) {
+        let hash = 5381;
+        for (let i = 0; i < str.length; i++) {
+            hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+        }
+        // Padded so every hash passes the popup's length check
+        return (hash >>> 0).toString(36).padStart(7, '0');
+    }
+
+    // Item fields that aren't lesson text: ids, positions, extraction bookkeeping,
+    // captured image ids, caption tracks and timed transcript segments. Skipped by
+    // plainTextOf() here and by the search index and lesson diff (which add LINK_KEYS).
+    const BOOKKEEPING_KEYS = [
+        'id', 'source', 'type', 'index', 'rawLabel', 'plainText', 'tagName', 'blockType',
+        'questionType', 'answerDiscovery', 'lesson', 'blockId', 'startSceneId', 'nextSceneId',
+        'assetId', 'assetError', 'tracks', 'segments', 'grid', 'headerRows', 'spans', 'hash', 'key'
+    ];
+
+    // URLs and the embed ids read from them - part of an item's identity (an image
+    // without alt text is known by its src), but not words to search or compare
+    const LINK_KEYS = ['src', 'originalSrc', 'url', 'href', 'poster', 'background', 'embedId', 'provider'];
+
+    /**
+     * Plain text of every string field of an item, ignoring ids, positions and
+     * bookkeeping fields. Markdown is stripped, so the same content read from
+     * the DOM or from course data gives the same text. A video's transcript
+     * contributes its narration (transcript.text), not its timed segments.
+     */
+    function plainTextOf(item) {
+        const parts = [];
+
+        (function collect(value, key) {
+            if (BOOKKEEPING_KEYS.includes(key) || value === null || value === undefined) return;
+            if (key === 'transcript') {
+                collect(value.text);
+                return;
+            }
+            if (Array.isArray(value)) {
+                value.forEach(v => collect(v));
+            } else if (typeof value === 'object') {
+                Object.keys(value).sort().forEach(k => collect(value[k], k));
+            } else if (typeof value === 'string' && value.trim()) {
+                parts.push(stripMarkdown(value.trim()));
+            }
+        })(item);
+
+        return parts.filter(part => part).join('\n');
+    }
+
+    /**
+     * Content-based hash of an extracted item (of its plain text).
+     * A video hashes the same with or without its transcript, which may be
+     * fetched in only one frame, or after the outline referenced the video.
+     * Returns '' for items without meaningful text.
+     */
+    function hashContent(item) {
+        const text = item.transcript ? plainTextOf({ ...item, transcript: null }) : (item.plainText ?? plainTextOf(item));
+        return text.length < 5 ? '' : hashString(text);
+    }
+
+    /**
+     * Give every item a plainText field alongside its Markdown fields
+     */
+    function addPlainText(content) {
+        Object.keys(content).forEach(key => {
+            if (key === 'outline' || !Array.isArray(content[key])) return;
+            content[key].forEach(item => {
+                if (item && typeof item === 'object') item.plainText = plainTextOf(item);
+            });
+        });
+        return content;
+    }
+
+    // Element each DOM-extracted item came from, for buildOutline()
+    const itemElements = new WeakMap();
+
+    /**
+     * Remember the element an item was read from and return the item
+     */
+    function track(el, item) {
+        if (el) itemElements.set(item, el);
+        return item;
+    }
+
+    /**
+     * Outline tree builder shared by the DOM extractor and data adapters
+     * Headings open sections (closing any at the same or deeper level);
+     * other items join the current section, grouped by their Rise block.
+     * Items are referenced as { type, id, hash } - hash survives the popup's
+     * cross-frame dedupe, which may drop the item a ref originally named.
+     * @param {string} title - Lesson title
+     */
+    function createOutline(title) {
+        const root = { type: 'lesson', title: title || '', children: [] };
+        const stack = [{ level: 0, node: root }];
+        const current = () => stack[stack.length - 1].node;
+
+        const section = (heading, level, ref = null) => {
+            while (stack.length > 1 && stack[stack.length - 1].level >= level) stack.pop();
+            const node = { type: 'section', heading, level, ref, children: [] };
+            current().children.push(node);
+            stack.push({ level, node });
+        };
+
+        const add = (type, item, blockId = '') => {
+            const ref = { type, id: item.id, hash: hashContent(item) };
+            const heading = type === 'textBlocks' && /^H([1-6])$/.exec(item.tagName || '');
+            if (heading) {
+                section(item.content, Number(heading[1]), ref);
+                return;
+            }
+
+            const children = current().children;
+            const last = children[children.length - 1];
+            if (blockId && last?.type === 'block' && last.blockId === blockId) {
+                last.items.push(ref);
+            } else {
+                children.push({ type: 'block', blockId, items: [ref] });
+            }
+        };
+
+        return { root, section, add };
+    }
+
+    /**
+     * Empty content object - the schema every extraction path returns
+     */
+    function createEmptyContent() {
+        return {
+            flipCards: [],
+            hotspots: [],
+            knowledgeChecks: [],
+            accordions: [],
+            tabs: [],
+            process: [],
+            timeline: [],
+            labeledGraphic: [],
+            sorting: [],
+            scenario: [],
+            slides: [],
+            outline: [],
+            textBlocks: [],
+            lists: [],
+            tables: [],
+            images: [],
+            videos: []
+        };
+    }
+
+    /**
+     * Detect if we're in an Articulate Rise/Storyline course
+     */
+    function detectContentType(doc = document) {
+        const win = doc.defaultView || window;
+
+        const isRise = doc.querySelector('[class*="rise"]') ||
+                       doc.querySelector('.blocks') ||
+                       win.__rise_content;
+
+        // GetPlayer is only visible from the main world; the player DOM works from content scripts too
+        const isStoryline = doc.querySelector('[class*="storyline"]') ||
+                            doc.querySelector('#slide-window, .cs-base, script[src*="html5/lib/scripts"]') ||
+                            /\/story(_html5)?\.html$/i.test(doc.location?.pathname || '') ||
+                            win.GetPlayer;
+
+        return {
+            isRise: !!isRise,
+            isStoryline: !!isStoryline,
+            isArticulate: !!isRise || !!isStoryline,
+            source: isRise ? 'rise360' : (isStoryline ? 'storyline' : 'generic')
+        };
+    }
+
+    /**
+     * Image an element is or contains ({ src, alt }) or null
+     */
+    function readImage(el) {
+        const img = el?.matches('img') ? el : el?.querySelector('img');
+        if (!img) return null;
+        return { src: img.currentSrc || img.src, alt: img.alt || '' };
+    }
+
+    /**
+     * Read one face of a flip card / flashcard into { title, content, image? }
+     */
+    function readCardFace(face) {
+        if (!face) return { title: '', content: '' };
+
+        const titleEl = face.querySelector('h2, h3, h4, [class*="title"], [class*="heading"]');
+        const title = getText(titleEl);
+
+        // Rise renders card text in .fr-view rich text containers
+        const textEls = Array.from(face.querySelectorAll('.fr-view p, p, li'))
+            .filter(el => el !== titleEl && !(titleEl && titleEl.contains(el)));
+        const texts = topLevel(textEls).map(getMarkdown).filter(t => t.length > 0);
+
+        let content = texts.join('\n');
+        if (!content && !title) {
+            content = getMarkdown(face);
+        }
+
+        const image = readImage(face);
+        return image ? { title, content, image } : { title, content };
+    }
+
+    /**
+     * Extract flip cards / flashcards
+     */
+    function extractFlipCards(doc, source) {
+        const cards = [];
+        const seen = new Set();
+
+        const addCard = (card, front, back, id) => {
+            const key = front.title + '|' + front.content;
+            if ((!front.title && !front.content && !back.content) || seen.has(key)) return;
+            seen.add(key);
+            cards.push(track(card, { id, front, back, source }));
+        };
+
+        // Rise 360 block-flashcards: ol > li.flashcard > .flashcard-side--front/--back
+        doc.querySelectorAll(SELECTORS.flashcard).forEach((card, i) => {
+            addCard(
+                card,
+                readCardFace(card.querySelector('[class*="--front"]')),
+                readCardFace(card.querySelector('[class*="--back"]')),
+                `flip-${i}`
+            );
+        });
+
+        // Generic flip cards (front/back faces)
+        topLevel(doc.querySelectorAll(SELECTORS.flipCard)).forEach((card, i) => {
+            if (card.matches(SELECTORS.flashcard) || card.querySelector(SELECTORS.flashcard)) return;
+
+            let frontEl = card.querySelector(SELECTORS.faceFront);
+            let backEl = card.querySelector(SELECTORS.faceBack);
+
+            if (!frontEl && !backEl) {
+                const faces = card.querySelectorAll('[class*="face"], [class*="side"]');
+                if (faces.length >= 2) {
+                    frontEl = faces[0];
+                    backEl = faces[1];
+                }
+            }
+
+            const front = readCardFace(frontEl);
+            if (!front.title && !front.content) {
+                front.content = card.getAttribute('aria-label') || '';
+            }
+
+            addCard(card, front, readCardFace(backEl), `flip-generic-${i}`);
+        });
+
+        return cards;
+    }
+
+    /**
+     * Read a labeled-graphic marker into { title, description, rawLabel, revealed }
+     * Revealed markers keep their popover text (captures.markers, from lib/reveal.js)
+     * even when the label is generic ("Marker, not viewed")
+     */
+    function readMarker(marker, captures) {
+        const rawLabel = marker.getAttribute('aria-label') ||
+                         marker.getAttribute('title') ||
+                         marker.getAttribute('data-label') ||
+                         getText(marker);
+
+        const revealed = captures?.markers?.get(marker);
+        if (revealed && (revealed.title || revealed.description)) {
+            return { title: revealed.title, description: revealed.description, rawLabel, revealed: true };
+        }
+
+        const parsed = parseLabel(rawLabel);
+        const panelText = queryMarkdown(marker, '[class*="content"], [class*="panel"], [class*="body"]');
+        return { title: parsed.title, description: panelText || parsed.description, rawLabel, revealed: false };
+    }
+
+    /**
+     * Extract labeled graphics / hotspots as groups of points
+     * captures.markers holds popover text read by the reveal pass (lib/reveal.js)
+     */
+    function extractHotspots(doc, source, captures) {
+        const hotspots = [];
+
+        topLevel(doc.querySelectorAll(SELECTORS.labeledGraphic)).forEach((lg, i) => {
+            const points = [];
+            const seenLabels = new Set();
+
+            lg.querySelectorAll(SELECTORS.marker).forEach((marker) => {
+                const { title, description, rawLabel, revealed } = readMarker(marker, captures);
+
+                if (revealed) {
+                    if (points.some(p => p.title === title && p.description === description)) return;
+                    points.push({ index: points.length, title, description, rawLabel });
+                    return;
+                }
+
+                // Skip UI buttons and navigation elements
+                if (shouldExcludeLabel(rawLabel) || seenLabels.has(rawLabel)) return;
+                seenLabels.add(rawLabel);
+
+                points.push({ index: points.length, title, description, rawLabel });
+            });
+
+            // Rise often separates marker buttons from their content panels
+            lg.querySelectorAll(SELECTORS.markerPanel).forEach((panel) => {
+                const title = queryText(panel, 'h2, h3, h4, [class*="title"], [class*="heading"]');
+                const body = queryMarkdown(panel, 'p, [class*="body"], [class*="description"]');
+
+                if ((title || body) && !points.some(p => p.description === body)) {
+                    points.push({
+                        index: points.length,
+                        title: title,
+                        description: body,
+                        rawLabel: ''
+                    });
+                }
+            });
+
+            if (points.length > 0) {
+                hotspots.push(track(lg, {
+                    id: `hotspot-${i}`,
+                    title: queryText(lg, 'h2, h3') || 'Labeled Graphic',
+                    points: points,
+                    source
+                }));
+            }
+        });
+
+        // Standalone hotspots outside labeled graphics
+        const standalone = [];
+        let firstStandalone = null;
+        doc.querySelectorAll(SELECTORS.hotspot).forEach((hs) => {
+            if (hs.closest(SELECTORS.labeledGraphic)) return;
+
+            const rawLabel = queryText(hs, '[class*="label"], [class*="title"]') ||
+                             hs.getAttribute('title') || hs.getAttribute('aria-label') || '';
+            if (shouldExcludeLabel(rawLabel)) return;
+
+            firstStandalone = firstStandalone || hs;
+            standalone.push({
+                index: standalone.length,
+                title: rawLabel,
+                description: queryMarkdown(hs, '[class*="content"], [class*="description"]'),
+                rawLabel: rawLabel
+            });
+        });
+
+        if (standalone.length > 0) {
+            hotspots.push(track(firstStandalone, {
+                id: `hotspot-standalone`,
+                title: 'Hotspots',
+                points: standalone,
+                source
+            }));
+        }
+
+        return hotspots;
+    }
+
+    /**
+     * Marker position as percent of the canvas ({ x, y }, null when unknown)
+     * Rise places each canvas item with inline left/top percentages; otherwise
+     * the marker's rendered centre is measured against the background image.
+     */
+    function readMarkerPosition(marker, lg, image) {
+        for (let el = marker; el && el !== lg; el = el.parentElement) {
+            const { left, top } = el.style;
+            if (left.endsWith('%') && top.endsWith('%')) {
+                return { x: parseFloat(left), y: parseFloat(top) };
+            }
+        }
+
+        const box = image?.getBoundingClientRect();
+        const rect = marker.getBoundingClientRect();
+        if (!box || box.width === 0 || box.height === 0) return { x: null, y: null };
+        return {
+            x: Math.round(((rect.left + rect.width / 2 - box.left) / box.width) * 10000) / 100,
+            y: Math.round(((rect.top + rect.height / 2 - box.top) / box.height) * 10000) / 100
+        };
+    }
+
+    /**
+     * Extract each labeled graphic with its background image and marker
+     * positions, for image-occlusion cards (hotspots only keep the text)
+     */
+    function extractLabeledGraphics(doc, source, captures) {
+        const graphics = [];
+
+        topLevel(doc.querySelectorAll(SELECTORS.labeledGraphic)).forEach((lg, i) => {
+            // Background image (marker icons are usually inline SVG)
+            const imageEl = lg.querySelector('[class*="image"] img, img[class*="image"]') || lg.querySelector('img');
+            const markers = [];
+
+            innermost(lg.querySelectorAll(SELECTORS.marker))
+                .filter(marker => !marker.closest(SELECTORS.markerPanel))
+                .forEach((marker) => {
+                    const { title, description, rawLabel, revealed } = readMarker(marker, captures);
+                    if (!revealed && shouldExcludeLabel(rawLabel)) return;
+                    if (!title && !description) return;
+
+                    markers.push({
+                        index: markers.length,
+                        ...readMarkerPosition(marker, lg, imageEl),
+                        title,
+                        description
+                    });
+                });
+
+            if (markers.length > 0) {
+                graphics.push(track(lg, {
+                    id: `labeled-graphic-${i}`,
+                    title: queryText(lg, 'h2, h3') || '',
+                    image: readImage(imageEl),
+                    markers: markers,
+                    source
+                }));
+            }
+        });
+
+        return graphics;
+    }
+
+    /**
+     * Answers found by answer discovery (lib/answers.js) for a question element
+     */
+    function findDiscoveredAnswers(kc, captures) {
+        if (!captures?.answers) return null;
+        for (const [block, answers] of captures.answers) {
+            if (block === kc || block.contains(kc) || kc.contains(block)) return answers;
+        }
+        return null;
+    }
+
+    /**
+     * Work out which kind of question a knowledge-check element holds
+     */
+    function detectQuestionType(kc) {
+        if (kc.querySelector(`${SELECTORS.matchingPrompt}, select, [draggable="true"]`)) {
+            return QUESTION_TYPES.matching;
+        }
+        if (kc.querySelector(SELECTORS.textEntry)) {
+            return QUESTION_TYPES.fillIn;
+        }
+        if (kc.querySelector('input[type="checkbox"], [role="checkbox"]')) {
+            return QUESTION_TYPES.multipleResponse;
+        }
+
+        const choices = innermost(kc.querySelectorAll(SELECTORS.choice));
+        if (choices.length > 0 && choices.every(choice => choice.querySelector('img'))) {
+            return QUESTION_TYPES.imageChoice;
+        }
+        return QUESTION_TYPES.multipleChoice;
+    }
+
+    /**
+     * Prompt/match pairs of a matching question
+     * Matches are only known once Rise shows the answer (or a select holds one)
+     */
+    function readMatchingPairs(kc) {
+        const prompts = innermost(kc.querySelectorAll(SELECTORS.matchingPrompt));
+        const responses = innermost(kc.querySelectorAll(SELECTORS.matchingResponse));
+
+        if (prompts.length > 0) {
+            return prompts.map((prompt, i) => ({
+                prompt: getText(prompt),
+                match: getText(responses[i])
+            })).filter(pair => pair.prompt);
+        }
+
+        // Dropdown matching: a label and a select per row
+        return Array.from(kc.querySelectorAll('select')).map(select => {
+            const row = select.closest('li, tr, [class*="row"], [class*="item"]') || select.parentElement;
+            const selected = select.selectedIndex > 0 ? select.options[select.selectedIndex] : null;
+            return {
+                prompt: getText(row).replace(getText(select), '').trim(),
+                match: selected ? getText(selected) : ''
+            };
+        }).filter(pair => pair.prompt);
+    }
+
+    /**
+     * Answers a fill-in question accepts, when Rise shows them after submitting
+     */
+    function readAcceptableAnswers(kc) {
+        const shown = Array.from(kc.querySelectorAll('[class*="acceptable"], [class*="correct-answer"]'))
+            .map(getText)
+            .filter(text => text.length > 0);
+        if (shown.length > 0) return shown;
+
+        return Array.from(kc.querySelectorAll(SELECTORS.textEntry))
+            .filter(input => /\bcorrect\b/.test(input.className) || input.getAttribute('aria-invalid') === 'false')
+            .map(input => input.value.trim())
+            .filter(value => value.length > 0);
+    }
+
+    /**
+     * Extract knowledge checks / quiz questions
+     * questionType picks the extra fields: choices (multiple-choice/-response,
+     * image-choice with choice.image), acceptableAnswers (fill-in), pairs (matching).
+     * captures.answers holds correct choices and per-choice feedback from answer discovery
+     */
+    function extractKnowledgeChecks(doc, source, captures) {
+        const checks = [];
+        const seen = new Set();
+
+        doc.querySelectorAll(SELECTORS.knowledgeCheck).forEach((kc, i) => {
+            // Scenario responses are walked as a graph, not scraped as questions
+            if (kc.closest(SELECTORS.scenario)) return;
+
+            const question = queryMarkdown(kc, SELECTORS.questionText);
+
+            // Skip false positive knowledge checks (system messages, instructions)
+            if (!question || question.length < 10 || isFalsePositiveKC(question) || seen.has(question)) {
+                return;
+            }
+
+            const questionType = detectQuestionType(kc);
+            const choices = [];
+            innermost(kc.querySelectorAll(SELECTORS.choice)).forEach((choice) => {
+                const image = readImage(choice);
+                const text = getMarkdown(choice) || image?.alt || '';
+                if (!text || shouldExcludeLabel(text) || text === question) return;
+
+                const isCorrect = choice.classList.contains('correct') ||
+                                  choice.getAttribute('data-correct') === 'true' ||
+                                  choice.querySelector('[class*="correct-icon"]');
+
+                const entry = {
+                    text: text,
+                    isCorrect: !!isCorrect,
+                    index: choices.length
+                };
+                if (image) entry.image = image;
+                choices.push(entry);
+            });
+
+            const isBlock = kc.matches('.blocks-knowledge-check, [class*="knowledge"]');
+            const check = {
+                id: `kc-${i}`,
+                questionType: questionType,
+                question: question,
+                choices: choices,
+                feedback: queryMarkdown(kc, SELECTORS.feedback),
+                source
+            };
+
+            if (questionType === QUESTION_TYPES.fillIn) {
+                check.choices = [];
+                check.acceptableAnswers = readAcceptableAnswers(kc);
+            } else if (questionType === QUESTION_TYPES.matching) {
+                check.choices = [];
+                check.pairs = readMatchingPairs(kc);
+            }
+
+            // A question text match without answers is a fragment of a larger block
+            const hasAnswers = check.choices.length > 0 || check.pairs?.length > 0 || !!check.acceptableAnswers;
+            if (!hasAnswers && !isBlock) {
+                return;
+            }
+
+            const discovered = findDiscoveredAnswers(kc, captures);
+            if (discovered) {
+                check.choices.forEach(choice => {
+                    const match = discovered.choices.find(d => d.text === choice.text) || discovered.choices[choice.index];
+                    if (match) {
+                        choice.isCorrect = match.isCorrect;
+                        choice.feedback = match.feedback;
+                    }
+                });
+                check.feedback = discovered.feedback || check.feedback;
+                check.answerDiscovery = discovered.status;
+            }
+
+            seen.add(question);
+            checks.push(track(kc, check));
+        });
+
+        return checks;
+    }
+
+    /**
+     * Extract accordion content
+     * captures.accordions holds panel text read by the reveal pass, keyed by toggle
+     */
+    function extractAccordions(doc, source, captures) {
+        const accordions = [];
+
+        topLevel(doc.querySelectorAll(SELECTORS.accordion)).forEach((acc, i) => {
+            const items = [];
+
+            topLevel(acc.querySelectorAll(SELECTORS.accordionItem)).forEach((item) => {
+                const header = queryText(item, SELECTORS.accordionHeader);
+                const toggle = item.querySelector('[aria-expanded]');
+                const body = (toggle && captures?.accordions?.get(toggle)) || queryMarkdown(item, SELECTORS.accordionBody);
+
+                if (header && !shouldExcludeLabel(header)) {
+                    items.push({ header: header, content: body });
+                }
+            });
+
+            if (items.length > 0) {
+                accordions.push(track(acc, {
+                    id: `accordion-${i}`,
+                    title: queryText(acc, 'h2'),
+                    items: items,
+                    source
+                }));
+            }
+        });
+
+        // Bare <details> elements outside accordion blocks
+        const bareDetails = Array.from(doc.querySelectorAll('details'))
+            .filter(d => !d.closest(SELECTORS.accordion));
+        const details = bareDetails
+            .map(d => ({
+                header: queryText(d, 'summary'),
+                content: getMarkdown(d).replace(getMarkdown(d.querySelector('summary')), '').trim()
+            }))
+            .filter(item => item.header);
+
+        if (details.length > 0) {
+            accordions.push(track(bareDetails[0], { id: 'accordion-details', title: '', items: details, source }));
+        }
+
+        return accordions;
+    }
+
+    /**
+     * Extract tabbed content
+     * captures.tabs holds panel text read by the reveal pass for inactive tabs
+     */
+    function extractTabs(doc, source, captures) {
+        const tabSets = [];
+
+        // Tab blocks, plus the parent of any tablist not inside one
+        const containers = topLevel(doc.querySelectorAll(SELECTORS.tabs));
+        doc.querySelectorAll('[role="tablist"]').forEach(list => {
+            if (!containers.some(c => c.contains(list)) && list.parentElement) {
+                containers.push(list.parentElement);
+            }
+        });
+
+        containers.forEach((container, i) => {
+            const tabs = [];
+            const tabButtons = container.querySelectorAll(SELECTORS.tabButton);
+            const tabPanels = container.querySelectorAll(SELECTORS.tabPanel);
+
+            tabButtons.forEach((btn, j) => {
+                const label = getText(btn);
+                const panel = (btn.id && container.querySelector(`[aria-labelledby="${btn.id}"]`)) ||
+                              (btn.getAttribute('aria-controls') && doc.getElementById(btn.getAttribute('aria-controls'))) ||
+                              tabPanels[j];
+
+                if (label) {
+                    tabs.push({ label: label, content: captures?.tabs?.get(btn) || getMarkdown(panel) });
+                }
+            });
+
+            if (tabs.length > 0) {
+                tabSets.push(track(container, { id: `tabs-${i}`, tabs: tabs, source }));
+            }
+        });
+
+        return tabSets;
+    }
+
+    /**
+     * Extract process / step blocks
+     * captures.process holds the steps walked by the reveal pass
+     */
+    function extractProcess(doc, source, captures) {
+        const processes = [];
+
+        topLevel(doc.querySelectorAll(SELECTORS.process)).forEach((process, i) => {
+            const steps = [];
+
+            topLevel(process.querySelectorAll(SELECTORS.processStep)).forEach((step, j) => {
+                const title = queryText(step, 'h3, h4, [class*="title"]');
+                const description = queryMarkdown(step, 'p, [class*="description"]');
+
+                if (title || description) {
+                    steps.push({
+                        number: queryText(step, '[class*="number"]') || (j + 1).toString(),
+                        title: title,
+                        description: description
+                    });
+                }
+            });
+
+            // Prefer the walked steps when the DOM only shows the current one
+            const walked = captures?.process?.get(process);
+            if (walked && walked.length > steps.length) {
+                steps.splice(0, steps.length, ...walked);
+            }
+
+            if (steps.length > 0) {
+                processes.push(track(process, {
+                    id: `process-${i}`,
+                    title: queryText(process, 'h2'),
+                    steps: steps,
+                    source
+                }));
+            }
+        });
+
+        return processes;
+    }
+
+    /**
+     * Extract timeline blocks
+     */
+    function extractTimeline(doc, source) {
+        const timelines = [];
+
+        topLevel(doc.querySelectorAll(SELECTORS.timeline)).forEach((tl, i) => {
+            const events = [];
+
+            topLevel(tl.querySelectorAll(SELECTORS.timelineEvent)).forEach((event) => {
+                const title = queryText(event, 'h3, h4, [class*="title"]');
+                const description = queryMarkdown(event, 'p, [class*="description"]');
+
+                if (title || description) {
+                    events.push({
+                        date: queryText(event, '[class*="date"], [class*="time"]'),
+                        title: title,
+                        description: description
+                    });
+                }
+            });
+
+            if (events.length > 0) {
+                timelines.push(track(tl, { id: `timeline-${i}`, events: events, source }));
+            }
+        });
+
+        return timelines;
+    }
+
+    /**
+     * Extract sorting activities as category -> items mappings
+     * Rise only reveals where a card belongs once it has been sorted: cards
+     * sitting in a pile (and not marked incorrect) resolve to that pile;
+     * cards still in the deck keep correctCategory '' (resolved: false).
+     * Serialized course data (lib/rise-data.js) always resolves every card.
+     */
+    function extractSorting(doc, source) {
+        const activities = [];
+
+        topLevel(doc.querySelectorAll(SELECTORS.sorting)).forEach((sort, i) => {
+            // Innermost so a wrapper around all piles isn't taken for one pile
+            const piles = innermost(Array.from(sort.querySelectorAll(SELECTORS.sortingPile))
+                .filter(el => !el.matches(`${SELECTORS.sortingPileTitle}, ${SELECTORS.sortingCard}`) && !el.closest(SELECTORS.sortingCard)));
+            const categories = piles.map(pile => ({
+                title: queryText(pile, SELECTORS.sortingPileTitle) ||
+                       pile.getAttribute('aria-label') ||
+                       getText(pile.firstElementChild),
+                items: []
+            }));
+
+            const items = [];
+            const seen = new Set();
+            innermost(sort.querySelectorAll(SELECTORS.sortingCard)).forEach(card => {
+                const text = getText(card);
+                if (!text || seen.has(text) || categories.some(c => c.title === text)) return;
+                seen.add(text);
+
+                const pileIndex = piles.findIndex(pile => pile.contains(card));
+                const isIncorrect = /incorrect|wrong/i.test(card.className) || card.getAttribute('aria-invalid') === 'true';
+                let correctCategory = card.getAttribute('data-category') || '';
+                if (!correctCategory && pileIndex !== -1 && !isIncorrect) {
+                    correctCategory = categories[pileIndex].title;
+                }
+
+                items.push({ text, correctCategory });
+                const category = categories.find(c => c.title === correctCategory);
+                if (category) category.items.push(text);
+            });
+
+            const named = categories.filter(c => c.title);
+            if (named.length > 0 || items.length > 0) {
+                activities.push(track(sort, {
+                    id: `sorting-${i}`,
+                    categories: named,
+                    items,
+                    resolved: items.length > 0 && items.every(item => item.correctCategory),
+                    source
+                }));
+            }
+        });
+
+        return activities;
+    }
+
+    /**
+     * Read the scene a scenario block is currently showing
+     * Scenes are identified by character + dialogue, which stays the same
+     * however the learner reached them
+     */
+    function readScenarioScene(block) {
+        const isShown = el => !el.closest('[aria-hidden="true"], [hidden]');
+        const dialogue = topLevel(Array.from(block.querySelectorAll(SELECTORS.scenarioDialogue)).filter(isShown))
+            .map(getMarkdown)
+            .filter(t => t.length > 0)
+            .join('\n');
+        const choices = innermost(Array.from(block.querySelectorAll(SELECTORS.scenarioChoice)).filter(isShown))
+            // Responses are full sentences that can contain "back"/"next", so only drop exact control labels
+            .filter(el => getText(el) && !EXCLUDE_LABELS.includes(getText(el).toLowerCase()));
+
+        const scene = {
+            title: queryText(block, SELECTORS.scenarioTitle),
+            character: queryText(block, SELECTORS.scenarioCharacter),
+            dialogue: dialogue,
+            choices: choices.map(el => ({ text: getMarkdown(el), feedback: '', nextSceneId: null })),
+            isEnding: choices.length === 0
+        };
+        scene.key = hashString(`${scene.character}|${scene.dialogue || scene.title}`);
+
+        return { scene, choiceElements: choices };
+    }
+
+    /**
+     * Extract scenario blocks as a graph of scenes and choices
+     * captures.scenario holds the full graph walked by the reveal pass;
+     * without it only the scene on screen is known (complete: false)
+     */
+    function extractScenario(doc, source, captures) {
+        const scenarios = [];
+
+        topLevel(doc.querySelectorAll(SELECTORS.scenario)).forEach((block, i) => {
+            const captured = captures?.scenario?.get(block);
+            if (captured) {
+                scenarios.push(track(block, { id: `scenario-${i}`, ...captured, source }));
+                return;
+            }
+
+            const { scene } = readScenarioScene(block);
+            if (!scene.dialogue && scene.choices.length === 0) return;
+
+            const { key, ...current } = scene;
+            scenarios.push(track(block, {
+                id: `scenario-${i}`,
+                title: current.title,
+                startSceneId: 'scene-0',
+                scenes: [{ id: 'scene-0', ...current }],
+                complete: false,
+                source
+            }));
+        });
+
+        return scenarios;
+    }
+
+    /**
+     * Extract headings, paragraphs and Rise text-only blocks
+     */
+    function extractTextBlocks(doc, source) {
+        const blocks = [];
+
+        doc.querySelectorAll(SELECTORS.text).forEach((el, i) => {
+            const text = getText(el);
+            if (text && text.length > 10) {
+                // Headings stay plain - tagName already carries their level
+                blocks.push(track(el, {
+                    id: `text-${i}`,
+                    tagName: el.tagName,
+                    content: /^H\d$/.test(el.tagName) ? text : getMarkdown(el),
+                    source
+                }));
+            }
+        });
+
+        // Rise blocks whose text lives outside headings/paragraphs/lists/tables
+        doc.querySelectorAll(SELECTORS.block).forEach((block, i) => {
+            if (block.querySelector('h1, h2, h3, h4, p, blockquote, li, table')) return;
+
+            const text = getText(block);
+            if (text && text.length > 20) {
+                blocks.push(track(block, {
+                    id: `block-${i}`,
+                    blockType: block.getAttribute('data-block-type') || block.className,
+                    content: getMarkdown(block),
+                    source
+                }));
+            }
+        });
+
+        return blocks;
+    }
+
+    /**
+     * Extract lists with their preceding heading
+     */
+    function extractLists(doc, source) {
+        const lists = [];
+        const NAV_ONLY = ['previous', 'next', 'close modal', 'skip', 'menu'];
+
+        doc.querySelectorAll('ul, ol').forEach((list, i) => {
+            // Only filter exact matches for nav items, not content that contains these words
+            const items = Array.from(list.querySelectorAll(':scope > li'))
+                .filter(li => {
+                    const text = getText(li);
+                    return text.length >= 3 && !NAV_ONLY.includes(text.toLowerCase());
+                })
+                .map(getMarkdown);
+
+            const prevSibling = list.previousElementSibling;
+            const heading = prevSibling?.matches('h1, h2, h3, h4, h5, h6, p') ? getText(prevSibling) : '';
+
+            if (items.length > 0) {
+                lists.push(track(list, {
+                    id: `list-${i}`,
+                    heading: heading,
+                    items: items,
+                    ordered: list.tagName === 'OL',
+                    source
+                }));
+            }
+        });
+
+        return lists;
+    }
+
+    /**
+     * Extract tables
+     */
+    function extractTables(doc, source) {
+        const tables = [];
+
+        doc.querySelectorAll('table').forEach((table, i) => {
+            const read = readTable(table);
+            if (read) {
+                tables.push(track(table, { id: `table-${i}`, ...read, source }));
+            }
+        });
+
+        return tables;
+    }
+
+    /**
+     * Header-styled cell: <th>, a header role, or text that is entirely bold
+     * (Rise styles its header row instead of using <th>)
+     */
+    function isHeaderCell(cell) {
+        if (cell.tagName === 'TH' || /header/.test(cell.getAttribute('role') || '')) return true;
+
+        const text = getText(cell).replace(/\s+/g, '');
+        if (!text) return false;
+        const bold = Array.from(cell.querySelectorAll('strong, b')).map(getText).join('').replace(/\s+/g, '');
+        if (bold === text) return true;
+
+        const win = cell.ownerDocument.defaultView;
+        return !!win?.getComputedStyle && parseInt(win.getComputedStyle(cell).fontWeight, 10) >= 600;
+    }
+
+    /**
+     * Nearest heading before an element in document order
+     */
+    function precedingHeading(el) {
+        const headings = Array.from(el.ownerDocument.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+            .filter(h => h.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING && !h.closest('table'));
+        return getText(headings[headings.length - 1]);
+    }
+
+    /**
+     * Read a table into a normalized grid
+     * colspan/rowspan are expanded (a spanned cell's text fills every slot it
+     * covers, spans[] records the originals), leading header rows and a header
+     * column are detected, and cells keep their Markdown.
+     * headers = column labels (stacked header rows joined with " / "),
+     * rows = body rows of the grid.
+     * @returns {Object|null} { caption, heading, headers, rows, grid, headerRows, headerColumns, spans }
+     */
+    function readTable(table) {
+        const grid = [];
+        const header = [];
+        const spans = [];
+
+        // table.rows / row.cells skip the rows and cells of nested tables
+        Array.from(table.rows).forEach((tr, r) => {
+            grid[r] = grid[r] || [];
+            header[r] = header[r] || [];
+            let c = 0;
+
+            Array.from(tr.cells).forEach(cell => {
+                while (grid[r][c] !== undefined) c++;
+
+                const rowSpan = Math.max(1, parseInt(cell.getAttribute('rowspan'), 10) || 1);
+                const colSpan = Math.max(1, parseInt(cell.getAttribute('colspan'), 10) || 1);
+                const text = getMarkdown(cell);
+                const isHeader = isHeaderCell(cell) || !!cell.closest('thead');
+                if (rowSpan > 1 || colSpan > 1) spans.push({ row: r, col: c, rowSpan, colSpan });
+
+                for (let dr = 0; dr < rowSpan && r + dr < table.rows.length; dr++) {
+                    grid[r + dr] = grid[r + dr] || [];
+                    header[r + dr] = header[r + dr] || [];
+                    for (let dc = 0; dc < colSpan; dc++) {
+                        grid[r + dr][c + dc] = text;
+                        header[r + dr][c + dc] = isHeader;
+                    }
+                }
+                c += colSpan;
+            });
+        });
+
+        const width = Math.max(0, ...grid.map(row => row.length));
+        grid.forEach((row, r) => {
+            for (let c = 0; c < width; c++) {
+                if (row[c] === undefined) {
+                    row[c] = '';
+                    header[r][c] = false;
+                }
+            }
+        });
+        if (grid.length === 0 || width === 0 || grid.every(row => row.every(text => !text))) return null;
+
+        // Leading rows whose filled cells are all headers - unless every row looks like that
+        const isHeaderRow = (r) => grid[r].some(text => text) && grid[r].every((text, c) => !text || header[r][c]);
+        let headerRows = 0;
+        while (headerRows < grid.length && isHeaderRow(headerRows)) headerRows++;
+        if (headerRows === grid.length) headerRows = grid.length > 1 ? 0 : headerRows;
+
+        // Row headers: every body row starts with a header cell and the rest are plain data
+        const body = grid.slice(headerRows);
+        const bodyHeader = header.slice(headerRows);
+        const headerColumns = width > 1 && body.length > 0 &&
+            bodyHeader.every((flags, r) => flags[0] || !body[r][0]) &&
+            bodyHeader.some(flags => flags.slice(1).some(flag => !flag)) ? 1 : 0;
+
+        const headers = Array.from({ length: width }, (_, c) => {
+            const labels = [];
+            for (let r = 0; r < headerRows; r++) {
+                const label = stripMarkdown(grid[r][c]).replace(/\s+/g, ' ').trim();
+                if (label && labels[labels.length - 1] !== label) labels.push(label);
+            }
+            return labels.join(' / ');
+        });
+
+        return {
+            caption: getText(table.caption),
+            heading: precedingHeading(table),
+            headers: headerRows > 0 ? headers : [],
+            rows: body,
+            grid,
+            headerRows,
+            headerColumns,
+            spans
+        };
+    }
+
+    /**
+     * Extract images with alt text and captions
+     */
+    function extractImages(doc, source) {
+        const images = [];
+
+        doc.querySelectorAll('img').forEach((img, i) => {
+            const src = img.src || img.getAttribute('data-src') || '';
+            // Use naturalWidth/Height if available, otherwise fall back to attributes
+            const width = img.naturalWidth || img.width || parseInt(img.getAttribute('width')) || 0;
+            const height = img.naturalHeight || img.height || parseInt(img.getAttribute('height')) || 0;
+
+            // Skip tiny images (icons, spacers), data URIs, and tracking pixels
+            // Also include images with no dimensions if they have a valid src (may not be loaded yet)
+            const hasValidSrc = src && !src.startsWith('data:') && !src.includes('tracking') && !src.includes('pixel');
+            const hasValidSize = (width > 50 && height > 50) || (width === 0 && height === 0);
+
+            if (hasValidSrc && hasValidSize) {
+                images.push(track(img, {
+                    id: `img-${i}`,
+                    src: src,
+                    alt: img.alt || '',
+                    caption: queryText(img.closest('figure') || img, 'figcaption'),
+                    width: width,
+                    height: height,
+                    source
+                }));
+            }
+        });
+
+        return images;
+    }
+
+    /**
+     * Provider and video id of an embed URL ({ provider: '', embedId: '' } when unknown)
+     */
+    function parseVideoEmbed(src) {
+        for (const { name, pattern } of VIDEO_PROVIDERS) {
+            const match = pattern.exec(src || '');
+            if (match) return { provider: name, embedId: match[1] };
+        }
+        return { provider: '', embedId: '' };
+    }
+
+    /**
+     * Seconds from a caption/transcript timestamp ("01:02:03.500", "02:03.500", "2:03"), or null
+     */
+    function parseTimestamp(str) {
+        const parts = String(str || '').trim().split(':');
+        if (parts.length < 2 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) return null;
+        return Math.round(parts.reduce((total, part) => total * 60 + parseFloat(part), 0) * 1000) / 1000;
+    }
+
+    /**
+     * Transcript object attached to a video item
+     * text is the whole narration in one string, for text exports
+     */
+    function createTranscript(segments, info = {}) {
+        return {
+            language: info.language || '',
+            label: info.label || '',
+            origin: info.origin || '',
+            segments: segments,
+            text: segments.map(segment => segment.text).join(' ')
+        };
+    }
+
+    /**
+     * Caption/subtitle tracks of an HTML5 video (VTT files, fetched by lib/transcripts.js)
+     */
+    function readCaptionTracks(video) {
+        return Array.from(video.querySelectorAll(SELECTORS.captionTrack))
+            .filter(el => el.getAttribute('src'))
+            .map(el => ({
+                kind: el.getAttribute('kind') || 'subtitles',
+                label: el.getAttribute('label') || '',
+                language: el.getAttribute('srclang') || '',
+                src: new URL(el.getAttribute('src'), el.baseURI).href,
+                isDefault: el.hasAttribute('default')
+            }));
+    }
+
+    /**
+     * Transcript shown on the page next to a video (same Rise block), or null
+     * Lines may start with a timestamp ("0:15 Open Flow Builder...")
+     */
+    function readPageTranscript(el) {
+        const scope = el.closest(SELECTORS.block) || el.parentElement;
+        if (!scope) return null;
+
+        const panel = topLevel(scope.querySelectorAll(SELECTORS.transcript))
+            .find(candidate => !candidate.contains(el) && getText(candidate).includes('\n'));
+        if (!panel) return null;
+
+        const segments = getText(panel).split('\n').map(line => {
+            const match = /^\[?((?:\d{1,2}:)?\d{1,2}:\d{2})\]?\s*(.*)$/.exec(line);
+            return match
+                ? { start: parseTimestamp(match[1]), end: null, text: match[2].trim() }
+                : { start: null, end: null, text: line.trim() };
+        }).filter(segment => segment.text && !/^transcript$/i.test(segment.text));
+
+        return segments.length > 0 ? createTranscript(segments, { origin: 'page' }) : null;
+    }
+
+    /**
+     * Extract video information
+     * HTML5 videos list their caption tracks (lib/transcripts.js fetches them into
+     * transcript); embeds record the provider's video id. A transcript printed on
+     * the page beside either is attached directly.
+     */
+    function extractVideos(doc, source) {
+        const videos = [];
+
+        // HTML5 video elements (Wistia's player renders one inside its .wistia_async_<id> container)
+        doc.querySelectorAll(SELECTORS.video).forEach((video, i) => {
+            const wistia = video.closest('[class*="wistia_async_"]');
+            const item = {
+                id: `video-${i}`,
+                src: video.currentSrc || video.src || video.querySelector('source')?.src || '',
+                poster: video.poster || '',
+                type: 'video',
+                ...(wistia ? parseVideoEmbed(wistia.className) : {}),
+                tracks: readCaptionTracks(video),
+                source
+            };
+            const transcript = readPageTranscript(wistia || video);
+            if (transcript) item.transcript = transcript;
+            videos.push(track(video, item));
+        });
+
+        // YouTube/Vimeo/Wistia embeds
+        doc.querySelectorAll(SELECTORS.videoEmbed).forEach((iframe, i) => {
+            const item = {
+                id: `video-embed-${i}`,
+                src: iframe.src,
+                poster: '',
+                type: 'video-embed',
+                ...parseVideoEmbed(iframe.src),
+                source
+            };
+            const transcript = readPageTranscript(iframe);
+            if (transcript) item.transcript = transcript;
+            videos.push(track(iframe, item));
+        });
+
+        return videos;
+    }
+
+    /**
+     * Get raw text from the entire document
+     */
+    function extractRawText(doc = document, maxLength = 10000) {
+        if (!doc.body) return '';
+
+        // getText skips scripts/styles and keeps a line per block element
+        return getText(doc.body).substring(0, maxLength);
+    }
+
+    /**
+     * Course/lesson hints visible inside a frame (breadcrumbs, lesson h1)
+     */
+    function extractFrameMetadata(doc = document) {
+        const metadata = { course: '', lesson: '', path: '' };
+
+        const breadcrumbs = doc.querySelectorAll('.breadcrumb a, .breadcrumbs a, nav a');
+        if (breadcrumbs.length > 0) {
+            const crumbs = Array.from(breadcrumbs).map(getText);
+            if (crumbs.length >= 2) {
+                metadata.path = crumbs[0] || '';
+                metadata.course = crumbs[crumbs.length - 2] || '';
+            }
+        }
+
+        // Remove duration if present (e.g., "Account Settings 0 hr 20 min")
+        const h1 = doc.querySelector('h1');
+        if (h1) {
+            metadata.lesson = getText(h1).replace(/\s*\d+\s*hr\s*\d*\s*min\s*$/i, '').trim();
+        }
+
+        const courseTitle = doc.querySelector('.course-title, [class*="course-name"], .lesson-title');
+        if (courseTitle && !metadata.course) {
+            metadata.course = getText(courseTitle);
+        }
+
+        return metadata;
+    }
+
+    // Data adapters (lib/rise-data.js, ...) tried before DOM scraping
+    const adapters = [];
+
+    /**
+     * Register a data adapter
+     * @param {Object} adapter - { name, extract(doc), extractAsync?(doc) } returning content or null.
+     *   extractAsync (e.g. fetching published data files) is preferred on async paths.
+     */
+    function registerAdapter(adapter) {
+        adapters.push(adapter);
+    }
+
+    /**
+     * Content from the first adapter that recognises this document, or null
+     */
+    function extractFromData(doc = document) {
+        for (const adapter of adapters) {
+            try {
+                const content = adapter.extract(doc);
+                if (content) {
+                    console.log(`Celigo U Scraper: Extracted from ${adapter.name} data`);
+                    return content;
+                }
+            } catch (e) {
+                console.log(`Celigo U Scraper: ${adapter.name} adapter failed:`, e.message);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Async variant of extractFromData - runs each adapter's extractAsync when it has one
+     */
+    async function extractFromDataAsync(doc = document) {
+        for (const adapter of adapters) {
+            try {
+                const content = adapter.extractAsync ? await adapter.extractAsync(doc) : adapter.extract(doc);
+                if (content) {
+                    console.log(`Celigo U Scraper: Extracted from ${adapter.name} data`);
+                    return content;
+                }
+            } catch (e) {
+                console.log(`Celigo U Scraper: ${adapter.name} adapter failed:`, e.message);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Ordered outline of the lesson: sections from heading levels, holding the
+     * blocks under them in document ([data-block-id]) order
+     * Text nested inside an interactive item (an accordion's paragraphs), or a
+     * list that is only an item's wrapper (flashcard <ol>), is left to that item.
+     */
+    function buildOutline(doc, content) {
+        const entries = [];
+
+        Object.keys(content).forEach(type => {
+            if (!Array.isArray(content[type])) return;
+            content[type].forEach(item => {
+                const el = itemElements.get(item);
+                if (el && el.isConnected) entries.push({ type, item, el });
+            });
+        });
+
+        const containers = entries.filter(e => !OUTLINE_TEXT_TYPES.includes(e.type)).map(e => e.el);
+        const ordered = entries
+            .filter(e => !OUTLINE_TEXT_TYPES.includes(e.type) || !containers.some(c => c !== e.el && (c.contains(e.el) || e.el.contains(c))))
+            .sort((a, b) => {
+                if (a.el === b.el) return 0;
+                return a.el.compareDocumentPosition(b.el) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+            });
+
+        if (ordered.length === 0) return [];
+
+        const title = queryText(doc, '.lesson-header__title, [class*="lesson-header"] h1') || doc.title || '';
+        const outline = createOutline(title);
+        ordered.forEach(({ type, item, el }) => {
+            outline.add(type, item, el.closest(SELECTORS.block)?.getAttribute('data-block-id') || '');
+        });
+
+        return [outline.root];
+    }
+
+    /**
+     * Main extraction function - every path calls this
+     * Uses a data adapter when one matches, falling back to DOM scraping
+     * @param {Document} doc - Document to extract from
+     * @param {Object} [options]
+     * @param {Object} [options.captures] - Hidden content read by the reveal pass (lib/reveal.js)
+     * @param {boolean} [options.domOnly] - Skip data adapters
+     * @returns {Object} Content object (see createEmptyContent)
+     */
+    function extractContent(doc = document, options = {}) {
+        if (!options.domOnly) {
+            const data = extractFromData(doc);
+            if (data) return data;
+        }
+
+        const contentType = detectContentType(doc);
+        const source = contentType.source;
+        const captures = options.captures || null;
+
+        console.log(`Celigo U Scraper: Extracting ${source} content from`, doc.location?.href);
+
+        const content = createEmptyContent();
+        content.flipCards = extractFlipCards(doc, source);
+        content.hotspots = extractHotspots(doc, source, captures);
+        content.labeledGraphic = extractLabeledGraphics(doc, source, captures);
+        content.knowledgeChecks = extractKnowledgeChecks(doc, source, captures);
+        content.accordions = extractAccordions(doc, source, captures);
+        content.tabs = extractTabs(doc, source, captures);
+        content.process = extractProcess(doc, source, captures);
+        content.timeline = extractTimeline(doc, source);
+        content.sorting = extractSorting(doc, source);
+        content.scenario = extractScenario(doc, source, captures);
+        content.textBlocks = extractTextBlocks(doc, source);
+        content.lists = extractLists(doc, source);
+        content.tables = extractTables(doc, source);
+        content.images = extractImages(doc, source);
+        content.videos = extractVideos(doc, source);
+        addPlainText(content);
+        content.outline = buildOutline(doc, content);
+
+        console.log('Celigo U Scraper: Extraction complete', Object.fromEntries(
+            Object.keys(content).map(key => [key, content[key].length])
+        ));
+
+        return content;
+    }
+
+    window.celigoUExtractor = {
+        SELECTORS,
+        BOOKKEEPING_KEYS,
+        LINK_KEYS,
+        QUESTION_TYPES,
+        QUIZ_LESSON_TYPES,
+        CONTENT_TYPE_LABELS,
+        OUTLINE_TEXT_TYPES,
+        EXCLUDE_LABELS,
+        FALSE_POSITIVE_KC,
+        extract: extractContent,
+        extractFromData,
+        extractFromDataAsync,
+        registerAdapter,
+        extractRawText,
+        extractFrameMetadata,
+        detectContentType,
+        createEmptyContent,
+        createOutline,
+        readScenarioScene,
+        detectQuestionType,
+        shouldExcludeLabel,
+        isFalsePositiveKC,
+        parseLabel,
+        getText,
+        queryText,
+        getMarkdown,
+        queryMarkdown,
+        stripMarkdown,
+        plainTextOf,
+        addPlainText,
+        topLevel,
+        innermost,
+        hashString,
+        hashContent,
+        readTable,
+        parseVideoEmbed,
+        parseTimestamp,
+        createTranscript
+    };
+})();
@@ -0,0 +1,277 @@
+/**
+ * Celigo U Scraper - Export Formats
+ * Scraped data (a lesson, or a course/path document) as JSON, Markdown or
+ * plain text. Markdown follows each lesson's outline, so sections and blocks
+ * read in lesson order; items the outline doesn't reference (or every item,
+ * for content without one) follow grouped by content type. Knowledge checks
+ * mark the correct choices, tables become Markdown tables and videos carry
+ * their caption transcript. Plain text is the same document without Markdown.
+ * Requires lib/extractor.js; adds celigoUExtractor.EXPORT_FORMATS / formatExport()
+ */
+
+(function() {
+    'use strict';
+
+    const extractor = window.celigoUExtractor;
+    if (!extractor || extractor.formatExport) return;
+
+    // Export formats by setting value (settings.exportFormat)
+    const EXPORT_FORMATS = {
+        json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+        markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+        text: { label: 'Plain text', extension: 'txt', mimeType: 'text/plain' }
+    };
+
+    // Fields written as an item's heading line
+    const LABEL_KEYS = ['title', 'heading', 'label', 'caption', 'question', 'prompt'];
+
+    // Keys whose values are image objects ({ src, alt, ... })
+    const IMAGE_KEYS = ['image', 'images'];
+
+    // Fields that aren't lesson text; images and transcripts are written by their own renderers
+    const SKIPPED_KEYS = [...extractor.BOOKKEEPING_KEYS, ...extractor.LINK_KEYS, 'transcript', 'alt'];
+
+    /**
+     * Markdown or plain-text building blocks
+     */
+    function createWriter(plain) {
+        const text = (value) => {
+            const trimmed = String(value ?? '').trim();
+            return plain ? extractor.stripMarkdown(trimmed).trim() : trimmed;
+        };
+        return {
+            plain,
+            text,
+            // number goes outside text(): stripMarkdown would take "1. " for a list marker
+            heading: (level, value, number) => {
+                const title = `${number ? `${number}. ` : ''}${text(value)}`;
+                return plain ? title : `${'#'.repeat(Math.min(level, 6))} ${title}`;
+            },
+            strong: (value) => (plain ? text(value) : `**${text(value)}**`)
+        };
+    }
+
+    function renderImage(image, w) {
+        const alt = image.alt || image.caption || '';
+        if (w.plain) return `[Image${alt ? `: ${alt}` : ''}]`;
+        return `![${alt.replace(/[[\]]/g, '')}](${image.src})`;
+    }
+
+    function renderVideo(video, w) {
+        const lines = [];
+        const title = video.title || video.caption;
+        if (title) lines.push(w.strong(title));
+        if (video.src) lines.push(w.plain ? `Video: ${video.src}` : `[Video](${video.src})`);
+        if (video.transcript?.text) lines.push(w.text(video.transcript.text));
+        return lines.join('\n\n');
+    }
+
+    /**
+     * Question, choices (correct ones marked when known), answers or pairs, and the feedback
+     */
+    function renderKnowledgeCheck(kc, w) {
+        const lines = [w.strong(kc.question || '')];
+        const choices = kc.choices || [];
+        const answered = choices.some(choice => choice.isCorrect);
+        choices.forEach(choice => {
+            const mark = answered ? `[${choice.isCorrect ? 'x' : ' '}] ` : '';
+            const feedback = choice.feedback ? ` - ${w.text(choice.feedback)}` : '';
+            lines.push(`- ${mark}${w.text(choice.text)}${feedback}`);
+        });
+        if (kc.acceptableAnswers?.length) {
+            lines.push(`Answer: ${kc.acceptableAnswers.map(w.text).join(' / ')}`);
+        }
+        (kc.pairs || []).forEach(pair => lines.push(`- ${w.text(pair.prompt)} → ${w.text(pair.match)}`));
+        if (kc.feedback && !choices.some(choice => choice.feedback === kc.feedback)) {
+            lines.push(w.text(kc.feedback));
+        }
+        return lines.join('\n');
+    }
+
+    function renderTable(table, w) {
+        const rows = table.rows || [];
+        const width = Math.max(table.headers?.length || 0, ...rows.map(row => row.length));
+        const pad = (row) => Array.from({ length: width }, (_, i) => row[i] ?? '');
+        const cell = (value) => {
+            const text = w.text(value).replace(/\s*\n\s*/g, ' ');
+            return w.plain ? text : text.replace(/\|/g, '\\|');
+        };
+
+        // heading is the text before the table, written as an item of its own
+        const lines = [];
+        if (table.caption) lines.push(w.strong(table.caption), '');
+        // Markdown tables need a header row: without headers the first row is used
+        const [headers, ...body] = table.headers?.length ? [table.headers, ...rows] : rows;
+        if (w.plain) {
+            [headers || [], ...body]
+                .filter(row => row.some(value => value))
+                .forEach(row => lines.push(row.map(cell).join(' | ')));
+        } else if (headers) {
+            lines.push(`| ${pad(headers).map(cell).join(' | ')} |`, `| ${pad(headers).map(() => '---').join(' | ')} |`);
+            body.forEach(row => lines.push(`| ${pad(row).map(cell).join(' | ')} |`));
+        }
+        return lines.join('\n');
+    }
+
+    // heading is the text before the list, written as an item of its own
+    function renderList(list, w) {
+        return (list.items || []).map((item, i) => `${list.ordered ? `${i + 1}.` : '-'} ${w.text(item)}`).join('\n');
+    }
+
+    /**
+     * Any other item: its text fields in order, labels in bold, string arrays as bullets
+     */
+    function renderFields(item, w) {
+        const lines = [];
+
+        (function walk(value, key) {
+            if (value === null || value === undefined || SKIPPED_KEYS.includes(key)) return;
+            if (IMAGE_KEYS.includes(key) && typeof value.src === 'string') {
+                lines.push(renderImage(value, w));
+                return;
+            }
+            if (Array.isArray(value)) {
+                if (value.every(entry => typeof entry === 'string')) {
+                    const bullets = value.filter(entry => entry.trim()).map(entry => `- ${w.text(entry)}`);
+                    if (bullets.length > 0) lines.push(bullets.join('\n'));
+                } else {
+                    value.forEach(entry => walk(entry, key));
+                }
+                return;
+            }
+            if (typeof value === 'object') {
+                Object.keys(value).forEach(k => walk(value[k], k));
+                return;
+            }
+            if (typeof value === 'string' && value.trim()) {
+                lines.push(LABEL_KEYS.includes(key) ? w.strong(value) : w.text(value));
+            }
+        })(item, null);
+
+        return lines.join('\n\n');
+    }
+
+    function renderItem(type, item, w) {
+        if (type === 'knowledgeChecks') return renderKnowledgeCheck(item, w);
+        if (type === 'tables') return renderTable(item, w);
+        if (type === 'lists') return renderList(item, w);
+        if (type === 'images') return renderImage(item, w);
+        if (type === 'videos') return renderVideo(item, w);
+        return renderFields(item, w);
+    }
+
+    /**
+     * A lesson's content: the outline's sections and blocks in lesson order,
+     * then the items it doesn't reference, grouped by type (except text it
+     * leaves out as part of an interactive item)
+     */
+    function renderContent(content, level, w) {
+        const parts = [];
+        const written = new Set();
+        const find = (ref) => (content[ref.type] || []).find(item => item.id === ref.id);
+        const write = (type, item) => {
+            if (!item || written.has(item)) return;
+            written.add(item);
+            const text = renderItem(type, item, w);
+            if (text) parts.push(text);
+        };
+
+        (function walk(nodes, depth) {
+            (nodes || []).forEach(node => {
+                if (node.type === 'section') {
+                    parts.push(w.heading(level + depth, node.heading));
+                    const heading = node.ref && find(node.ref);
+                    if (heading) written.add(heading);
+                    walk(node.children, depth + 1);
+                } else if (node.type === 'block') {
+                    node.items.forEach(ref => write(ref.type, find(ref)));
+                } else {
+                    walk(node.children, depth);
+                }
+            });
+        })(content.outline, 0);
+
+        const outlined = (content.outline || []).length > 0;
+        Object.keys(content)
+            .filter(type => type !== 'outline' && Array.isArray(content[type]))
+            .filter(type => !outlined || !extractor.OUTLINE_TEXT_TYPES.includes(type))
+            .forEach(type => {
+                const rest = content[type].filter(item => item && typeof item === 'object' && !written.has(item));
+                if (rest.length === 0) return;
+                parts.push(w.heading(level, extractor.CONTENT_TYPE_LABELS[type] || type));
+                rest.forEach(item => write(type, item));
+            });
+
+        return parts.join('\n\n');
+    }
+
+    function renderLesson(data, w) {
+        const metadata = data.metadata || {};
+        const details = [
+            metadata.course ? `Course: ${metadata.course}` : '',
+            metadata.url ? `Source: ${metadata.url}` : '',
+            metadata.scrapedAt ? `Scraped: ${metadata.scrapedAt}` : ''
+        ].filter(line => line);
+        return [
+            w.heading(1, metadata.lesson || metadata.course || 'Lesson'),
+            details.join('\n'),
+            renderContent(data.content || {}, 2, w)
+        ].filter(part => part).join('\n\n');
+    }
+
+    /**
+     * A course document's lessons in curriculum order; lessons without content say why
+     */
+    function renderCourse(course, level, w) {
+        const metadata = course.metadata || {};
+        const parts = [w.heading(level, metadata.course || course.title || 'Course')];
+        if (metadata.description) parts.push(w.text(metadata.description));
+        if (course.error) parts.push(`Not scraped: ${course.error}`);
+
+        (course.lessons || []).forEach(lesson => {
+            parts.push(w.heading(level + 1, lesson.title || lesson.metadata?.lesson || 'Lesson', lesson.index));
+            if (lesson.content) {
+                const body = renderContent(lesson.content, level + 2, w);
+                if (body) parts.push(body);
+            } else {
+                const reason = lesson.error || lesson.reason;
+                parts.push(`Not scraped (${lesson.status || 'missing'}${reason ? `: ${reason}` : ''})`);
+            }
+        });
+        return parts.join('\n\n');
+    }
+
+    function renderPath(path, w) {
+        const metadata = path.metadata || {};
+        return [
+            w.heading(1, metadata.path || 'Learning path'),
+            ...(path.courses || []).map(course => renderCourse(course, 2, w))
+        ].join('\n\n');
+    }
+
+    /**
+     * Serialize scraped data for export or the clipboard
+     * @param {Object} data - Lesson document, or a course/path document (data.type)
+     * @param {string} [format] - Key of EXPORT_FORMATS
+     * @returns {string}
+     */
+    function formatExport(data, format = 'json') {
+        if (format === 'json' || !EXPORT_FORMATS[format]) {
+            return JSON.stringify(data, null, 2);
+        }
+
+        const w = createWriter(format === 'text');
+        let text;
+        if (data.type === 'path') {
+            text = renderPath(data, w);
+        } else if (data.type === 'course') {
+            text = renderCourse(data, 1, w);
+        } else {
+            text = renderLesson(data, w);
+        }
+        return `${text}\n`;
+    }
+
+    extractor.EXPORT_FORMATS = EXPORT_FORMATS;
+    extractor.formatExport = formatExport;
+})();
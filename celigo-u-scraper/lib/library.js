@@ -0,0 +1,621 @@
+/**
+ * Celigo U Scraper - Content Library (IndexedDB)
+ * Scrapes are kept per lesson instead of as a rolling history: one record per
+ * course + lesson describing its latest scrape, and every scrape whose content
+ * differed from the one before as a numbered version. Re-scraping an unchanged
+ * lesson only refreshes the record. IndexedDB (with unlimitedStorage) has room
+ * for whole learning paths, which chrome.storage.local does not.
+ * The latest version of every lesson is also kept in a full-text index
+ * (passages plus an inverted term index) updated in the same transaction.
+ * Each record also counts what its latest scrape changed since the one before
+ * (lib/diff.js), for the popup's "changed" badge.
+ * Scrapes are written by the background service worker and restored backups
+ * by the backup page; other extension pages (the course compendium) only read.
+ * Deleting lessons or versions also deletes the captured images (lib/assets.js)
+ * no stored version uses any more.
+ * Requires lib/extractor.js, lib/search.js and lib/diff.js (and lib/assets.js
+ * where lessons are deleted); adds celigoUExtractor.library
+ */
+
+(function() {
+    'use strict';
+
+    const extractor = window.celigoUExtractor;
+    if (!extractor || extractor.library) return;
+
+    const DB_NAME = 'celigo-u-library';
+    const DB_VERSION = 2;
+
+    // lessons: { key, courseKey, lessonKey, ..., version, lastVersion, versionCount, changes } keyed by '<course>/<lesson>'
+    //   - version is the latest scrape's; lastVersion the highest number in use (imports add older scrapes after it)
+    // versions: { key, version, scrapedAt, hash, itemCount, data } keyed by [key, version]
+    // passages: { key, passages: [{ type, label, text }], terms } of each lesson's latest version
+    // terms: { term, keys } - the lessons whose passages contain the term
+    const STORES = {
+        lessons: 'lessons',
+        versions: 'versions',
+        passages: 'passages',
+        terms: 'terms'
+    };
+
+    const SEARCH_LIMIT = 50;
+
+    let dbPromise = null;
+
+    /**
+     * Open (and on first use create) the library database
+     */
+    function openLibrary() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    if (event.oldVersion < 1) {
+                        const lessons = db.createObjectStore(STORES.lessons, { keyPath: 'key' });
+                        lessons.createIndex('courseKey', 'courseKey');
+                        db.createObjectStore(STORES.versions, { keyPath: ['key', 'version'] });
+                    }
+                    if (event.oldVersion < 2) {
+                        db.createObjectStore(STORES.passages, { keyPath: 'key' });
+                        db.createObjectStore(STORES.terms, { keyPath: 'term' });
+                        // Lessons saved before search existed; the upgrade waits for the index
+                        if (event.oldVersion >= 1) indexAllLessons(request.transaction);
+                    }
+                };
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Don't hold up an upgrade opened by a newer version of the extension
+                    db.onversionchange = () => {
+                        db.close();
+                        dbPromise = null;
+                    };
+                    resolve(db);
+                };
+                request.onerror = () => reject(request.error);
+            });
+            // Let the next call try again
+            dbPromise.catch(() => { dbPromise = null; });
+        }
+        return dbPromise;
+    }
+
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run work(tx) in one transaction
+     * work may only await requests of that transaction (anything else lets it commit early).
+     * @returns {Promise<*>} work's result, once the transaction has committed
+     */
+    async function transact(mode, work) {
+        const db = await openLibrary();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(Object.values(STORES), mode);
+            let result;
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Library transaction aborted'));
+            Promise.resolve(work(tx)).then(value => { result = value; }, error => {
+                try {
+                    tx.abort();
+                } catch (e) {
+                    // Already finished
+                }
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Every version of a lesson, as a key range over [key, version]
+     */
+    function versionRange(key, below = Infinity) {
+        return IDBKeyRange.bound([key, 0], [key, below], false, below !== Infinity);
+    }
+
+    /**
+     * Highest version number a lesson uses (records from before imports kept numbers only have version)
+     */
+    function lastVersionOf(record) {
+        return record?.lastVersion ?? record?.version ?? 0;
+    }
+
+    /**
+     * Versions newest scrape first
+     */
+    function byScrapeDesc(a, b) {
+        return b.scrapedAt.localeCompare(a.scrapedAt) || b.version - a.version;
+    }
+
+    function slugify(text) {
+        return (text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    /**
+     * Library key of a scrape: Skilljar course slug (or id, or title) and lesson id (or title, or URL)
+     * The course slug comes first because it's read from the URL, so it's there even when the page globals aren't.
+     */
+    function lessonKeys(metadata = {}) {
+        const courseKey = metadata.courseSlug || metadata.courseId || slugify(metadata.course) || 'unknown-course';
+        const lessonKey = metadata.lessonId || slugify(metadata.lesson) || metadata.url || 'unknown-lesson';
+        return { key: `${courseKey}/${lessonKey}`, courseKey, lessonKey };
+    }
+
+    /**
+     * Replace a lesson's passages and its entries in the term index
+     * @param {IDBTransaction} tx - Read-write transaction
+     * @param {Object|null} content - Content of the lesson's latest version (null to drop the lesson from the index)
+     */
+    async function indexLesson(tx, key, content) {
+        const passageStore = tx.objectStore(STORES.passages);
+        const termStore = tx.objectStore(STORES.terms);
+
+        const previous = await promisify(passageStore.get(key));
+        const passages = content ? extractor.lessonPassages(content) : [];
+        const terms = new Set(passages.flatMap(passage => extractor.tokenize(`${passage.label} ${passage.text}`)));
+        const oldTerms = new Set(previous?.terms || []);
+
+        const changes = [
+            ...Array.from(oldTerms).filter(term => !terms.has(term)).map(term => [term, false]),
+            ...Array.from(terms).filter(term => !oldTerms.has(term)).map(term => [term, true])
+        ];
+        await Promise.all(changes.map(async ([term, add]) => {
+            const entry = (await promisify(termStore.get(term))) || { term, keys: [] };
+            entry.keys = entry.keys.filter(item => item !== key);
+            if (add) entry.keys.push(key);
+            if (entry.keys.length > 0) {
+                termStore.put(entry);
+            } else {
+                termStore.delete(term);
+            }
+        }));
+
+        if (passages.length > 0) {
+            passageStore.put({ key, passages, terms: Array.from(terms) });
+        } else {
+            passageStore.delete(key);
+        }
+    }
+
+    /**
+     * Index the latest version of every lesson (database upgrade from before search)
+     */
+    async function indexAllLessons(tx) {
+        try {
+            const records = await promisify(tx.objectStore(STORES.lessons).getAll());
+            for (const record of records) {
+                const latest = await promisify(tx.objectStore(STORES.versions).get([record.key, record.version]));
+                await indexLesson(tx, record.key, latest?.data?.content || null);
+            }
+            console.log(`Celigo U Scraper: Indexed ${records.length} library lessons for search`);
+        } catch (error) {
+            console.error('Library index error:', error);
+        }
+    }
+
+    /**
+     * Course and lesson fields of a lesson record, from a scrape's metadata (falling back to the previous record)
+     */
+    function describeLesson(metadata, previous) {
+        return {
+            url: metadata.url || previous?.url || '',
+            course: metadata.course || previous?.course || '',
+            courseId: metadata.courseId || previous?.courseId || '',
+            courseSlug: metadata.courseSlug || previous?.courseSlug || '',
+            lesson: metadata.lesson || previous?.lesson || '',
+            lessonId: metadata.lessonId || previous?.lessonId || '',
+            lessonIndex: metadata.lessonIndex ?? previous?.lessonIndex ?? null,
+            path: metadata.path || previous?.path || ''
+        };
+    }
+
+    function contentHash(data) {
+        return extractor.hashString(JSON.stringify(data?.content || {}));
+    }
+
+    /**
+     * What a version changed since an earlier one: { added, removed, modified, since },
+     * or null when nothing a learner sees changed (only ids or image links)
+     */
+    function changeSummary(earlier, later) {
+        if (!earlier) return null;
+        const { changed, summary } = extractor.diffLessons(earlier.data?.content, later.data?.content);
+        return changed ? { added: summary.added, removed: summary.removed, modified: summary.modified, since: earlier.version } : null;
+    }
+
+    /**
+     * Store a lesson scrape
+     * Adds a version when the content differs from the lesson's latest version.
+     * @param {Object} data - Lesson document ({ metadata, content, assets, statistics })
+     * @param {Object} [options]
+     * @param {string} [options.scrapedAt] - Defaults to metadata.scrapedAt
+     * @param {boolean} [options.pinned] - Pin the lesson (an existing pin is kept either way)
+     * @returns {Promise<Object>} { key, version, created, changed }
+     */
+    async function saveLesson(data, options = {}) {
+        const metadata = data.metadata || {};
+        const { key, courseKey, lessonKey } = lessonKeys(metadata);
+        const scrapedAt = options.scrapedAt || metadata.scrapedAt || new Date().toISOString();
+        const hash = contentHash(data);
+        const itemCount = data.statistics?.totalItems || 0;
+
+        return transact('readwrite', async (tx) => {
+            const lessons = tx.objectStore(STORES.lessons);
+            const previous = await promisify(lessons.get(key));
+            const changed = !previous || previous.hash !== hash;
+
+            const record = {
+                key,
+                courseKey,
+                lessonKey,
+                ...describeLesson(metadata, previous),
+                pinned: !!(previous?.pinned || options.pinned),
+                version: previous?.version || 0,
+                lastVersion: lastVersionOf(previous),
+                versionCount: previous?.versionCount || 0,
+                hash,
+                itemCount,
+                statistics: data.statistics || {},
+                // Cleared by a re-scrape that found nothing new
+                changes: null,
+                createdAt: previous?.createdAt || scrapedAt,
+                changedAt: previous?.changedAt || scrapedAt,
+                updatedAt: scrapedAt
+            };
+
+            if (changed) {
+                const versions = tx.objectStore(STORES.versions);
+                const latest = previous ? await promisify(versions.get([key, previous.version])) : null;
+                record.version = ++record.lastVersion;
+                record.versionCount++;
+                record.changes = changeSummary(latest, { data });
+                record.changedAt = scrapedAt;
+                versions.put({ key, version: record.version, scrapedAt, hash, itemCount, data });
+                await indexLesson(tx, key, data.content);
+            }
+
+            lessons.put(record);
+            return { key, version: record.version, created: !previous, changed };
+        });
+    }
+
+    /**
+     * Every lesson record (no scraped data)
+     */
+    async function listLessons() {
+        return transact('readonly', (tx) => promisify(tx.objectStore(STORES.lessons).getAll()));
+    }
+
+    /**
+     * One lesson with the data of one of its versions
+     * @param {string} key - Lesson key
+     * @param {number} [version] - Defaults to the latest
+     * @returns {Promise<Object|null>} Lesson record plus versions ([{ version, scrapedAt, itemCount }], newest scrape first) and data
+     */
+    async function getLesson(key, version) {
+        return transact('readonly', async (tx) => {
+            const record = await promisify(tx.objectStore(STORES.lessons).get(key));
+            if (!record) return null;
+
+            const versions = await promisify(tx.objectStore(STORES.versions).getAll(versionRange(key)));
+            const opened = versions.find(item => item.version === (version || record.version));
+            if (!opened) return null;
+
+            return {
+                ...record,
+                versions: versions.sort(byScrapeDesc).map(({ data, ...item }) => item),
+                openedVersion: opened.version,
+                scrapedAt: opened.scrapedAt,
+                data: opened.data
+            };
+        });
+    }
+
+    /**
+     * Every stored lesson of a course with the data of its latest version
+     * @param {string} courseKey - Course part of the lesson keys (see lessonKeys())
+     * @returns {Promise<Array>} Lesson records plus data, in no particular order
+     */
+    async function getCourse(courseKey) {
+        return transact('readonly', async (tx) => {
+            const records = await promisify(tx.objectStore(STORES.lessons).index('courseKey').getAll(courseKey));
+            const versions = tx.objectStore(STORES.versions);
+            return Promise.all(records.map(async (record) => {
+                const latest = await promisify(versions.get([record.key, record.version]));
+                return { ...record, scrapedAt: latest?.scrapedAt || record.updatedAt, data: latest?.data || null };
+            }));
+        });
+    }
+
+    /**
+     * Captured image ids referenced by any stored version (its data.assets index)
+     */
+    async function referencedAssets() {
+        return transact('readonly', (tx) => new Promise((resolve, reject) => {
+            const used = new Set();
+            // A cursor, so only one version's data is held at a time
+            const request = tx.objectStore(STORES.versions).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(used);
+                    return;
+                }
+                Object.values(cursor.value.data?.assets || {}).forEach(assetId => used.add(assetId));
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        }));
+    }
+
+    /**
+     * Delete the captured images ('asset:<hash>' in chrome.storage.local) that no stored version references
+     * @returns {Promise<Object>} { assetsRemoved, freedBytes }
+     */
+    async function removeUnusedAssets() {
+        const used = await referencedAssets();
+        const storage = chrome.storage.local;
+        const keys = storage.getKeys ? await storage.getKeys() : Object.keys(await storage.get(null));
+        const unused = keys.filter(key =>
+            key.startsWith(extractor.ASSET_PREFIX) && !used.has(key.slice(extractor.ASSET_PREFIX.length)));
+        if (unused.length === 0) return { assetsRemoved: 0, freedBytes: 0 };
+
+        const freedBytes = await storage.getBytesInUse(unused);
+        await storage.remove(unused);
+        console.log(`Celigo U Scraper: Removed ${unused.length} unused images (${freedBytes} bytes)`);
+        return { assetsRemoved: unused.length, freedBytes };
+    }
+
+    /**
+     * Delete a lesson and all its versions, then the images only they used
+     * @returns {Promise<Object>} { assetsRemoved, freedBytes }
+     */
+    async function deleteLesson(key) {
+        await transact('readwrite', async (tx) => {
+            await indexLesson(tx, key, null);
+            tx.objectStore(STORES.lessons).delete(key);
+            tx.objectStore(STORES.versions).delete(versionRange(key));
+        });
+        return removeUnusedAssets();
+    }
+
+    /**
+     * Pin or unpin a lesson (pinned lessons keep all versions on cleanup)
+     * @returns {Promise<boolean>} Whether the lesson exists
+     */
+    async function setPinned(key, pinned) {
+        return transact('readwrite', async (tx) => {
+            const lessons = tx.objectStore(STORES.lessons);
+            const record = await promisify(lessons.get(key));
+            if (!record) return false;
+            record.pinned = !!pinned;
+            lessons.put(record);
+            return true;
+        });
+    }
+
+    /**
+     * Delete every version but the latest of each unpinned lesson, then the images only they used
+     * @returns {Promise<Object>} { removed, assetsRemoved, freedBytes } - removed counts versions
+     */
+    async function pruneVersions() {
+        const removed = await transact('readwrite', async (tx) => {
+            const lessons = tx.objectStore(STORES.lessons);
+            const versions = tx.objectStore(STORES.versions);
+            let removed = 0;
+
+            for (const record of await promisify(lessons.getAll())) {
+                if (record.pinned || record.versionCount <= 1) continue;
+                // Imported older scrapes may be numbered after the latest
+                const others = [
+                    versionRange(record.key, record.version),
+                    IDBKeyRange.bound([record.key, record.version], [record.key, Infinity], true, false)
+                ];
+                for (const range of others) {
+                    removed += await promisify(versions.count(range));
+                    versions.delete(range);
+                }
+                record.versionCount = 1;
+                // The version its changes were counted against is gone
+                record.changes = null;
+                lessons.put(record);
+            }
+
+            return removed;
+        });
+        return { removed, ...await removeUnusedAssets() };
+    }
+
+    /**
+     * Full-text search over the latest version of every lesson
+     * Lessons containing every term come from the term index (the last term
+     * matches as a prefix); their passages are then scored and cut to snippets.
+     * @param {string} query - Words to find
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Most results returned (SEARCH_LIMIT)
+     * @returns {Promise<Object>} { terms, total, results: [{ key, courseKey, course, lesson, lessonId, url, type, label, snippet, score }] }, best first
+     */
+    async function search(query, options = {}) {
+        const terms = [...new Set(extractor.tokenize(query))];
+        if (terms.length === 0) return { terms, total: 0, results: [] };
+
+        return transact('readonly', async (tx) => {
+            const termStore = tx.objectStore(STORES.terms);
+            let candidates = null;
+
+            for (const [i, term] of terms.entries()) {
+                const range = i === terms.length - 1 ? IDBKeyRange.bound(term, `${term}\uffff`) : IDBKeyRange.only(term);
+                const keys = new Set((await promisify(termStore.getAll(range))).flatMap(entry => entry.keys));
+                candidates = candidates ? new Set(Array.from(candidates).filter(key => keys.has(key))) : keys;
+                if (candidates.size === 0) return { terms, total: 0, results: [] };
+            }
+
+            const results = [];
+            await Promise.all(Array.from(candidates).map(async (key) => {
+                const [record, indexed] = await Promise.all([
+                    promisify(tx.objectStore(STORES.lessons).get(key)),
+                    promisify(tx.objectStore(STORES.passages).get(key))
+                ]);
+                if (!record || !indexed) return;
+
+                indexed.passages.forEach(passage => {
+                    const score = extractor.scorePassage(passage, terms);
+                    if (score === 0) return;
+                    results.push({
+                        key,
+                        courseKey: record.courseKey,
+                        course: record.course,
+                        lesson: record.lesson,
+                        lessonId: record.lessonId,
+                        url: record.url,
+                        type: passage.type,
+                        label: passage.label,
+                        snippet: extractor.makeSnippet(passage.text, terms),
+                        score
+                    });
+                });
+            }));
+
+            results.sort((a, b) => (b.score - a.score) || a.lesson.localeCompare(b.lesson));
+            return { terms, total: results.length, results: results.slice(0, options.limit || SEARCH_LIMIT) };
+        });
+    }
+
+    /**
+     * Every lesson record and every version, for a backup archive
+     * @returns {Promise<Object>} { lessons, versions }
+     */
+    async function exportLibrary() {
+        return transact('readonly', async (tx) => ({
+            lessons: await promisify(tx.objectStore(STORES.lessons).getAll()),
+            versions: await promisify(tx.objectStore(STORES.versions).getAll())
+        }));
+    }
+
+    /**
+     * Merge lessons and versions from a backup archive (exportLibrary()) into the library
+     * Lessons are matched by key (course and lesson ID). Versions are matched
+     * by content: one the library already has is skipped, the others are
+     * numbered after the lesson's own versions (whose numbers, used in links
+     * and change summaries, stay as they are) in scrape order. The newest
+     * scrape from either side becomes the latest version. Pins are kept from both.
+     * @returns {Promise<Object>} { lessonsAdded, lessonsUpdated, versionsAdded, versionsSkipped }
+     */
+    async function importLibrary(archive) {
+        const report = { lessonsAdded: 0, lessonsUpdated: 0, versionsAdded: 0, versionsSkipped: 0 };
+        const incoming = new Map();
+        (archive.versions || []).forEach(version => {
+            // Entries this library couldn't have written are left out, not allowed to abort the import
+            if (!version?.key || !version.data || typeof version.scrapedAt !== 'string' || Number.isNaN(Date.parse(version.scrapedAt))) return;
+            if (!incoming.has(version.key)) incoming.set(version.key, []);
+            incoming.get(version.key).push(version);
+        });
+
+        return transact('readwrite', async (tx) => {
+            const lessons = tx.objectStore(STORES.lessons);
+            const versions = tx.objectStore(STORES.versions);
+
+            for (const lesson of archive.lessons || []) {
+                const theirs = incoming.get(lesson?.key) || [];
+                if (theirs.length === 0) continue;
+
+                const key = lesson.key;
+                const previous = await promisify(lessons.get(key));
+                const ours = previous ? await promisify(versions.getAll(versionRange(key))) : [];
+
+                const known = new Set(ours.map(version => version.hash));
+                const added = [];
+                theirs.forEach(version => {
+                    const hash = contentHash(version.data);
+                    if (known.has(hash)) return;
+                    known.add(hash);
+                    added.push({ ...version, hash });
+                });
+                report.versionsSkipped += theirs.length - added.length;
+
+                if (added.length === 0) {
+                    if (lesson.pinned && !previous.pinned) lessons.put({ ...previous, pinned: true });
+                    continue;
+                }
+
+                let lastVersion = lastVersionOf(previous);
+                added.sort((a, b) => a.scrapedAt.localeCompare(b.scrapedAt)).forEach(version => {
+                    version.version = ++lastVersion;
+                    versions.put({ ...version, key });
+                });
+
+                const merged = [...ours, ...added].sort(byScrapeDesc);
+                const [latest, earlier = null] = merged;
+                const updatedAt = [previous?.updatedAt, lesson.updatedAt, latest.scrapedAt].filter(Boolean).sort().pop();
+                lessons.put({
+                    key,
+                    courseKey: lesson.courseKey,
+                    lessonKey: lesson.lessonKey,
+                    ...describeLesson(latest.data.metadata || {}, previous || lesson),
+                    pinned: !!(previous?.pinned || lesson.pinned),
+                    version: latest.version,
+                    lastVersion,
+                    versionCount: merged.length,
+                    hash: latest.hash,
+                    itemCount: latest.itemCount || 0,
+                    statistics: latest.data.statistics || {},
+                    changes: changeSummary(earlier, latest),
+                    createdAt: merged[merged.length - 1].scrapedAt,
+                    changedAt: latest.scrapedAt,
+                    updatedAt
+                });
+                if (latest.hash !== previous?.hash) {
+                    await indexLesson(tx, key, latest.data.content);
+                }
+
+                report[previous ? 'lessonsUpdated' : 'lessonsAdded']++;
+                report.versionsAdded += added.length;
+            }
+
+            return report;
+        });
+    }
+
+    /**
+     * Library size: record counts and the extension's storage use and quota (bytes, where the browser reports them)
+     */
+    async function estimateUsage() {
+        const counts = await transact('readonly', async (tx) => ({
+            lessons: await promisify(tx.objectStore(STORES.lessons).count()),
+            versions: await promisify(tx.objectStore(STORES.versions).count())
+        }));
+
+        let estimate = {};
+        try {
+            estimate = await navigator.storage.estimate();
+        } catch (e) {
+            console.log('Celigo U Scraper: Storage estimate unavailable:', e.message);
+        }
+
+        return {
+            ...counts,
+            usage: estimate.usage ?? null,
+            quota: estimate.quota ?? null
+        };
+    }
+
+    extractor.library = {
+        lessonKeys,
+        saveLesson,
+        listLessons,
+        getLesson,
+        getCourse,
+        deleteLesson,
+        setPinned,
+        pruneVersions,
+        estimateUsage,
+        search,
+        exportLibrary,
+        importLibrary
+    };
+})();
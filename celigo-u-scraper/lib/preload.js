@@ -0,0 +1,187 @@
+/**
+ * Celigo U Scraper - Lazy-Load Preloader
+ * Rise 360 mounts lesson blocks as the learner scrolls, so a long lesson is
+ * half-empty until someone scrolls to the bottom. This scrolls the frame
+ * through the whole lesson, waits for the [data-block-id] count to settle,
+ * then returns to where the learner was.
+ * Requires lib/extractor.js; adds celigoUExtractor.waitForContent() / loadAllBlocks()
+ */
+
+(function() {
+    'use strict';
+
+    const extractor = window.celigoUExtractor;
+    if (!extractor || extractor.loadAllBlocks) return;
+
+    const BLOCK_SELECTOR = extractor.SELECTORS.block;
+
+    const DEFAULTS = {
+        firstBlockTimeout: 5000,   // wait for Rise to mount its first block
+        idleTimeout: 600,          // DOM quiet period that counts as "settled"
+        stepTimeout: 3000,         // max wait per scroll step
+        totalTimeout: 60000,       // give up on very long lessons
+        scrollRatio: 0.8           // fraction of the viewport per scroll step
+    };
+
+    function delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Wait for content to load (Rise 360 loads dynamically)
+     */
+    function waitForContent(selector, timeout = 5000, doc = document) {
+        return new Promise((resolve) => {
+            const element = doc.querySelector(selector);
+            if (element) {
+                resolve(element);
+                return;
+            }
+
+            const observer = new MutationObserver((mutations, obs) => {
+                const el = doc.querySelector(selector);
+                if (el) {
+                    obs.disconnect();
+                    resolve(el);
+                }
+            });
+
+            observer.observe(doc.body, {
+                childList: true,
+                subtree: true
+            });
+
+            setTimeout(() => {
+                observer.disconnect();
+                resolve(null);
+            }, timeout);
+        });
+    }
+
+    /**
+     * Resolve once the DOM has been quiet for idleTimeout ms (or maxWait passes)
+     */
+    function waitForIdle(doc, idleTimeout, maxWait) {
+        return new Promise((resolve) => {
+            let idleTimer = null;
+            let settled = false;
+
+            const finish = (timedOut) => {
+                if (settled) return;
+                settled = true;
+                observer.disconnect();
+                clearTimeout(idleTimer);
+                clearTimeout(maxTimer);
+                resolve(!timedOut);
+            };
+
+            const observer = new MutationObserver(() => {
+                clearTimeout(idleTimer);
+                idleTimer = setTimeout(() => finish(false), idleTimeout);
+            });
+
+            observer.observe(doc.body, { childList: true, subtree: true });
+            idleTimer = setTimeout(() => finish(false), idleTimeout);
+            const maxTimer = setTimeout(() => finish(true), maxWait);
+        });
+    }
+
+    /**
+     * Find the element that actually scrolls the lesson
+     * (Rise sometimes scrolls an inner container instead of the document)
+     */
+    function findScroller(doc) {
+        const win = doc.defaultView || window;
+        const root = doc.scrollingElement || doc.documentElement;
+        if (root.scrollHeight > root.clientHeight + 10) return root;
+
+        const block = doc.querySelector(BLOCK_SELECTOR);
+        for (let el = block?.parentElement; el && el !== doc.body; el = el.parentElement) {
+            const overflowY = win.getComputedStyle(el).overflowY;
+            if (/(auto|scroll)/.test(overflowY) && el.scrollHeight > el.clientHeight + 10) {
+                return el;
+            }
+        }
+
+        return root;
+    }
+
+    /**
+     * Tell the popup how many blocks are loaded so far
+     */
+    function reportProgress(doc, blocks, done) {
+        if (typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) return;
+
+        try {
+            chrome.runtime.sendMessage({
+                action: 'preloadProgress',
+                frameUrl: doc.location?.href || '',
+                blocks: blocks,
+                done: done
+            }).catch(() => {});
+        } catch (e) {
+            // Popup closed or extension reloaded - progress is best effort
+        }
+    }
+
+    /**
+     * Scroll through the whole lesson so every lazy block mounts
+     * @param {Document} doc - Frame document to preload
+     * @param {Object} [options] - Overrides for DEFAULTS
+     * @returns {Promise<Object>} { blocks, steps, timedOut }
+     */
+    async function loadAllBlocks(doc = document, options = {}) {
+        const settings = { ...DEFAULTS, ...options };
+        const countBlocks = () => doc.querySelectorAll(BLOCK_SELECTOR).length;
+        const startedAt = Date.now();
+
+        const first = await waitForContent(BLOCK_SELECTOR, settings.firstBlockTimeout, doc);
+        if (!first) {
+            return { blocks: 0, steps: 0, timedOut: false };
+        }
+
+        const scroller = findScroller(doc);
+        const originalTop = scroller.scrollTop;
+        let steps = 0;
+        let timedOut = false;
+
+        reportProgress(doc, countBlocks(), false);
+
+        try {
+            while (true) {
+                if (Date.now() - startedAt > settings.totalTimeout) {
+                    timedOut = true;
+                    break;
+                }
+
+                const atBottom = scroller.scrollTop + scroller.clientHeight >= scroller.scrollHeight - 2;
+                if (atBottom) {
+                    // Bottom reached - wait until the block count stops changing
+                    const before = countBlocks();
+                    await waitForIdle(doc, settings.idleTimeout, settings.stepTimeout);
+                    const stillAtBottom = scroller.scrollTop + scroller.clientHeight >= scroller.scrollHeight - 2;
+                    if (countBlocks() === before && stillAtBottom) break;
+                    continue;
+                }
+
+                scroller.scrollTop += Math.max(200, scroller.clientHeight * settings.scrollRatio);
+                steps++;
+
+                await waitForIdle(doc, settings.idleTimeout, settings.stepTimeout);
+                reportProgress(doc, countBlocks(), false);
+            }
+        } finally {
+            scroller.scrollTop = originalTop;
+            await delay(50);
+        }
+
+        const blocks = countBlocks();
+        reportProgress(doc, blocks, true);
+        console.log(`Celigo U Scraper: Preloaded ${blocks} blocks in ${steps} scroll steps`);
+
+        return { blocks, steps, timedOut };
+    }
+
+    extractor.waitForContent = waitForContent;
+    extractor.loadAllBlocks = loadAllBlocks;
+})();
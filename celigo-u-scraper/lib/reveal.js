@@ -0,0 +1,470 @@
+/**
+ * Celigo U Scraper - Reveal Pass
+ * Rise 360 only renders hidden content (card backs, collapsed accordion panels,
+ * inactive tabs, marker popovers, later process steps, other scenario branches)
+ * after the learner clicks.
+ * This pass clicks through every interactive block, captures what it reveals,
+ * runs extraction, then puts the page back the way the learner left it.
+ * Requires lib/extractor.js; adds celigoUExtractor.extractRevealed()
+ */
+
+(function() {
+    'use strict';
+
+    const extractor = window.celigoUExtractor;
+    if (!extractor || extractor.extractRevealed) return;
+
+    const { SELECTORS, getText, getMarkdown, queryText, queryMarkdown } = extractor;
+
+    // Time for Rise transitions/React renders after each click
+    const DEFAULT_DELAY = 300;
+
+    // Safety cap when stepping through a process block
+    const MAX_PROCESS_STEPS = 50;
+
+    // Safety cap on choices clicked while walking one scenario's branches
+    const MAX_SCENARIO_CLICKS = 200;
+
+    const SCENARIO_BUTTONS = {
+        start: /^(start|begin)/i,
+        continue: /^(continue|next)/i,
+        restart: /(start over|restart|replay|try again)/i
+    };
+
+    const REVEAL_SELECTORS = {
+        cardToggle: 'button, [role="button"]',
+        accordionToggle: 'button[aria-expanded="false"], [role="button"][aria-expanded="false"]',
+        markerPopover: '[class*="bubble"], [class*="popover"], [class*="marker__content"], [role="dialog"], ' + SELECTORS.markerPanel,
+        markerClose: '[aria-label*="close" i], [class*="close"]',
+        processStart: '[class*="process__start"], [class*="start"] button, button[class*="start"]',
+        processNext: '[class*="process"] button[class*="next"], [class*="process"] [aria-label*="next" i], button[class*="next"]',
+        processPrev: '[class*="process"] button[class*="prev"], [class*="process"] [aria-label*="previous" i], button[class*="prev"]',
+        processCard: '[class*="process-card"], [class*="process__card"], [class*="step"]'
+    };
+
+    // Only one reveal session per frame at a time
+    let activeSession = null;
+
+    function delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Rendered and not hidden from assistive tech
+     */
+    function isVisible(el) {
+        if (!el || el.closest('[aria-hidden="true"], [hidden]')) return false;
+        return !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+    }
+
+    function isDisabled(el) {
+        return !el || el.disabled || el.getAttribute('aria-disabled') === 'true';
+    }
+
+    /**
+     * Heading + body text of a revealed panel
+     */
+    function readPanel(panel) {
+        const title = queryText(panel, 'h2, h3, h4, [class*="title"], [class*="heading"]');
+        const body = extractor.topLevel(panel.querySelectorAll('p, ul, ol'))
+            .map(getMarkdown)
+            .filter(t => t.length > 0 && t !== title)
+            .join('\n');
+        return { title, description: body || getMarkdown(panel).replace(title, '').trim() };
+    }
+
+    /**
+     * Flip every flip card / flashcard to its back face
+     */
+    async function flipCards(doc, session) {
+        const cards = doc.querySelectorAll(`${SELECTORS.flashcard}, ${SELECTORS.flipCard}`);
+
+        extractor.topLevel(cards).forEach(card => {
+            const isFlipped = /flipped|is-back|--back-visible/.test(card.className) ||
+                              card.querySelector('[aria-pressed="true"]');
+            if (isFlipped) return;
+
+            const toggle = card.matches(REVEAL_SELECTORS.cardToggle) ? card : card.querySelector(REVEAL_SELECTORS.cardToggle);
+            const target = toggle || card;
+            target.click();
+            session.restore.push(() => target.click());
+        });
+
+        await delay(session.delay);
+    }
+
+    /**
+     * Expand every collapsed accordion item and capture its panel
+     * (single-open accordions collapse the previous item, so read each one as it opens)
+     */
+    async function expandAccordions(doc, session) {
+        for (const acc of extractor.topLevel(doc.querySelectorAll(SELECTORS.accordion))) {
+            for (const toggle of acc.querySelectorAll(REVEAL_SELECTORS.accordionToggle)) {
+                toggle.click();
+                await delay(session.delay);
+
+                const panelId = toggle.getAttribute('aria-controls');
+                const item = toggle.closest(SELECTORS.accordionItem) || toggle.parentElement;
+                const panel = (panelId && doc.getElementById(panelId)) || item?.querySelector(SELECTORS.accordionBody);
+
+                const text = getMarkdown(panel);
+                if (text) session.captures.accordions.set(toggle, text);
+
+                session.restore.push(() => {
+                    if (toggle.getAttribute('aria-expanded') === 'true') toggle.click();
+                });
+            }
+        }
+
+        doc.querySelectorAll('details:not([open])').forEach(details => {
+            details.open = true;
+            session.restore.push(() => { details.open = false; });
+        });
+    }
+
+    /**
+     * Select each tab in turn and capture its panel
+     */
+    async function cycleTabs(doc, session) {
+        for (const list of doc.querySelectorAll('[role="tablist"]')) {
+            const tabs = Array.from(list.querySelectorAll('[role="tab"]'));
+            const original = tabs.find(t => t.getAttribute('aria-selected') === 'true');
+
+            for (const tab of tabs) {
+                tab.click();
+                await delay(session.delay);
+
+                const panelId = tab.getAttribute('aria-controls');
+                const panel = (panelId && doc.getElementById(panelId)) ||
+                              doc.querySelector(`[role="tabpanel"][aria-labelledby="${tab.id}"]`) ||
+                              Array.from((list.parentElement || doc).querySelectorAll('[role="tabpanel"]')).find(isVisible);
+
+                const text = getMarkdown(panel);
+                if (text) session.captures.tabs.set(tab, text);
+            }
+
+            if (original) {
+                session.restore.push(() => original.click());
+            }
+        }
+    }
+
+    /**
+     * Open each labeled-graphic marker and capture its popover
+     */
+    async function openMarkers(doc, session) {
+        for (const lg of extractor.topLevel(doc.querySelectorAll(SELECTORS.labeledGraphic))) {
+            // Innermost so a marker button is clicked once, not again via its wrapper
+            const markers = extractor.innermost(lg.querySelectorAll(SELECTORS.marker))
+                .filter(m => !m.closest(REVEAL_SELECTORS.markerPopover) && !m.matches(REVEAL_SELECTORS.markerClose));
+
+            for (const marker of markers) {
+                const before = new Set(Array.from(lg.querySelectorAll(REVEAL_SELECTORS.markerPopover)).filter(isVisible));
+
+                marker.click();
+                await delay(session.delay);
+
+                // Prefer a popover that appeared with this click
+                const visible = Array.from(lg.querySelectorAll(REVEAL_SELECTORS.markerPopover)).filter(isVisible);
+                const popover = extractor.topLevel(visible.filter(p => !before.has(p)))[0] ||
+                                extractor.topLevel(visible)[0];
+
+                if (popover) {
+                    const panel = readPanel(popover);
+                    if (panel.title || panel.description) {
+                        session.captures.markers.set(marker, panel);
+                    }
+
+                    const close = popover.querySelector(REVEAL_SELECTORS.markerClose);
+                    (close || marker).click();
+                    await delay(session.delay / 2);
+                }
+            }
+        }
+    }
+
+    /**
+     * Step through each process block, capturing every step
+     */
+    async function stepProcesses(doc, session) {
+        for (const process of extractor.topLevel(doc.querySelectorAll(SELECTORS.process))) {
+            const next = () => Array.from(process.querySelectorAll(REVEAL_SELECTORS.processNext)).find(isVisible);
+            const steps = [];
+            let clicks = 0;
+
+            const start = Array.from(process.querySelectorAll(REVEAL_SELECTORS.processStart)).find(isVisible);
+            if (start) {
+                start.click();
+                await delay(session.delay);
+            }
+
+            const capture = () => {
+                const card = extractor.topLevel(Array.from(process.querySelectorAll(REVEAL_SELECTORS.processCard)).filter(isVisible))[0];
+                if (!card) return;
+
+                const panel = readPanel(card);
+                const last = steps[steps.length - 1];
+                if ((panel.title || panel.description) && !(last && last.title === panel.title && last.description === panel.description)) {
+                    steps.push({
+                        number: queryText(card, '[class*="number"]') || (steps.length + 1).toString(),
+                        title: panel.title,
+                        description: panel.description
+                    });
+                }
+            };
+
+            capture();
+            while (clicks < MAX_PROCESS_STEPS && next() && !isDisabled(next())) {
+                next().click();
+                clicks++;
+                await delay(session.delay);
+                capture();
+            }
+
+            if (steps.length > 0) {
+                session.captures.process.set(process, steps);
+            }
+
+            // Walk back to where the learner was
+            session.restore.push(async () => {
+                for (let i = 0; i < clicks; i++) {
+                    const prev = Array.from(process.querySelectorAll(REVEAL_SELECTORS.processPrev)).find(isVisible);
+                    if (!prev || isDisabled(prev)) break;
+                    prev.click();
+                    await delay(session.delay / 2);
+                }
+            });
+        }
+    }
+
+    /**
+     * Visible, enabled scenario control whose label matches
+     * (never a response - "Restart the server" is a choice, not a control)
+     */
+    function findButton(root, pattern) {
+        return Array.from(root.querySelectorAll('button, [role="button"]')).find(btn => {
+            const label = btn.getAttribute('aria-label') || getText(btn);
+            return pattern.test(label.trim()) && isVisible(btn) && !isDisabled(btn) &&
+                   !btn.matches(SELECTORS.scenarioChoice);
+        });
+    }
+
+    /**
+     * Click the first matching scenario control, if any
+     * @returns {Promise<boolean>} Whether a button was clicked
+     */
+    async function clickButton(root, pattern, session) {
+        const button = findButton(root, pattern);
+        if (!button) return false;
+        button.click();
+        await delay(session.delay);
+        return true;
+    }
+
+    /**
+     * Walk every branch of one scenario block, depth first
+     * Each branch runs until its scene has nothing left to try, then the
+     * scenario is restarted and the route to the next unexplored choice replayed.
+     * @returns {Promise<Object>} { title, startSceneId, scenes, complete }
+     */
+    async function walkScenario(block, session) {
+        const scenes = new Map();
+        let route = [];   // choice indices taken since the first scene
+        let clicks = 0;
+        let complete = false;
+
+        // Record the scene on screen, returning its graph node (null mid-transition) and live choice elements
+        const current = () => {
+            const { scene, choiceElements } = extractor.readScenarioScene(block);
+            if (!scene.dialogue && scene.choices.length === 0) {
+                return { node: null, choices: [] };
+            }
+            if (!scenes.has(scene.key)) {
+                const { key, ...node } = scene;
+                scenes.set(key, { id: `scene-${scenes.size}`, ...node, route: route.slice(), explored: new Set() });
+            }
+            return { node: scenes.get(scene.key), choices: choiceElements.filter(isVisible) };
+        };
+
+        // Choose one response and move on to whatever it leads to
+        const choose = async (node, choices, index) => {
+            choices[index].click();
+            clicks++;
+            await delay(session.delay);
+
+            const feedback = queryMarkdown(block, SELECTORS.scenarioFeedback);
+            if (feedback && node.choices[index]) node.choices[index].feedback = feedback;
+
+            await clickButton(block, SCENARIO_BUTTONS.continue, session);
+        };
+
+        // Scenarios only offer a restart at an ending - take the first response until one appears
+        const restart = async () => {
+            while (clicks < MAX_SCENARIO_CLICKS && !findButton(block, SCENARIO_BUTTONS.restart)) {
+                const { node, choices } = current();
+                if (!node || choices.length === 0) break;
+                await choose(node, choices, 0);
+            }
+            if (!(await clickButton(block, SCENARIO_BUTTONS.restart, session))) return false;
+            await clickButton(block, SCENARIO_BUTTONS.start, session);
+            return true;
+        };
+
+        await clickButton(block, SCENARIO_BUTTONS.start, session);
+
+        while (clicks < MAX_SCENARIO_CLICKS) {
+            const { node, choices } = current();
+            const next = node ? node.choices.findIndex((choice, j) => !node.explored.has(j) && choices[j]) : -1;
+
+            if (next !== -1) {
+                node.explored.add(next);
+                route.push(next);
+                await choose(node, choices, next);
+
+                const target = current().node;
+                if (target) {
+                    node.choices[next].nextSceneId = target.id;
+                    // Looping back ("try again") - continue from the scene's own, shorter route
+                    if (target.route.length < route.length) route = target.route.slice();
+                }
+                continue;
+            }
+
+            // Nothing left here: replay the route to a scene that still has untried choices
+            const pending = Array.from(scenes.values())
+                .find(n => n.choices.some((choice, j) => !n.explored.has(j)));
+            if (!pending) {
+                complete = true;
+                break;
+            }
+
+            if (!(await restart())) break;
+
+            route = [];
+            for (const index of pending.route) {
+                const step = current();
+                if (!step.node || !step.choices[index]) break;
+                route.push(index);
+                await choose(step.node, step.choices, index);
+            }
+
+            // The replay didn't land where expected - don't retry that scene forever
+            if (current().node !== pending) {
+                pending.choices.forEach((choice, j) => pending.explored.add(j));
+            }
+        }
+
+        const nodes = Array.from(scenes.values()).map(({ route: r, explored, ...scene }) => scene);
+        return {
+            title: nodes[0]?.title || '',
+            startSceneId: nodes[0]?.id || null,
+            scenes: nodes,
+            complete: complete
+        };
+    }
+
+    /**
+     * Walk the branches of every scenario block and capture the scene graph
+     */
+    async function walkScenarios(doc, session) {
+        for (const block of extractor.topLevel(doc.querySelectorAll(SELECTORS.scenario))) {
+            const graph = await walkScenario(block, session);
+            if (graph.scenes.length > 0) {
+                session.captures.scenario.set(block, graph);
+            }
+
+            // The learner's own path can't be replayed - leave the scenario at its start
+            session.restore.push(() => clickButton(block, SCENARIO_BUTTONS.restart, session));
+        }
+    }
+
+    /**
+     * Undo every reveal action, newest first, and restore scroll position
+     */
+    async function restoreState(doc, session) {
+        for (const undo of session.restore.reverse()) {
+            try {
+                await undo();
+            } catch (e) {
+                console.log('Celigo U Scraper: Restore step failed:', e.message);
+            }
+        }
+
+        const win = doc.defaultView || window;
+        win.scrollTo(session.scrollX, session.scrollY);
+    }
+
+    /**
+     * Reveal hidden interactive content, extract, then restore the page
+     * @param {Document} doc - Document to extract from
+     * @param {Object} [options]
+     * @param {number} [options.delay] - Milliseconds to wait after each click
+     * @param {boolean} [options.discoverAnswers] - Submit knowledge checks to learn the correct answers (lib/answers.js)
+     * @returns {Promise<Object>} Content in the celigoUExtractor schema
+     */
+    async function extractRevealed(doc = document, options = {}) {
+        // Serialized course data already holds the hidden content - no clicking needed
+        const data = await extractor.extractFromDataAsync(doc);
+        if (data) return data;
+
+        // Another path is already revealing this frame - wait and reuse its result
+        if (activeSession) {
+            return activeSession;
+        }
+
+        const win = doc.defaultView || window;
+        const session = {
+            delay: options.delay ?? DEFAULT_DELAY,
+            scrollX: win.scrollX,
+            scrollY: win.scrollY,
+            restore: [],
+            captures: {
+                accordions: new Map(),
+                tabs: new Map(),
+                markers: new Map(),
+                process: new Map(),
+                scenario: new Map(),
+                answers: new Map()
+            }
+        };
+
+        activeSession = (async () => {
+            const steps = [flipCards, expandAccordions, cycleTabs, openMarkers, stepProcesses, walkScenarios];
+            if (options.discoverAnswers && extractor.discoverAnswers) {
+                steps.push(extractor.discoverAnswers);
+            }
+
+            try {
+                for (const step of steps) {
+                    try {
+                        await step(doc, session);
+                    } catch (e) {
+                        console.log(`Celigo U Scraper: Reveal step ${step.name} failed:`, e.message);
+                    }
+                }
+
+                console.log('Celigo U Scraper: Reveal pass captured', {
+                    restoreActions: session.restore.length,
+                    accordions: session.captures.accordions.size,
+                    tabs: session.captures.tabs.size,
+                    markers: session.captures.markers.size,
+                    process: session.captures.process.size,
+                    scenario: session.captures.scenario.size,
+                    answers: session.captures.answers.size
+                });
+
+                return extractor.extract(doc, { captures: session.captures, domOnly: true });
+            } finally {
+                await restoreState(doc, session);
+            }
+        })();
+
+        try {
+            return await activeSession;
+        } finally {
+            activeSession = null;
+        }
+    }
+
+    extractor.extractRevealed = extractRevealed;
+})();
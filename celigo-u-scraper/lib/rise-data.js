@@ -0,0 +1,570 @@
+/**
+ * Celigo U Scraper - Rise 360 Course Data Adapter
+ * Rise 360 exports embed the whole course (lessons, blocks, card backs,
+ * knowledge-check answers, marker bodies) as serialized data in index.html.
+ * Decoding that payload beats DOM scraping: nothing needs to be clicked and
+ * correct answers are flagged. Registers with celigoUExtractor so DOM
+ * scraping only runs when no payload is found.
+ * Requires lib/extractor.js; adds celigoUExtractor.findRisePayload() / extractRiseData()
+ */
+
+(function() {
+    'use strict';
+
+    const extractor = window.celigoUExtractor;
+    if (!extractor || extractor.extractRiseData) return;
+
+    const SOURCE = 'rise360-data';
+
+    // Where Rise exports put the course payload in inline scripts
+    const PAYLOAD_PATTERNS = [
+        /deserialize\(\s*["']([A-Za-z0-9+/=]+)["']\s*\)/,
+        /courseData\s*=\s*["']([A-Za-z0-9+/=]+)["']/,
+        /__rise_content\s*=\s*(\{[\s\S]*\})\s*;?/
+    ];
+
+    /**
+     * Decode a payload: object, JSON string or base64-encoded UTF-8 JSON
+     */
+    function decodePayload(raw) {
+        if (!raw) return null;
+        if (typeof raw === 'object') return raw;
+
+        const str = String(raw).trim();
+        if (str.startsWith('{')) return JSON.parse(str);
+
+        const binary = atob(str);
+        const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+        return JSON.parse(new TextDecoder('utf-8').decode(bytes));
+    }
+
+    /**
+     * The course object inside a decoded payload, or null
+     */
+    function toCourse(payload) {
+        const course = payload?.course || payload;
+        return Array.isArray(course?.lessons) ? course : null;
+    }
+
+    /**
+     * Locate and decode the serialized Rise course in this frame
+     * @returns {Object|null} Rise course ({ title, lessons: [...] })
+     */
+    function findRisePayload(doc = document) {
+        // Globals are only visible when injected into the page's main world
+        const win = doc.defaultView || window;
+        for (const global of ['__rise_content', 'courseData']) {
+            try {
+                const course = toCourse(decodePayload(win[global]));
+                if (course) return course;
+            } catch (e) {
+                // Not a decodable payload - keep looking
+            }
+        }
+
+        for (const script of doc.querySelectorAll('script:not([src])')) {
+            const text = script.textContent;
+            if (text.length < 100) continue;
+
+            for (const pattern of PAYLOAD_PATTERNS) {
+                const match = text.match(pattern);
+                if (!match) continue;
+
+                try {
+                    const course = toCourse(decodePayload(match[1]));
+                    if (course) return course;
+                } catch (e) {
+                    console.log('Celigo U Scraper: Could not decode Rise payload:', e.message);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse a Rise rich-text HTML string into a fragment
+     */
+    function parseHtml(html, doc) {
+        const template = doc.createElement('template');
+        template.innerHTML = typeof html === 'string' ? html : '';
+        return template.content;
+    }
+
+    /**
+     * Markdown from a Rise rich-text HTML string (same serializer as DOM extraction)
+     */
+    function htmlToMarkdown(html, doc) {
+        if (!html || typeof html !== 'string') return '';
+        return extractor.getMarkdown(parseHtml(html, doc));
+    }
+
+    /**
+     * Plain text from a Rise rich-text HTML string, for titles and labels
+     */
+    function htmlToText(html, doc) {
+        if (!html || typeof html !== 'string') return '';
+        return extractor.getText(parseHtml(html, doc));
+    }
+
+    /**
+     * Absolute URL of a Rise media object ({ image|video|audio: { src, key, originalUrl } })
+     */
+    function mediaUrl(media, doc) {
+        const asset = media?.image || media?.video || media?.audio || media;
+        if (!asset) return '';
+
+        const src = asset.src || asset.url || asset.originalUrl || (asset.key ? `assets/${asset.key}` : '');
+        if (!src) return '';
+
+        try {
+            return new URL(src, doc.baseURI).href;
+        } catch (e) {
+            return src;
+        }
+    }
+
+    /**
+     * Image object ({ src, alt }) of a Rise media object, or null when it holds no image
+     */
+    function mediaImage(media, doc) {
+        if (!media?.image) return null;
+        return { src: mediaUrl(media, doc), alt: media.image.altText || '' };
+    }
+
+    /**
+     * Caption tracks uploaded with a Rise video (fetched by lib/transcripts.js)
+     */
+    function captionTracks(video, doc) {
+        return (video.captions || video.tracks || video.cc || []).map(caption => ({
+            kind: caption.kind || 'captions',
+            label: caption.label || '',
+            language: caption.language || caption.srclang || caption.lang || '',
+            src: mediaUrl(caption, doc),
+            isDefault: !!caption.default
+        })).filter(caption => caption.src);
+    }
+
+    /**
+     * Marker coordinate as percent of the graphic (Rise stores either 0-1 fractions or percentages)
+     */
+    function markerCoordinate(value) {
+        const number = parseFloat(value);
+        if (Number.isNaN(number)) return null;
+        return number <= 1 ? Math.round(number * 10000) / 100 : number;
+    }
+
+    /**
+     * Blocks of the lesson, whichever key this Rise version uses
+     */
+    function lessonBlocks(lesson) {
+        return lesson.items || lesson.blocks || [];
+    }
+
+    // Rise question type names -> knowledgeChecks[].questionType
+    const RISE_QUESTION_TYPES = {
+        MULTIPLE_CHOICE: 'multipleChoice',
+        MULTIPLE_RESPONSE: 'multipleResponse',
+        FILL_IN_THE_BLANK: 'fillIn',
+        FILL_IN: 'fillIn',
+        MATCHING: 'matching'
+    };
+
+    /**
+     * questionType of a Rise question item
+     */
+    function questionType(item, answers) {
+        const { QUESTION_TYPES } = extractor;
+        const key = String(item.type || item.questionType || '').toUpperCase().replace(/[\s-]/g, '_');
+        const type = QUESTION_TYPES[RISE_QUESTION_TYPES[key]];
+        if (type && type !== QUESTION_TYPES.multipleChoice) return type;
+
+        // Image choices are multiple choice with media on every answer
+        if (answers.length > 0 && answers.every(answer => answer.media?.image)) {
+            return QUESTION_TYPES.imageChoice;
+        }
+        return type || QUESTION_TYPES.multipleChoice;
+    }
+
+    /**
+     * Map one knowledge-check / quiz item into the knowledgeChecks schema
+     */
+    function mapQuestion(item, id, ctx) {
+        const { QUESTION_TYPES } = extractor;
+        const answers = item.answers || item.choices || [];
+        const question = htmlToMarkdown(item.title || item.question || item.description, ctx.doc);
+        if (!question) return;
+
+        const text = (html) => htmlToText(html, ctx.doc);
+        const md = (html) => htmlToMarkdown(html, ctx.doc);
+        const type = questionType(item, answers);
+        const check = {
+            id: id,
+            questionType: type,
+            question: question,
+            choices: [],
+            feedback: md(item.feedback || item.correctFeedback || ''),
+            lesson: ctx.lesson.title || '',
+            source: SOURCE
+        };
+
+        if (item.incorrectFeedback) {
+            check.incorrectFeedback = md(item.incorrectFeedback);
+        }
+
+        if (type === QUESTION_TYPES.fillIn) {
+            // Every listed answer is an accepted spelling
+            check.acceptableAnswers = answers.map(answer => text(answer.title || answer.text)).filter(t => t);
+        } else if (type === QUESTION_TYPES.matching) {
+            check.pairs = answers.map(answer => ({
+                prompt: text(answer.title || answer.prompt || answer.text),
+                match: text(answer.matchTitle || answer.match?.title || answer.match || answer.response)
+            })).filter(pair => pair.prompt);
+        } else {
+            check.choices = answers.map((answer, j) => {
+                const choice = {
+                    text: md(answer.title || answer.text || answer.description) || answer.media?.image?.altText || '',
+                    isCorrect: !!(answer.correct ?? answer.isCorrect),
+                    index: j
+                };
+                if (answer.feedback) choice.feedback = md(answer.feedback);
+                const image = mediaImage(answer.media, ctx.doc);
+                if (image) choice.image = image;
+                return choice;
+            });
+        }
+
+        ctx.content.knowledgeChecks.push(check);
+    }
+
+    /**
+     * Map a scenario block's scenes into the scenario graph schema
+     * Rise links each response to the scene it leads to by id
+     */
+    function mapScenario(block, id, ctx) {
+        const text = (html) => htmlToText(html, ctx.doc);
+        const md = (html) => htmlToMarkdown(html, ctx.doc);
+        const raw = block.scenes || block.items || [];
+        const sceneIds = new Map(raw.map((scene, j) => [scene.id ?? j, `scene-${j}`]));
+
+        const scenes = raw.map((scene, j) => {
+            const responses = scene.responses || scene.choices || scene.items || [];
+            return {
+                id: `scene-${j}`,
+                title: text(scene.title),
+                character: text(scene.character?.name || scene.characterName || ''),
+                background: mediaUrl(scene.background || scene.media, ctx.doc),
+                dialogue: md(scene.dialogue || scene.description || scene.text),
+                choices: responses.map(response => ({
+                    text: md(response.title || response.text),
+                    feedback: md(response.feedback || response.description),
+                    nextSceneId: sceneIds.get(response.destination ?? response.next ?? response.target) || null
+                })),
+                isEnding: responses.length === 0 || /end/i.test(scene.type || '')
+            };
+        });
+
+        if (scenes.length === 0) return;
+
+        ctx.content.scenario.push({
+            id,
+            title: text(block.title) || scenes[0].title,
+            startSceneId: sceneIds.get(block.startSceneId) || scenes[0].id,
+            scenes,
+            complete: true,
+            lesson: ctx.lesson.title || '',
+            source: SOURCE
+        });
+    }
+
+    /**
+     * Map a Rise block into the content schema
+     */
+    function mapBlock(block, ctx) {
+        const { content, doc } = ctx;
+        const kind = String(block.family || block.type || '').toLowerCase().replace(/[\s_-]/g, '');
+        const items = block.items || [];
+        const id = `rise-data-${block.id || ctx.index}`;
+        const lesson = ctx.lesson.title || '';
+        const text = (html) => htmlToText(html, doc);
+        const md = (html) => htmlToMarkdown(html, doc);
+        const face = (side) => {
+            const image = mediaImage(side?.media, doc);
+            const read = { title: '', content: md(side?.description || side?.title) };
+            return image ? { ...read, image } : read;
+        };
+
+        switch (kind) {
+            case 'flashcard':
+            case 'flashcards':
+                items.forEach((item, j) => {
+                    content.flipCards.push({
+                        id: `${id}-${j}`,
+                        front: face(item.front),
+                        back: face(item.back),
+                        lesson,
+                        source: SOURCE
+                    });
+                });
+                break;
+
+            case 'accordion':
+                content.accordions.push({
+                    id,
+                    title: '',
+                    items: items.map(item => ({ header: text(item.title), content: md(item.description) })),
+                    lesson,
+                    source: SOURCE
+                });
+                break;
+
+            case 'tabs':
+                content.tabs.push({
+                    id,
+                    tabs: items.map(item => ({ label: text(item.title), content: md(item.description) })),
+                    lesson,
+                    source: SOURCE
+                });
+                break;
+
+            case 'process':
+                content.process.push({
+                    id,
+                    title: '',
+                    steps: items.map((item, j) => ({
+                        number: (j + 1).toString(),
+                        title: text(item.title),
+                        description: md(item.description)
+                    })),
+                    lesson,
+                    source: SOURCE
+                });
+                break;
+
+            case 'timeline':
+                content.timeline.push({
+                    id,
+                    events: items.map(item => ({
+                        date: text(item.date),
+                        title: text(item.title),
+                        description: md(item.description)
+                    })),
+                    lesson,
+                    source: SOURCE
+                });
+                break;
+
+            case 'labeledgraphic': {
+                // Markers live under the graphic item (items[0].items) or directly on the block
+                const graphic = items[0] || {};
+                const markers = graphic.items || graphic.markers || items;
+                content.hotspots.push({
+                    id,
+                    title: text(block.title || graphic.title) || 'Labeled Graphic',
+                    points: markers.map((marker, j) => ({
+                        index: j,
+                        title: text(marker.title),
+                        description: md(marker.description),
+                        rawLabel: ''
+                    })),
+                    lesson,
+                    source: SOURCE
+                });
+                content.labeledGraphic.push({
+                    id: `${id}-graphic`,
+                    title: text(block.title || graphic.title),
+                    image: mediaImage(graphic.media || block.media, doc),
+                    markers: markers.map((marker, j) => ({
+                        index: j,
+                        x: markerCoordinate(marker.x ?? marker.left ?? marker.position?.x),
+                        y: markerCoordinate(marker.y ?? marker.top ?? marker.position?.y),
+                        title: text(marker.title),
+                        description: md(marker.description)
+                    })),
+                    lesson,
+                    source: SOURCE
+                });
+                break;
+            }
+
+            case 'sorting': {
+                // Each pile lists the cards that belong in it
+                const categories = items.map(pile => ({
+                    title: text(pile.title),
+                    items: (pile.items || []).map(card => text(card.title || card.description)).filter(t => t)
+                }));
+                content.sorting.push({
+                    id,
+                    categories,
+                    items: categories.flatMap(category => category.items.map(card => ({
+                        text: card,
+                        correctCategory: category.title
+                    }))),
+                    resolved: true,
+                    lesson,
+                    source: SOURCE
+                });
+                break;
+            }
+
+            case 'scenario':
+                mapScenario(block, id, ctx);
+                break;
+
+            case 'knowledgecheck':
+            case 'quiz':
+                items.forEach((item, j) => mapQuestion(item, `${id}-${j}`, ctx));
+                break;
+
+            case 'list':
+                content.lists.push({
+                    id,
+                    heading: '',
+                    items: items.map(item => md(item.paragraph || item.description)).filter(t => t),
+                    ordered: /number/i.test(block.variant || ''),
+                    lesson,
+                    source: SOURCE
+                });
+                break;
+
+            case 'image':
+            case 'gallery':
+                items.forEach((item, j) => {
+                    const src = mediaUrl(item.media, doc);
+                    if (!src) return;
+                    content.images.push({
+                        id: `${id}-${j}`,
+                        src,
+                        alt: item.media?.image?.altText || '',
+                        caption: md(item.caption || item.paragraph),
+                        lesson,
+                        source: SOURCE
+                    });
+                });
+                break;
+
+            case 'multimedia':
+            case 'video':
+            case 'audio':
+            case 'embed':
+                items.forEach((item, j) => {
+                    const src = mediaUrl(item.media, doc) || item.src || item.embed?.src || '';
+                    const video = {
+                        id: `${id}-${j}`,
+                        src,
+                        poster: mediaUrl(item.media?.video?.poster, doc),
+                        type: item.media?.video ? 'video' : 'video-embed',
+                        lesson,
+                        source: SOURCE
+                    };
+                    if (item.media?.video) {
+                        video.tracks = captionTracks(item.media.video, doc);
+                    } else {
+                        Object.assign(video, extractor.parseVideoEmbed(src));
+                    }
+                    content.videos.push(video);
+                });
+                break;
+
+            case 'divider':
+            case 'continue':
+            case 'spacer':
+                break;
+
+            default:
+                // text, statement, quote, impact and anything new: keep every text field
+                items.forEach((item, j) => {
+                    if (item.heading) {
+                        content.textBlocks.push({ id: `${id}-${j}-h`, tagName: 'H2', content: text(item.heading), lesson, source: SOURCE });
+                    }
+
+                    const body = md(item.paragraph || item.description || item.title);
+                    if (body) {
+                        content.textBlocks.push({
+                            id: `${id}-${j}`,
+                            tagName: 'P',
+                            blockType: kind,
+                            content: item.name ? `${body}\n— ${text(item.name)}` : body,
+                            lesson,
+                            source: SOURCE
+                        });
+                    }
+
+                    // Rise text blocks can hold tables - read them into the same grid as DOM tables
+                    parseHtml(item.paragraph || item.description || '', doc).querySelectorAll('table').forEach((table, k) => {
+                        const read = extractor.readTable(table);
+                        if (read) {
+                            content.tables.push({
+                                id: `${id}-${j}-table-${k}`,
+                                ...read,
+                                heading: read.heading || text(item.heading),
+                                lesson,
+                                source: SOURCE
+                            });
+                        }
+                    });
+                });
+        }
+    }
+
+    /**
+     * Map a decoded Rise course into the content schema
+     * Each lesson becomes one outline tree, its blocks in course order
+     */
+    function mapCourse(course, doc) {
+        const content = extractor.createEmptyContent();
+        const arrays = Object.keys(content).filter(key => Array.isArray(content[key]) && key !== 'outline');
+
+        course.lessons.forEach(lesson => {
+            const ctx = { content, doc, lesson, index: 0 };
+            const outline = extractor.createOutline(lesson.title);
+
+            if (lesson.title) {
+                content.textBlocks.push({
+                    id: `rise-data-lesson-${lesson.id}`,
+                    tagName: 'H1',
+                    content: lesson.title,
+                    lesson: lesson.title,
+                    source: SOURCE
+                });
+            }
+
+            lessonBlocks(lesson).forEach((block, j) => {
+                const before = arrays.map(key => content[key].length);
+
+                // Quiz lessons hold questions directly
+                if (lesson.type === 'quiz') {
+                    mapQuestion(block, `rise-data-quiz-${lesson.id}-${j}`, ctx);
+                } else {
+                    ctx.index = `${lesson.id}-${j}`;
+                    mapBlock(block, ctx);
+                }
+
+                arrays.forEach((key, k) => {
+                    content[key].slice(before[k]).forEach(item => outline.add(key, item, block.id || `${lesson.id}-${j}`));
+                });
+            });
+
+            if (outline.root.children.length > 0) {
+                content.outline.push(outline.root);
+            }
+        });
+
+        return extractor.addPlainText(content);
+    }
+
+    /**
+     * Extract content from the serialized Rise course, or null when there is none
+     */
+    function extractRiseData(doc = document) {
+        const course = findRisePayload(doc);
+        if (!course) return null;
+
+        console.log(`Celigo U Scraper: Found Rise course data "${course.title || ''}" with ${course.lessons.length} lessons`);
+        return mapCourse(course, doc);
+    }
+
+    extractor.findRisePayload = findRisePayload;
+    extractor.extractRiseData = extractRiseData;
+    extractor.registerAdapter({ name: 'Rise 360', extract: extractRiseData });
+})();
@@ -0,0 +1,712 @@
+/**
+ * Celigo U Scraper - Tab Scrape Pipeline
+ * Everything it takes to scrape the lesson open in a tab: inject the shared
+ * engine into every frame, scroll lazy Rise blocks into view, run each
+ * extraction method (content-script messages, Skilljar metadata, the reveal
+ * pass, and the legacy per-frame scraper when the reveal pass finds nothing)
+ * and merge the results into one lesson document. Shared by the popup
+ * (popup.html) and the background service worker (importScripts), which
+ * scrapes whole courses lesson by lesson.
+ * Requires lib/extractor.js and lib/assets.js; adds celigoUExtractor.scrapeTab() / combineResults()
+ */
+
+(function() {
+    'use strict';
+
+    const extractor = window.celigoUExtractor;
+    if (!extractor || extractor.scrapeTab) return;
+
+    // Shared extraction engine, data adapters, Skilljar metadata parser, lazy-load preloader, asset capture,
+    // caption fetching and reveal pass, injected into every frame before extraction
+    const EXTRACTOR_FILES = ['lib/extractor.js', 'lib/rise-data.js', 'lib/storyline.js', 'lib/skilljar.js', 'lib/preload.js', 'lib/answers.js', 'lib/assets.js', 'lib/transcripts.js', 'lib/reveal.js'];
+
+    // Generate content hash for deduplication
+    function contentHash(item) {
+        if (!item) return '';
+        return extractor.hashContent(item);
+    }
+
+    /**
+     * Inject the shared engine and scroll every frame so lazy Rise blocks mount
+     * @returns {Promise<Array>} [{ frameUrl, blocks, ... }] for frames running the engine
+     */
+    async function preloadFrames(tabId) {
+        await chrome.scripting.executeScript({
+            target: { tabId, allFrames: true },
+            files: EXTRACTOR_FILES
+        });
+
+        const preloadResults = await chrome.scripting.executeScript({
+            target: { tabId, allFrames: true },
+            func: async () => {
+                if (!window.celigoUExtractor) return null;
+                const stats = await window.celigoUExtractor.loadAllBlocks(document);
+                return { frameUrl: window.location.href, ...stats };
+            }
+        });
+
+        return preloadResults.map(result => result.result).filter(Boolean);
+    }
+
+    /**
+     * Run the content scripts' celigoUScraper.extract() (lib/content-iframe.js) in every frame
+     * @returns {Promise<Object>} { success, data } with the frames' content merged per type
+     */
+    async function executeInAllFrames(tabId) {
+        const results = await chrome.scripting.executeScript({
+            target: { tabId, allFrames: true },
+            func: () => {
+                // This runs in each frame
+                if (typeof window.celigoUScraper !== 'undefined') {
+                    return window.celigoUScraper.extract();
+                }
+                return null;
+            }
+        });
+
+        // Same keys as celigoUExtractor.createEmptyContent() (lib/extractor.js)
+        const aggregated = {
+            flipCards: [],
+            hotspots: [],
+            knowledgeChecks: [],
+            accordions: [],
+            tabs: [],
+            process: [],
+            timeline: [],
+            labeledGraphic: [],
+            sorting: [],
+            scenario: [],
+            slides: [],
+            outline: [],
+            textBlocks: [],
+            lists: [],
+            tables: [],
+            images: [],
+            videos: []
+        };
+
+        results.forEach(result => {
+            if (result.result) {
+                Object.keys(aggregated).forEach(key => {
+                    if (Array.isArray(result.result[key])) {
+                        aggregated[key].push(...result.result[key]);
+                    }
+                });
+            }
+        });
+
+        return { success: true, data: aggregated };
+    }
+
+    /**
+     * Snapshot of the Skilljar page globals (skilljarCourse, ...) from the tab's main world
+     */
+    async function readSkilljarGlobals(tabId) {
+        const [globalsResult] = await chrome.scripting.executeScript({
+            target: { tabId },
+            files: ['lib/skilljar-main.js'],
+            world: 'MAIN'
+        });
+        return globalsResult?.result || {};
+    }
+
+    /**
+     * Courses of the learning path page open in a tab (lib/skilljar.js readSkilljarPath())
+     * @returns {Promise<Object|null>} { url, path, pathSlug, courses }, or null when the page can't be read
+     */
+    async function readTabPath(tabId) {
+        await chrome.scripting.executeScript({
+            target: { tabId },
+            files: ['lib/extractor.js', 'lib/skilljar.js']
+        });
+        const [pathResult] = await chrome.scripting.executeScript({
+            target: { tabId },
+            args: [await readSkilljarGlobals(tabId)],
+            func: (globals) => window.celigoUExtractor?.readSkilljarPath?.(document, globals) || null
+        });
+        return pathResult?.result || null;
+    }
+
+    /**
+     * Course/lesson metadata from the main frame (the Skilljar page)
+     * @returns {Promise<Object|null>} Plain metadata object, merged by combineResults()
+     */
+    async function readTabMetadata(tabId) {
+        let mainFrameMetadata = null;
+        try {
+            const metadataResults = await chrome.scripting.executeScript({
+                target: { tabId, allFrames: false },
+                func: () => {
+                    const metadata = {
+                        url: window.location.href,
+                        course: '',
+                        lesson: '',
+                        path: ''
+                    };
+
+                    // Try Skilljar-specific selectors (training.celigo.com uses Skilljar)
+                    // Course title - try multiple selectors
+                    const courseSelectors = [
+                        '.course-title',
+                        '.course-header h1',
+                        '[class*="course-name"]',
+                        '.path-title',
+                        '#course-title',
+                        'h1.title'
+                    ];
+                    for (const sel of courseSelectors) {
+                        const el = document.querySelector(sel);
+                        if (el && el.textContent.trim()) {
+                            metadata.course = el.textContent.trim();
+                            break;
+                        }
+                    }
+
+                    // Lesson title - try multiple selectors
+                    const lessonSelectors = [
+                        '.lesson-top h2',
+                        '#lesson-main h2',
+                        '.lesson-title',
+                        '[class*="lesson-name"]',
+                        '.lesson-header h2',
+                        '.content-title',
+                        'h2.title'
+                    ];
+                    for (const sel of lessonSelectors) {
+                        const el = document.querySelector(sel);
+                        if (el && el.textContent.trim()) {
+                            metadata.lesson = el.textContent.trim();
+                            break;
+                        }
+                    }
+
+                    // Try breadcrumbs
+                    const breadcrumbs = document.querySelectorAll('.breadcrumb a, .breadcrumbs a, [class*="breadcrumb"] a');
+                    if (breadcrumbs.length > 0) {
+                        const crumbs = Array.from(breadcrumbs).map(a => a.textContent.trim()).filter(t => t.length > 0);
+                        if (crumbs.length >= 1 && !metadata.course) {
+                            metadata.course = crumbs[crumbs.length - 1] || '';
+                        }
+                        if (crumbs.length >= 2) {
+                            metadata.path = crumbs.slice(0, -1).join(' > ');
+                        }
+                    }
+
+                    // Try page title as fallback
+                    if (!metadata.lesson || !metadata.course) {
+                        const pageTitle = document.title;
+                        if (pageTitle) {
+                            // Common patterns: "Lesson Name | Course Name | Site"
+                            const parts = pageTitle.split('|').map(p => p.trim());
+                            if (!metadata.lesson && parts.length >= 1) {
+                                metadata.lesson = parts[0] || '';
+                            }
+                            if (!metadata.course && parts.length >= 2) {
+                                metadata.course = parts[1] || '';
+                            }
+                        }
+                    }
+
+                    // Try curriculum list for current lesson
+                    const currentLesson = document.querySelector('.lesson-active .title, [aria-current="page"] .title, .current-lesson, .lesson.active .title');
+                    if (currentLesson && !metadata.lesson) {
+                        metadata.lesson = currentLesson.textContent.trim();
+                    }
+
+                    // Extract from URL path as last resort
+                    // URL pattern: /path/course-name/lesson-name/id/scorm/id
+                    if (!metadata.course || !metadata.lesson) {
+                        const urlPath = window.location.pathname;
+                        const pathParts = urlPath.split('/').filter(p => p.length > 0);
+                        // Look for readable names (not IDs)
+                        const readableParts = pathParts.filter(p => !(/^\d+$/.test(p) || /^[a-z0-9]{10,}$/i.test(p)));
+                        if (readableParts.length >= 2 && !metadata.course) {
+                            // Convert kebab-case to Title Case
+                            metadata.course = readableParts[readableParts.length - 2]
+                                .split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+                        }
+                        if (readableParts.length >= 1 && !metadata.lesson) {
+                            metadata.lesson = readableParts[readableParts.length - 1]
+                                .split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+                        }
+                    }
+
+                    return metadata;
+                }
+            });
+
+            if (metadataResults && metadataResults[0] && metadataResults[0].result) {
+                mainFrameMetadata = metadataResults[0].result;
+            }
+        } catch (e) {
+            console.log('Main frame metadata extraction note:', e.message);
+        }
+
+        // Structured Skilljar metadata: page globals read in the main world, parsed by lib/skilljar.js
+        try {
+            const [skilljarResult] = await chrome.scripting.executeScript({
+                target: { tabId },
+                args: [await readSkilljarGlobals(tabId)],
+                func: (globals) => window.celigoUExtractor?.readSkilljarMetadata?.(document, globals) || null
+            });
+
+            if (skilljarResult?.result) {
+                // Parsed values win over the selector guesses above
+                mainFrameMetadata = mainFrameMetadata || {};
+                Object.entries(skilljarResult.result).forEach(([key, value]) => {
+                    if (value !== '' && value !== null && value !== undefined) mainFrameMetadata[key] = value;
+                });
+            }
+        } catch (e) {
+            console.log('Skilljar metadata note:', e.message);
+        }
+
+        return mainFrameMetadata;
+    }
+
+    /**
+     * Run the shared extraction engine (injected by preloadFrames()) in every frame
+     * @param {number} tabId
+     * @param {Object} settings - Popup settings (discoverAnswers, captureAssets, maxAssetBytes)
+     * @returns {Promise<Object>} { success, data } with the frames' content and debug info
+     */
+    async function extractFrames(tabId, settings) {
+        const injectionResults = await chrome.scripting.executeScript({
+            target: { tabId, allFrames: true },
+            args: [{
+                discoverAnswers: !!settings.discoverAnswers,
+                captureAssets: !!settings.captureAssets,
+                maxAssetBytes: settings.maxAssetBytes ?? extractor.DEFAULT_MAX_ASSET_BYTES
+            }],
+            func: async (options) => {
+                if (!window.celigoUExtractor) return null;
+
+                // Flip cards, expand accordions, cycle tabs, etc. and restore afterwards
+                const content = await window.celigoUExtractor.extractRevealed(document, options);
+                await window.celigoUExtractor.attachTranscripts(content);
+                if (options.captureAssets) {
+                    // Fetch images while the frame's CDN session is still valid
+                    await window.celigoUExtractor.captureAssets(content, options);
+                }
+                content.metadata = window.celigoUExtractor.extractFrameMetadata(document);
+                content._debug = {
+                    frameUrl: window.location.href,
+                    contentType: window.celigoUExtractor.detectContentType(document).source,
+                    blocks: document.querySelectorAll('[data-block-id]').length
+                };
+                return content;
+            }
+        });
+
+        // Aggregate injection results
+        const injectedResponse = {
+            success: true,
+            data: { content: {}, _debugFrames: [] }
+        };
+
+        injectionResults.forEach(result => {
+            if (result.result) {
+                Object.keys(result.result).forEach(key => {
+                    if (key === '_debug') {
+                        // Collect debug info from each frame
+                        injectedResponse.data._debugFrames.push(result.result._debug);
+                        return;
+                    }
+                    if (key === 'metadata') {
+                        // Keep the first non-empty value per field across frames
+                        const merged = injectedResponse.data.content.metadata || {};
+                        Object.keys(result.result.metadata).forEach(metaKey => {
+                            if (!merged[metaKey]) merged[metaKey] = result.result.metadata[metaKey];
+                        });
+                        injectedResponse.data.content.metadata = merged;
+                        return;
+                    }
+                    if (key === 'assets') {
+                        // { url: assetId } index from lib/assets.js
+                        injectedResponse.data.content.assets = {
+                            ...injectedResponse.data.content.assets,
+                            ...result.result.assets
+                        };
+                        return;
+                    }
+                    if (!injectedResponse.data.content[key]) {
+                        injectedResponse.data.content[key] = [];
+                    }
+                    if (Array.isArray(result.result[key])) {
+                        injectedResponse.data.content[key].push(...result.result[key]);
+                    }
+                });
+            }
+        });
+
+        return injectedResponse;
+    }
+
+    /**
+     * Scrape the lesson open in a tab
+     * @param {number} tabId
+     * @param {Object} [options]
+     * @param {Object} [options.settings] - Popup settings (discoverAnswers, captureAssets, maxAssetBytes)
+     * @param {Function} [options.onStage] - Called with a status line as each step starts
+     * @param {Function} [options.onPreload] - Called with preloadFrames() results
+     * @returns {Promise<Object>} Combined lesson document (see combineResults())
+     */
+    async function scrapeTab(tabId, options = {}) {
+        const settings = options.settings || {};
+        const onStage = options.onStage || (() => {});
+
+        // Step 0: Inject the shared engine and scroll every frame so lazy Rise blocks mount
+        onStage('Loading lesson blocks...');
+        try {
+            const frames = await preloadFrames(tabId);
+            if (options.onPreload) options.onPreload(frames);
+        } catch (e) {
+            console.log('Preload note:', e.message);
+        }
+        onStage('Extracting content...');
+
+        // Method 1: Try direct message to content scripts
+        let mainResponse = null;
+        let iframeResponse = null;
+
+        try {
+            mainResponse = await chrome.tabs.sendMessage(tabId, { action: 'scrapeMainPage' });
+        } catch (e) {
+            console.log('Main page scrape note:', e.message);
+        }
+
+        try {
+            iframeResponse = await chrome.tabs.sendMessage(tabId, { action: 'scrapeIframe' });
+        } catch (e) {
+            console.log('Iframe scrape note:', e.message);
+        }
+
+        // Method 2: Extract metadata from MAIN FRAME ONLY (Skilljar page)
+        const mainFrameMetadata = await readTabMetadata(tabId);
+
+        // Method 3: Run the shared extraction engine (injected in step 0) in every frame
+        let injectedResponse = null;
+        try {
+            injectedResponse = await extractFrames(tabId, settings);
+        } catch (e) {
+            console.log('Script injection note:', e.message);
+        }
+
+        // Method 4: Run the content scripts' extractor in every frame - only when the reveal pass found
+        // nothing, as its copies of the same items are unrevealed (empty card backs, closed panels, no answers)
+        let allFramesResponse = null;
+        if (hasItems(injectedResponse)) {
+            // The content script's copy of the frame is unrevealed too; keep only its raw page text
+            const rawText = iframeResponse?.data?.content?.rawText;
+            iframeResponse = rawText ? { success: true, data: { content: { rawText } } } : null;
+        } else {
+            try {
+                allFramesResponse = await executeInAllFrames(tabId);
+            } catch (e) {
+                console.log('All frames execution note:', e.message);
+            }
+        }
+
+        // Combine all results; dedupe keeps the first copy of an item, so the reveal pass goes first
+        return combineResults(mainResponse, injectedResponse, iframeResponse, allFramesResponse, mainFrameMetadata);
+    }
+
+    /**
+     * Whether an extraction response found any lesson items
+     */
+    function hasItems(response) {
+        const content = response?.success && response.data?.content;
+        if (!content) return false;
+        return Object.keys(content).some(key => key !== 'outline' && Array.isArray(content[key]) && content[key].length > 0);
+    }
+
+    /**
+     * Merge the responses of every extraction method into one lesson document:
+     * metadata (first non-empty value wins), content (deduplicated by content
+     * hash), captured image index and per-type statistics
+     */
+    function combineResults(...responses) {
+        const combined = {
+            metadata: {
+                scrapedAt: new Date().toISOString(),
+                url: '',
+                course: '',
+                lesson: '',
+                path: ''
+            },
+            content: {
+                flipCards: [],
+                hotspots: [],
+                knowledgeChecks: [],
+                accordions: [],
+                tabs: [],
+                process: [],
+                timeline: [],
+                labeledGraphic: [],
+                sorting: [],
+                scenario: [],
+                images: [],
+                textBlocks: [],
+                lists: [],
+                tables: [],
+                videos: [],
+                slides: [],
+                outline: [],
+                rawText: ''
+            },
+            assets: {},
+            _debugFrames: [],
+            statistics: {}
+        };
+
+        // Merge all responses
+        responses.forEach(response => {
+            // Handle plain metadata object (from mainFrameMetadata)
+            if (response && !response.success && !response.data && (response.url || response.course || response.lesson)) {
+                Object.keys(response).forEach(key => {
+                    if (response[key] && !combined.metadata[key]) {
+                        combined.metadata[key] = response[key];
+                    }
+                });
+                return;
+            }
+
+            if (response && response.success && response.data) {
+                // Collect debug frames
+                if (response.data._debugFrames && Array.isArray(response.data._debugFrames)) {
+                    combined._debugFrames.push(...response.data._debugFrames);
+                }
+
+                // Merge metadata from response.data.metadata
+                if (response.data.metadata) {
+                    Object.keys(response.data.metadata).forEach(key => {
+                        if (response.data.metadata[key] && !combined.metadata[key]) {
+                            combined.metadata[key] = response.data.metadata[key];
+                        }
+                    });
+                }
+
+                // Merge content
+                if (response.data.content) {
+                    Object.keys(response.data.content).forEach(key => {
+                        // Skip metadata nested in content (we handle it separately)
+                        if (key === 'metadata') {
+                            // Extract metadata from content if present
+                            Object.keys(response.data.content.metadata).forEach(metaKey => {
+                                if (response.data.content.metadata[metaKey] && !combined.metadata[metaKey]) {
+                                    combined.metadata[metaKey] = response.data.content.metadata[metaKey];
+                                }
+                            });
+                            return;
+                        }
+
+                        // Captured image index ({ url: assetId }) is kept beside the content
+                        if (key === 'assets') {
+                            Object.assign(combined.assets, response.data.content.assets);
+                            return;
+                        }
+
+                        if (Array.isArray(combined.content[key]) && Array.isArray(response.data.content[key])) {
+                            combined.content[key].push(...response.data.content[key]);
+                        } else if (response.data.content[key]) {
+                            combined.content[key] = response.data.content[key];
+                        }
+                    });
+                }
+            }
+        });
+
+        // A video's transcript may only have been fetched by the frame whose copy dedupe drops
+        const transcripts = new Map();
+        combined.content.videos.forEach(video => {
+            const hash = contentHash(video);
+            if (video.transcript && !transcripts.has(hash)) transcripts.set(hash, video.transcript);
+        });
+
+        // === IMPROVED DEDUPLICATION ===
+        Object.keys(combined.content).forEach(key => {
+            if (Array.isArray(combined.content[key])) {
+                const seen = new Set();
+                combined.content[key] = combined.content[key].filter(item => {
+                    // Generate a content-based hash for deduplication
+                    const hash = contentHash(item);
+                    if (!hash || hash.length < 5) return false; // Skip empty items
+                    if (seen.has(hash)) return false;
+                    seen.add(hash);
+                    return true;
+                });
+            }
+        });
+
+        // === ADDITIONAL CLEANUP ===
+
+        // Merge all hotspot points into a single deduplicated hotspot
+        // (content.labeledGraphic keeps each graphic apart, with its image and marker positions)
+        const allHotspotPoints = [];
+        const seenPointHashes = new Set();
+        combined.content.hotspots.forEach(hotspot => {
+            if (hotspot.points && Array.isArray(hotspot.points)) {
+                hotspot.points.forEach(point => {
+                    // Create hash from meaningful content
+                    const meaningfulContent = (point.title || '') + '|' + (point.description || point.rawLabel || '').substring(0, 100);
+                    if (meaningfulContent.length > 5 && !seenPointHashes.has(meaningfulContent)) {
+                        seenPointHashes.add(meaningfulContent);
+                        allHotspotPoints.push({
+                            ...point,
+                            index: allHotspotPoints.length
+                        });
+                    }
+                });
+            }
+        });
+
+        // Replace hotspots array with single deduplicated hotspot
+        if (allHotspotPoints.length > 0) {
+            combined.content.hotspots = [{
+                id: 'hotspots-combined',
+                points: allHotspotPoints
+            }];
+        } else {
+            combined.content.hotspots = [];
+        }
+
+        // Remove duplicate text blocks with same content
+        const textSeen = new Set();
+        combined.content.textBlocks = combined.content.textBlocks.filter(block => {
+            const contentHash = (block.content || '').substring(0, 100);
+            if (textSeen.has(contentHash)) return false;
+            textSeen.add(contentHash);
+            return true;
+        });
+
+        // Remove duplicate list items
+        const listSeen = new Set();
+        combined.content.lists = combined.content.lists.filter(list => {
+            const listHash = (list.items || []).join('|').substring(0, 150);
+            if (listSeen.has(listHash)) return false;
+            listSeen.add(listHash);
+            return true;
+        });
+
+        // Remove false positive and duplicate knowledge checks
+        // (a copy whose answers were discovered replaces one that wasn't, whichever frame came first)
+        const kcSeen = new Map();
+        const knowledgeChecks = [];
+        combined.content.knowledgeChecks.forEach(kc => {
+            if (!kc.question || kc.question.length < 10) return;
+            // Filter false positives
+            if (extractor.isFalsePositiveKC(kc.question)) return;
+            // Deduplicate
+            const kcHash = kc.question.substring(0, 100);
+            if (!kcSeen.has(kcHash)) {
+                kcSeen.set(kcHash, knowledgeChecks.length);
+                knowledgeChecks.push(kc);
+            } else if (kc.answerDiscovery && !knowledgeChecks[kcSeen.get(kcHash)].answerDiscovery) {
+                knowledgeChecks[kcSeen.get(kcHash)] = kc;
+            }
+        });
+        combined.content.knowledgeChecks = knowledgeChecks;
+
+        // Remove duplicate images by src
+        const imgSeen = new Set();
+        combined.content.images = combined.content.images.filter(img => {
+            if (!img.src) return false;
+            if (imgSeen.has(img.src)) return false;
+            imgSeen.add(img.src);
+            return true;
+        });
+
+        combined.content.videos.forEach(video => {
+            if (!video.transcript && transcripts.has(contentHash(video))) {
+                video.transcript = transcripts.get(contentHash(video));
+                video.plainText = extractor.plainTextOf(video);
+            }
+        });
+
+        // Point outline refs at the items that survived dedupe
+        combined.content.outline = resolveOutline(combined.content.outline, combined.content);
+
+        // Dedupe may have kept an image's copy from a frame that didn't capture it
+        extractor.collectImageRefs(combined.content).forEach(image => {
+            if (!image.assetId && combined.assets[image.src]) {
+                image.assetId = combined.assets[image.src];
+                delete image.assetError;
+            }
+        });
+
+        // Calculate statistics
+        combined.statistics = {
+            flipCards: combined.content.flipCards.length,
+            hotspots: combined.content.hotspots.length,
+            knowledgeChecks: combined.content.knowledgeChecks.length,
+            accordions: combined.content.accordions.length,
+            tabs: combined.content.tabs.length,
+            process: combined.content.process.length,
+            timeline: combined.content.timeline.length,
+            labeledGraphic: combined.content.labeledGraphic.length,
+            sorting: combined.content.sorting.length,
+            scenario: combined.content.scenario.length,
+            images: combined.content.images.length,
+            textBlocks: combined.content.textBlocks.length,
+            lists: combined.content.lists.length,
+            tables: combined.content.tables.length,
+            videos: combined.content.videos.length,
+            slides: combined.content.slides.length,
+            totalItems: 0
+        };
+
+        combined.statistics.totalItems = Object.values(combined.statistics)
+            .filter(v => typeof v === 'number')
+            .reduce((a, b) => a + b, 0);
+
+        return combined;
+    }
+
+    /**
+     * Re-point outline refs after dedupe: a ref names an item by type + content
+     * hash, so a duplicate dropped from one frame resolves to the copy kept from
+     * another. Refs to items that were filtered out are removed.
+     */
+    function resolveOutline(outline, content) {
+        const idsByHash = {};
+        Object.keys(content).forEach(type => {
+            if (Array.isArray(content[type]) && type !== 'outline') {
+                idsByHash[type] = new Map(content[type].map(item => [contentHash(item), item.id]));
+            }
+        });
+
+        const resolve = (ref) => {
+            if (!ref) return null;
+            // Hotspots are merged into one combined entry
+            if (ref.type === 'hotspots') {
+                return content.hotspots.length > 0 ? { ...ref, id: content.hotspots[0].id } : null;
+            }
+            const id = idsByHash[ref.type]?.get(ref.hash);
+            return id ? { ...ref, id } : null;
+        };
+
+        const prune = (node) => {
+            if (node.type === 'block') {
+                const items = node.items.map(resolve).filter(Boolean);
+                return items.length > 0 ? { ...node, items } : null;
+            }
+
+            const children = node.children.map(prune).filter(Boolean);
+            if (node.type === 'section') {
+                return { ...node, ref: resolve(node.ref), children };
+            }
+            return children.length > 0 ? { ...node, children } : null;
+        };
+
+        return outline.map(prune).filter(Boolean);
+    }
+
+    extractor.EXTRACTOR_FILES = EXTRACTOR_FILES;
+    extractor.preloadFrames = preloadFrames;
+    extractor.executeInAllFrames = executeInAllFrames;
+    extractor.readTabMetadata = readTabMetadata;
+    extractor.readTabPath = readTabPath;
+    extractor.scrapeTab = scrapeTab;
+    extractor.combineResults = combineResults;
+    extractor.resolveOutline = resolveOutline;
+})();
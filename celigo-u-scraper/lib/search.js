@@ -0,0 +1,141 @@
+/**
+ * Celigo U Scraper - Full-Text Search
+ * Splits a lesson's content into passages - one per text block, card, knowledge
+ * check, accordion panel, tab, video transcript, ... - and turns them into the
+ * terms the library's index is keyed by (lib/library.js keeps the index up to
+ * date and runs queries). Scoring and snippets for search results live here too.
+ * Requires lib/extractor.js; adds celigoUExtractor.lessonPassages() / tokenize() / scorePassage() / makeSnippet()
+ */
+
+(function() {
+    'use strict';
+
+    const extractor = window.celigoUExtractor;
+    if (!extractor || extractor.lessonPassages) return;
+
+    // Fields that aren't lesson text, and URLs (which would index "https", "cdn", "png", ...)
+    // Video transcripts are passages of their own (see lessonPassages()).
+    const IGNORED_KEYS = [...extractor.BOOKKEEPING_KEYS, ...extractor.LINK_KEYS, 'transcript'];
+
+    const SNIPPET_LENGTH = 200;
+
+    // Terms shorter than this aren't indexed or searched
+    const MIN_TERM_LENGTH = 2;
+
+    /**
+     * Plain text of a content item's string fields (Markdown stripped), one line per field
+     */
+    function textOf(value) {
+        const parts = [];
+
+        (function collect(v, key) {
+            if (IGNORED_KEYS.includes(key) || v === null || v === undefined) return;
+            if (Array.isArray(v)) {
+                v.forEach(item => collect(item));
+            } else if (typeof v === 'object') {
+                Object.keys(v).forEach(k => collect(v[k], k));
+            } else if (typeof v === 'string' && v.trim()) {
+                parts.push(extractor.stripMarkdown(v.trim()));
+            }
+        })(value);
+
+        return parts.filter(part => part).join('\n');
+    }
+
+    /**
+     * Short heading of an item for search results (question, title, card front, ...)
+     */
+    function labelOf(item) {
+        const label = item.question || item.title || item.heading || item.label || item.front?.title || item.front?.content || '';
+        return extractor.stripMarkdown(String(label)).replace(/\s+/g, ' ').slice(0, 120);
+    }
+
+    /**
+     * Searchable passages of a lesson's content
+     * Accordions and tab sets give one passage per panel; videos are searched by their transcript.
+     * @param {Object} content - Lesson content (data.content)
+     * @returns {Array} [{ type, label, text }], type being the content key ('flipCards', ...) or 'transcripts'
+     */
+    function lessonPassages(content = {}) {
+        const passages = [];
+        const add = (type, label, text) => {
+            if (text && text.trim()) passages.push({ type, label: label || '', text: text.trim() });
+        };
+
+        Object.keys(content).forEach(type => {
+            if (type === 'outline' || !Array.isArray(content[type])) return;
+
+            content[type].forEach(item => {
+                if (!item || typeof item !== 'object') return;
+
+                if (type === 'accordions' && Array.isArray(item.items)) {
+                    item.items.forEach(panel => add(type, panel.header || labelOf(item), textOf(panel.content)));
+                } else if (type === 'tabs' && Array.isArray(item.tabs)) {
+                    item.tabs.forEach(tab => add(type, tab.label || '', textOf(tab.content)));
+                } else if (type === 'videos') {
+                    if (item.transcript?.text) add('transcripts', item.title || item.transcript.label || '', item.transcript.text);
+                } else {
+                    add(type, labelOf(item), textOf(item));
+                }
+            });
+        });
+
+        return passages;
+    }
+
+    /**
+     * Lowercase word tokens (letters and digits), in order, repeats kept
+     * "preSavePage hook" gives ['presavepage', 'hook'].
+     */
+    function tokenize(text) {
+        return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+            .filter(token => token.length >= MIN_TERM_LENGTH);
+    }
+
+    /**
+     * Rank of a passage for a query: 0 unless it has every term (the last one
+     * may be a prefix, for search as you type), more for repeated terms, a
+     * match in the label and the exact phrase
+     * @param {Object} passage - { label, text }
+     * @param {Array} terms - Query terms (tokenize(query))
+     */
+    function scorePassage(passage, terms) {
+        const tokens = tokenize(`${passage.label} ${passage.text}`);
+        let score = 0;
+
+        for (const [i, term] of terms.entries()) {
+            const isPrefix = i === terms.length - 1;
+            const hits = tokens.filter(token => token === term || (isPrefix && token.startsWith(term))).length;
+            if (hits === 0) return 0;
+            score += hits;
+        }
+
+        const labelTokens = tokenize(passage.label);
+        if (terms.every(term => labelTokens.some(token => token.startsWith(term)))) score += 5;
+        if (terms.length > 1 && tokens.join(' ').includes(terms.join(' '))) score += 10;
+        return score;
+    }
+
+    /**
+     * About SNIPPET_LENGTH characters of the text around the first query term,
+     * cut at word boundaries, with … where text was dropped
+     */
+    function makeSnippet(text, terms) {
+        const flat = text.replace(/\s+/g, ' ').trim();
+        const lower = flat.toLowerCase();
+        const positions = terms.map(term => lower.indexOf(term)).filter(position => position !== -1);
+        const first = positions.length > 0 ? Math.min(...positions) : 0;
+
+        let start = Math.max(0, first - Math.round(SNIPPET_LENGTH / 3));
+        let end = Math.min(flat.length, start + SNIPPET_LENGTH);
+        if (start > 0) start = flat.indexOf(' ', start) + 1 || start;
+        if (end < flat.length) end = flat.lastIndexOf(' ', end) > first ? flat.lastIndexOf(' ', end) : end;
+
+        return `${start > 0 ? '…' : ''}${flat.slice(start, end).trim()}${end < flat.length ? '…' : ''}`;
+    }
+
+    extractor.lessonPassages = lessonPassages;
+    extractor.tokenize = tokenize;
+    extractor.scorePassage = scorePassage;
+    extractor.makeSnippet = makeSnippet;
+})();
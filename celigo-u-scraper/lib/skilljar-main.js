@@ -0,0 +1,54 @@
+/**
+ * Celigo U Scraper - Skilljar Globals Bridge (main world)
+ * Skilljar defines skilljarCourse, skilljarLessonProgress, ... as page
+ * globals, which isolated-world content scripts can't see. This runs in the
+ * page's main world and hands a JSON snapshot of them over:
+ * - to lib/content-main.js, answering its request event on window
+ * - to the popup, as the result of chrome.scripting.executeScript({ files, world: 'MAIN' })
+ * Parsing happens in lib/skilljar.js; nothing here touches the page.
+ */
+
+(function() {
+    'use strict';
+
+    const GLOBALS = [
+        'skilljarCourse',
+        'skilljarLesson',
+        'skilljarLessonProgress',
+        'skilljarCourseProgress',
+        'skilljarCourseSeries',
+        'skilljarPath'
+    ];
+
+    const EVENTS = {
+        request: 'celigo-u-scraper:skilljar-request',
+        response: 'celigo-u-scraper:skilljar-globals'
+    };
+
+    /**
+     * JSON copy of each Skilljar global that is defined (skipping any that can't be serialized)
+     */
+    function snapshot() {
+        const globals = {};
+        GLOBALS.forEach(name => {
+            try {
+                if (window[name] !== undefined) {
+                    globals[name] = JSON.parse(JSON.stringify(window[name]));
+                }
+            } catch (e) {
+                console.log(`Celigo U Scraper: Skilljar global ${name} is not serializable:`, e.message);
+            }
+        });
+        return globals;
+    }
+
+    if (!window.__celigoUSkilljarBridge) {
+        window.__celigoUSkilljarBridge = true;
+        window.addEventListener(EVENTS.request, () => {
+            // A string detail crosses from the main world to the isolated world intact
+            window.dispatchEvent(new CustomEvent(EVENTS.response, { detail: JSON.stringify(snapshot()) }));
+        });
+    }
+
+    return snapshot();
+})();
@@ -0,0 +1,251 @@
+/**
+ * Celigo U Scraper - Skilljar Metadata
+ * training.celigo.com is a Skilljar site. Lesson pages define globals
+ * describing the course, the current lesson and the learner's progress, and
+ * render the course curriculum in a sidebar. This turns a snapshot of those
+ * globals (taken in the main world by lib/skilljar-main.js) plus the sidebar
+ * into structured metadata: course/lesson ids, lesson type and duration,
+ * learning path, the lesson's position, progress and the full curriculum with
+ * each lesson's URL. On a learning path page it lists the path's courses.
+ * Requires lib/extractor.js; adds celigoUExtractor.readSkilljarMetadata() / readSkilljarPath()
+ */
+
+(function() {
+    'use strict';
+
+    const extractor = window.celigoUExtractor;
+    if (!extractor || extractor.readSkilljarMetadata) return;
+
+    const { getText, queryText } = extractor;
+
+    const SKILLJAR_SELECTORS = {
+        courseTitle: '.course-title, .course-header h1',
+        lessonTitle: '.lesson-top h2, #lesson-main h2',
+        pathTitle: '.path-title',
+        breadcrumb: '.breadcrumb a, .breadcrumbs a, [class*="breadcrumb"] a',
+        curriculum: '#curriculum-list-2, #curriculum-list',
+        curriculumEntry: '.section, .lesson',
+        entryTitle: '.title',
+        duration: '.lesson-duration, [class*="duration"]',
+        pathCourse: '.coursebox-container, .path-course a[href], a[data-course-id]',
+        pathCourseTitle: '.coursebox-text, .course-title, h3'
+    };
+
+    /**
+     * First defined, non-empty value
+     */
+    function pick(...values) {
+        return values.find(value => value !== undefined && value !== null && value !== '');
+    }
+
+    /**
+     * Course slug, path slug and lesson id from a Skilljar URL
+     * (/<course-slug>/<lesson-id> or /path/<path-slug>/<course-slug>/<lesson-id>)
+     */
+    function parseSkilljarUrl(href) {
+        let parts = [];
+        try {
+            parts = new URL(href).pathname.split('/').filter(part => part.length > 0);
+        } catch (e) {
+            return { pathSlug: '', courseSlug: '', lessonId: '' };
+        }
+
+        const pathSlug = parts[0] === 'path' ? parts[1] || '' : '';
+        const rest = parts[0] === 'path' ? parts.slice(2) : parts;
+        return {
+            pathSlug,
+            courseSlug: rest[0] && !/^\d+$/.test(rest[0]) ? rest[0] : '',
+            lessonId: rest.find(part => /^\d+$/.test(part)) || ''
+        };
+    }
+
+    /**
+     * Lesson type from a curriculum entry's classes (lesson-type-video, type-scorm, ...)
+     */
+    function readLessonType(el) {
+        const match = /\b(?:lesson-type|type)-([\w-]+)/.exec(el.className || '');
+        return match ? match[1] : (el.getAttribute('data-type') || el.getAttribute('data-lesson-type') || '');
+    }
+
+    /**
+     * Curriculum sidebar in order, with the section each lesson sits under
+     */
+    function readCurriculum(doc) {
+        const list = doc.querySelector(SKILLJAR_SELECTORS.curriculum);
+        if (!list) return [];
+
+        const lessons = [];
+        let section = '';
+
+        list.querySelectorAll(SKILLJAR_SELECTORS.curriculumEntry).forEach(entry => {
+            if (!entry.classList.contains('lesson')) {
+                section = getText(entry);
+                return;
+            }
+
+            const link = entry.matches('a') ? entry : entry.querySelector('a[href]');
+            const url = link?.href || '';
+            lessons.push({
+                index: lessons.length + 1,
+                id: parseSkilljarUrl(url).lessonId || entry.getAttribute('data-lesson-id') || '',
+                title: queryText(entry, SKILLJAR_SELECTORS.entryTitle) || getText(entry),
+                type: readLessonType(entry),
+                section,
+                url,
+                completed: entry.classList.contains('lesson-complete'),
+                // Lessons behind an unpassed quiz are listed without a link
+                locked: entry.classList.contains('lesson-locked') || !url,
+                current: entry.classList.contains('lesson-active') || entry.getAttribute('aria-current') === 'page'
+            });
+        });
+
+        return lessons;
+    }
+
+    /**
+     * Lessons listed in the course global, when the sidebar isn't rendered
+     */
+    function curriculumFromCourse(course, doc, courseSlug) {
+        const lessons = course.lessons || course.curriculum || [];
+        if (!Array.isArray(lessons)) return [];
+
+        return lessons.map((lesson, i) => {
+            const id = String(pick(lesson.id, lesson.lesson_id, ''));
+            return {
+                index: i + 1,
+                id,
+                title: lesson.title || '',
+                type: pick(lesson.type, lesson.lesson_type, lesson.content_type, ''),
+                section: lesson.section?.title || lesson.section_title || '',
+                url: pick(lesson.url, id && courseSlug ? new URL(`/${courseSlug}/${id}`, doc.location.href).href : ''),
+                completed: !!(lesson.completed_at || lesson.completed),
+                locked: !!(lesson.locked || lesson.is_locked),
+                current: false
+            };
+        });
+    }
+
+    /**
+     * Completion state from a Skilljar progress object
+     */
+    function isComplete(progress) {
+        if (!progress || typeof progress !== 'object') return false;
+        return !!(progress.completed_at || progress.completed === true || /^complete/i.test(progress.status || ''));
+    }
+
+    /**
+     * Structured Skilljar metadata for the page
+     * @param {Document} doc - Skilljar lesson page
+     * @param {Object} [globals] - Snapshot from lib/skilljar-main.js ({ skilljarCourse, ... })
+     * @returns {Object} Metadata (see README "Output Format")
+     */
+    function readSkilljarMetadata(doc = document, globals = {}) {
+        const course = globals?.skilljarCourse || {};
+        const lesson = course.lesson || globals?.skilljarLesson || {};
+        const lessonProgress = globals?.skilljarLessonProgress || null;
+        const courseProgress = globals?.skilljarCourseProgress || null;
+        const path = globals?.skilljarPath || globals?.skilljarCourseSeries || {};
+        const url = parseSkilljarUrl(doc.location.href);
+
+        const courseSlug = pick(course.slug, url.courseSlug, '');
+        let curriculum = readCurriculum(doc);
+        const listed = curriculumFromCourse(course, doc, courseSlug);
+        if (curriculum.length === 0) {
+            curriculum = listed;
+        } else {
+            // The sidebar has no lesson types - take them from the course global
+            curriculum.forEach(entry => {
+                const match = listed.find(item => item.id && item.id === entry.id);
+                if (match && !entry.type) entry.type = match.type;
+            });
+        }
+
+        const lessonId = String(pick(lesson.id, lessonProgress?.lesson_id, url.lessonId, ''));
+        const currentIndex = curriculum.findIndex(entry => (lessonId && entry.id === lessonId) || entry.current);
+        const current = curriculum[currentIndex] || {};
+        if (currentIndex !== -1) {
+            current.current = true;
+            current.type = current.type || pick(lesson.type, lesson.lesson_type, '');
+        }
+
+        const breadcrumbs = Array.from(doc.querySelectorAll(SKILLJAR_SELECTORS.breadcrumb)).map(getText).filter(t => t);
+        const completedLessons = curriculum.filter(entry => entry.completed).length;
+
+        return {
+            url: doc.location.href,
+            scrapedAt: new Date().toISOString(),
+            course: pick(course.title, queryText(doc, SKILLJAR_SELECTORS.courseTitle), ''),
+            courseId: String(pick(course.id, '')),
+            courseSlug,
+            description: course.short_description || course.description || '',
+            lesson: pick(lesson.title, queryText(doc, SKILLJAR_SELECTORS.lessonTitle), current.title, ''),
+            lessonId,
+            lessonType: pick(lesson.type, lesson.lesson_type, lesson.content_type, current.type, ''),
+            duration: pick(lesson.duration, lesson.estimated_duration, queryText(doc, SKILLJAR_SELECTORS.duration), ''),
+            lessonIndex: currentIndex === -1 ? null : currentIndex + 1,
+            lessonCount: curriculum.length,
+            path: pick(path.title, queryText(doc, SKILLJAR_SELECTORS.pathTitle), breadcrumbs.slice(0, -1).join(' > '), ''),
+            pathSlug: pick(path.slug, url.pathSlug, ''),
+            progress: {
+                lessonCompleted: isComplete(lessonProgress) || !!current.completed,
+                courseCompleted: isComplete(courseProgress),
+                completedLessons,
+                totalLessons: curriculum.length,
+                percent: pick(
+                    courseProgress?.percent_complete,
+                    curriculum.length > 0 ? Math.round((completedLessons / curriculum.length) * 100) : null
+                ) ?? null
+            },
+            curriculum
+        };
+    }
+
+    /**
+     * Courses of a learning path page, in path order
+     * @param {Document} doc - Skilljar path page (/path/<path-slug>)
+     * @param {Object} [globals] - Snapshot from lib/skilljar-main.js
+     * @returns {Object} { url, path, pathSlug, courses: [{ index, id, title, slug, url, completed }] }
+     */
+    function readSkilljarPath(doc = document, globals = {}) {
+        const path = globals?.skilljarPath || globals?.skilljarCourseSeries || {};
+        const pathSlug = pick(path.slug, parseSkilljarUrl(doc.location.href).pathSlug, '');
+
+        let courses = Array.from(doc.querySelectorAll(SKILLJAR_SELECTORS.pathCourse)).map(link => ({
+            id: link.getAttribute('data-course-id') || '',
+            title: queryText(link, SKILLJAR_SELECTORS.pathCourseTitle) || getText(link),
+            slug: parseSkilljarUrl(link.href).courseSlug,
+            url: link.href,
+            completed: /\bcomplete/.test(link.className)
+        }));
+
+        if (courses.length === 0 && Array.isArray(path.courses)) {
+            courses = path.courses.map(course => {
+                const slug = course.slug || '';
+                const coursePath = pathSlug ? `/path/${pathSlug}/${slug}` : `/${slug}`;
+                return {
+                    id: String(pick(course.id, '')),
+                    title: course.title || '',
+                    slug,
+                    url: pick(course.url, slug ? new URL(coursePath, doc.location.href).href : ''),
+                    completed: isComplete(course.progress) || !!course.completed
+                };
+            });
+        }
+
+        // Course tiles can repeat (featured + listed); keep the first of each URL
+        const seen = new Set();
+        courses = courses.filter(course => course.url && !seen.has(course.url) && seen.add(course.url));
+        courses.forEach((course, i) => { course.index = i + 1; });
+
+        return {
+            url: doc.location.href,
+            path: pick(path.title, queryText(doc, SKILLJAR_SELECTORS.pathTitle), doc.title.split('|')[0].trim(), ''),
+            pathSlug,
+            courses
+        };
+    }
+
+    extractor.parseSkilljarUrl = parseSkilljarUrl;
+    extractor.readSkilljarMetadata = readSkilljarMetadata;
+    extractor.readSkilljarPath = readSkilljarPath;
+})();
@@ -0,0 +1,356 @@
+/**
+ * Celigo U Scraper - Articulate Storyline Adapter
+ * Storyline draws slides on a canvas/SVG player, so DOM scraping finds almost
+ * nothing. The published output ships its content as data files
+ * (html5/data/js/data.js + one file per slide, each calling
+ * globalProvideData(kind, '<json>')). This adapter fetches and decodes those
+ * files from the frame, and falls back to the player's accessible text layer.
+ * Output: slides as ordered sections + knowledge checks in the shared schema.
+ * Requires lib/extractor.js; adds celigoUExtractor.extractStoryline() / extractStorylineData()
+ */
+
+(function() {
+    'use strict';
+
+    const extractor = window.celigoUExtractor;
+    if (!extractor || extractor.extractStorylineData) return;
+
+    const SOURCE = 'storyline';
+    const DATA_PATH = 'html5/data/js/';
+
+    // Layers Storyline uses for quiz feedback
+    const FEEDBACK_LAYER = /^(correct|incorrect|try again|feedback)/i;
+
+    const ACCESSIBLE_SELECTORS = {
+        slide: '#slide-window, .slide-container, [data-acc-type="slide"]',
+        slideTitle: '.slide-title, [data-acc-type="slide"][aria-label], #slide-window [aria-label]',
+        text: '[data-acc-text], .acc-shadow-el',
+        menuItem: '.cs-listitem, #outline-content li',
+        choice: '[role="radio"], [role="checkbox"], [data-acc-type="radio"], [data-acc-type="checkbox"]'
+    };
+
+    /**
+     * Unescape the body of a single-quoted JavaScript string literal
+     */
+    function unescapeJsString(str) {
+        const SIMPLE = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+        let out = '';
+
+        for (let i = 0; i < str.length; i++) {
+            const ch = str[i];
+            if (ch !== '\\') {
+                out += ch;
+                continue;
+            }
+
+            const next = str[++i];
+            if (next in SIMPLE) {
+                out += SIMPLE[next];
+            } else if (next === 'u') {
+                out += String.fromCharCode(parseInt(str.substr(i + 1, 4), 16));
+                i += 4;
+            } else if (next === 'x') {
+                out += String.fromCharCode(parseInt(str.substr(i + 1, 2), 16));
+                i += 2;
+            } else if (next === '\n') {
+                // Line continuation
+            } else {
+                out += next;
+            }
+        }
+
+        return out;
+    }
+
+    /**
+     * Parse a Storyline data file: globalProvideData('kind', '<json>')
+     */
+    function parseDataFile(text) {
+        const match = text.match(/globalProvideData\(\s*'(\w+)'\s*,\s*'([\s\S]*)'\s*\)\s*;?\s*$/);
+        if (!match) return null;
+        return { kind: match[1], data: JSON.parse(unescapeJsString(match[2])) };
+    }
+
+    /**
+     * Base URL of the published html5/data/js folder for this frame
+     */
+    function dataBaseUrl(doc) {
+        const script = doc.querySelector(`script[src*="${DATA_PATH}"]`);
+        if (script) {
+            return new URL('.', script.src).href;
+        }
+        return new URL(DATA_PATH, doc.baseURI).href;
+    }
+
+    async function fetchDataFile(url) {
+        const response = await fetch(url, { credentials: 'include' });
+        if (!response.ok) {
+            throw new Error(`${response.status} fetching ${url}`);
+        }
+        return parseDataFile(await response.text());
+    }
+
+    /**
+     * Text lines from a slide object tree (vartext blocks, alt text)
+     */
+    function collectText(node, lines = []) {
+        if (!node || typeof node !== 'object') return lines;
+
+        if (Array.isArray(node)) {
+            node.forEach(child => collectText(child, lines));
+            return lines;
+        }
+
+        if (node.vartext?.blocks) {
+            node.vartext.blocks.forEach(block => {
+                const line = (block.spans || []).map(span => span.text || '').join('').trim();
+                if (line) lines.push(line);
+            });
+        } else if (node.accType === 'text' && node.altText) {
+            lines.push(node.altText.trim());
+        }
+
+        Object.keys(node).forEach(key => {
+            if (key !== 'vartext' && typeof node[key] === 'object') {
+                collectText(node[key], lines);
+            }
+        });
+
+        return lines;
+    }
+
+    /**
+     * Remove consecutive duplicate lines (text and its alt text often repeat)
+     */
+    function dedupeLines(lines) {
+        return lines.filter((line, i) => line !== lines[i - 1]);
+    }
+
+    /**
+     * Choice ids referenced by the interaction's correct answer statements
+     */
+    function correctChoiceIds(interaction) {
+        const ids = new Set();
+        (interaction.answers || [])
+            .filter(answer => answer.status === 'correct')
+            .forEach(answer => {
+                const json = JSON.stringify(answer);
+                (interaction.choices || []).forEach(choice => {
+                    if (choice.id && json.includes(`"${choice.id}"`)) ids.add(choice.id);
+                });
+            });
+        return ids;
+    }
+
+    /**
+     * Map a slide's quiz interaction into the knowledgeChecks schema
+     * Storyline interaction types follow SCORM: choice, fill-in, matching, sequencing...
+     */
+    function mapInteraction(interaction, slide, feedback, id) {
+        const { QUESTION_TYPES } = extractor;
+        const question = (interaction.lmstext || interaction.title || '').trim();
+        if (!question) return null;
+
+        const choices = interaction.choices || [];
+        const correctIds = correctChoiceIds(interaction);
+        const label = (item) => (item?.lmstext || item?.text || '').trim();
+        const kind = String(interaction.type || '').toLowerCase().replace(/[\s_-]/g, '');
+
+        const check = {
+            id: id,
+            questionType: QUESTION_TYPES.multipleChoice,
+            question: question,
+            choices: [],
+            feedback: feedback,
+            slide: slide.title || '',
+            source: SOURCE
+        };
+
+        if (kind === 'fillin' || kind === 'textentry') {
+            check.questionType = QUESTION_TYPES.fillIn;
+            check.acceptableAnswers = (interaction.answers || [])
+                .filter(answer => answer.status === 'correct')
+                .flatMap(answer => [].concat(answer.value ?? answer.text ?? answer.lmstext ?? []))
+                .map(value => String(value).trim())
+                .filter(value => value.length > 0);
+        } else if (kind === 'matching') {
+            check.questionType = QUESTION_TYPES.matching;
+            check.pairs = choices.map(choice => ({
+                prompt: label(choice),
+                match: label(choice.match || (interaction.matches || []).find(m => m.id === choice.matchId))
+            })).filter(pair => pair.prompt);
+        } else {
+            if (correctIds.size > 1 || interaction.multi || kind === 'multiplechoicemultipleresponse') {
+                check.questionType = QUESTION_TYPES.multipleResponse;
+            }
+            check.choices = choices.map((choice, j) => ({
+                text: label(choice),
+                isCorrect: correctIds.has(choice.id),
+                index: j
+            }));
+        }
+
+        return check;
+    }
+
+    /**
+     * Build content from data.js and each slide file
+     */
+    async function extractStorylineData(doc = document) {
+        if (!extractor.detectContentType(doc).isStoryline) return null;
+
+        const base = dataBaseUrl(doc);
+        const story = await fetchDataFile(new URL('data.js', base).href);
+        if (!story?.data?.scenes) return null;
+
+        const content = extractor.createEmptyContent();
+        const outline = extractor.createOutline(story.data.title);
+        let slideIndex = 0;
+
+        for (const scene of story.data.scenes) {
+            const sceneTitle = scene.lmstext || scene.title || '';
+            if (sceneTitle) outline.section(sceneTitle, 1);
+
+            for (const slideRef of scene.slides || []) {
+                let slide = slideRef;
+                try {
+                    const file = await fetchDataFile(new URL(`${slideRef.id}.js`, base).href);
+                    if (file?.data) slide = { ...slideRef, ...file.data };
+                } catch (e) {
+                    console.log(`Celigo U Scraper: Slide ${slideRef.id} data unavailable:`, e.message);
+                }
+
+                const layers = (slide.slideLayers || []).map((layer, j) => ({
+                    title: layer.title || (j === 0 ? 'Base Layer' : `Layer ${j}`),
+                    isBaseLayer: j === 0 || !!layer.isBaseLayer,
+                    text: dedupeLines(collectText(layer.objects || [])).join('\n')
+                }));
+
+                const slideItem = {
+                    id: `storyline-slide-${slide.id || slideIndex}`,
+                    index: slideIndex,
+                    scene: sceneTitle,
+                    title: slide.title || slide.lmstext || `Slide ${slideIndex + 1}`,
+                    layers: layers.filter(layer => layer.text),
+                    source: SOURCE
+                };
+                content.slides.push(slideItem);
+                outline.add('slides', slideItem, slideItem.id);
+
+                const feedback = layers
+                    .filter(layer => FEEDBACK_LAYER.test(layer.title) && layer.text)
+                    .map(layer => `${layer.title}: ${layer.text}`)
+                    .join('\n');
+
+                (slide.interactions || []).forEach((interaction, j) => {
+                    const kc = mapInteraction(interaction, slide, feedback, `storyline-kc-${slide.id || slideIndex}-${j}`);
+                    if (kc) {
+                        content.knowledgeChecks.push(kc);
+                        outline.add('knowledgeChecks', kc, slideItem.id);
+                    }
+                });
+
+                slideIndex++;
+            }
+        }
+
+        extractor.addPlainText(content);
+        content.outline.push(outline.root);
+        content.storyline = {
+            title: story.data.title || '',
+            variables: (story.data.variables || []).map(v => ({
+                name: v.name,
+                type: v.type || '',
+                value: v.value ?? v.defaultValue ?? null
+            }))
+        };
+
+        return content;
+    }
+
+    /**
+     * Accessible text layer fallback: the slide currently on screen plus the menu outline
+     */
+    function extractStoryline(doc = document) {
+        if (!extractor.detectContentType(doc).isStoryline) return null;
+
+        const content = extractor.createEmptyContent();
+        const { getText, queryText } = extractor;
+
+        const lines = dedupeLines(Array.from(doc.querySelectorAll(ACCESSIBLE_SELECTORS.text))
+            .map(el => (el.getAttribute('data-acc-text') || getText(el)).trim())
+            .filter(text => text.length > 0));
+
+        const slideRoot = doc.querySelector(ACCESSIBLE_SELECTORS.slide);
+        const title = queryText(doc, '.slide-title') ||
+                      slideRoot?.getAttribute('aria-label') ||
+                      lines[0] || '';
+
+        if (lines.length > 0) {
+            content.slides.push({
+                id: 'storyline-slide-current',
+                index: 0,
+                scene: '',
+                title: title,
+                layers: [{ title: 'Base Layer', isBaseLayer: true, text: lines.join('\n') }],
+                source: 'storyline-accessible'
+            });
+        }
+
+        // The menu lists every slide title even when only one is rendered
+        doc.querySelectorAll(ACCESSIBLE_SELECTORS.menuItem).forEach((item, i) => {
+            const menuTitle = getText(item);
+            if (menuTitle && menuTitle !== title) {
+                content.slides.push({
+                    id: `storyline-menu-${i}`,
+                    index: i + 1,
+                    scene: '',
+                    title: menuTitle,
+                    layers: [],
+                    source: 'storyline-accessible'
+                });
+            }
+        });
+
+        const choices = Array.from(doc.querySelectorAll(ACCESSIBLE_SELECTORS.choice))
+            .map((choice, j) => ({
+                text: choice.getAttribute('data-acc-text') || choice.getAttribute('aria-label') || getText(choice),
+                isCorrect: false,
+                index: j
+            }))
+            .filter(choice => choice.text);
+
+        if (choices.length > 0) {
+            const question = lines.find(line => line.endsWith('?')) || title;
+            const isMulti = !!doc.querySelector('[role="checkbox"], [data-acc-type="checkbox"]');
+            content.knowledgeChecks.push({
+                id: 'storyline-kc-current',
+                questionType: isMulti ? extractor.QUESTION_TYPES.multipleResponse : extractor.QUESTION_TYPES.multipleChoice,
+                question: question,
+                choices: choices,
+                feedback: '',
+                slide: title,
+                source: 'storyline-accessible'
+            });
+        }
+
+        if (content.slides.length === 0 && content.knowledgeChecks.length === 0) return null;
+        return extractor.addPlainText(content);
+    }
+
+    extractor.extractStoryline = extractStoryline;
+    extractor.extractStorylineData = extractStorylineData;
+    extractor.registerAdapter({
+        name: 'Storyline',
+        extract: extractStoryline,
+        extractAsync: async (doc) => {
+            try {
+                const content = await extractStorylineData(doc);
+                if (content) return content;
+            } catch (e) {
+                console.log('Celigo U Scraper: Storyline data files unavailable:', e.message);
+            }
+            return extractStoryline(doc);
+        }
+    });
+})();
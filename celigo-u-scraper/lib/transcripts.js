@@ -0,0 +1,105 @@
+/**
+ * Celigo U Scraper - Video Transcripts
+ * Walkthrough videos carry the lesson's narration in their caption tracks.
+ * Extraction lists each video's tracks (video.tracks); this pass fetches the
+ * preferred track's WebVTT file from inside the frame and attaches it as
+ * video.transcript with timestamped segments. Runs after every extraction
+ * path, so Rise course data and DOM scraping get the same result.
+ * Requires lib/extractor.js; adds celigoUExtractor.attachTranscripts() / parseVtt()
+ */
+
+(function() {
+    'use strict';
+
+    const extractor = window.celigoUExtractor;
+    if (!extractor || extractor.attachTranscripts) return;
+
+    // Character references allowed in WebVTT cue text
+    const VTT_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': ' ', '&lrm;': '', '&rlm;': '' };
+
+    /**
+     * Parse a WebVTT file into [{ start, end, text }] (seconds)
+     * Voice/class/timestamp tags are dropped; repeated lines from rolling
+     * captions are merged into one segment.
+     */
+    function parseVtt(text) {
+        const segments = [];
+
+        text.replace(/\r\n?/g, '\n').split(/\n{2,}/).forEach(cue => {
+            const lines = cue.split('\n');
+            // Header, NOTE, STYLE and REGION blocks have no timing line
+            const timing = lines.findIndex(line => line.includes('-->'));
+            if (timing === -1) return;
+
+            const [start, end] = lines[timing].split('-->').map(part => extractor.parseTimestamp(part.trim().split(/\s+/)[0]));
+            const body = lines.slice(timing + 1).join(' ')
+                .replace(/<[^>]*>/g, '')
+                .replace(/&(amp|lt|gt|nbsp|lrm|rlm);/g, entity => VTT_ENTITIES[entity])
+                .replace(/\s+/g, ' ')
+                .trim();
+            if (!body) return;
+
+            const last = segments[segments.length - 1];
+            if (last && last.text === body) {
+                last.end = end;
+                return;
+            }
+            segments.push({ start, end, text: body });
+        });
+
+        return segments;
+    }
+
+    /**
+     * Track to transcribe: default captions first, then English, then whatever there is
+     */
+    function pickTrack(tracks) {
+        const rank = (track) => (track.kind === 'captions' ? 2 : 0) +
+                                (track.isDefault ? 4 : 0) +
+                                (/^en\b/i.test(track.language) ? 1 : 0);
+        return tracks.slice().sort((a, b) => rank(b) - rank(a))[0];
+    }
+
+    /**
+     * Fetch captions for every video that lists tracks and has no transcript yet
+     * @param {Object} content - Extraction result (modified in place)
+     * @returns {Promise<Object>} The same content object
+     */
+    async function attachTranscripts(content) {
+        let attached = 0;
+
+        for (const video of content.videos || []) {
+            if (video.transcript || !video.tracks?.length) continue;
+
+            const track = pickTrack(video.tracks);
+            try {
+                const response = await fetch(track.src, { credentials: 'include' });
+                if (!response.ok) {
+                    throw new Error(`${response.status} fetching ${track.src}`);
+                }
+
+                const segments = parseVtt(await response.text());
+                if (segments.length > 0) {
+                    video.transcript = extractor.createTranscript(segments, {
+                        language: track.language,
+                        label: track.label,
+                        origin: 'captions'
+                    });
+                    // plainText was filled at extraction, before the narration was known
+                    video.plainText = extractor.plainTextOf(video);
+                    attached++;
+                }
+            } catch (e) {
+                console.log(`Celigo U Scraper: Captions unavailable for ${video.id}:`, e.message);
+            }
+        }
+
+        if (attached > 0) {
+            console.log(`Celigo U Scraper: Attached ${attached} video transcripts`);
+        }
+        return content;
+    }
+
+    extractor.parseVtt = parseVtt;
+    extractor.attachTranscripts = attachTranscripts;
+})();
@@ -6,120 +6,42 @@
 
 const VERSION = '1.0.13';
 
-// UI elements to exclude from scraping (navigation buttons, markers, etc.)
-const EXCLUDE_LABELS = [
-    'close modal',
-    'previous',
-    'next',
-    'back',
-    'submit',
-    'continue',
-    'skip',
-    'menu',
-    'not viewed',
-    'marker,',
-    'information, not viewed'
-];
-
-// False positive knowledge check patterns (system messages, not actual quiz questions)
-const FALSE_POSITIVE_KC = [
-    'you are offline',
-    'trying to reconnect',
-    'loading',
-    'please wait',
-    'error occurred',
-    'begin by',
-    'select either option'
-];
-
-// Function to check if a label should be excluded
-function shouldExcludeLabel(label) {
-    if (!label) return true;
-    const lowerLabel = label.toLowerCase().trim();
-    // Exclude if too short or matches exclusion patterns
-    if (lowerLabel.length < 5) return true;
-    return EXCLUDE_LABELS.some(ex => lowerLabel.includes(ex) || lowerLabel === ex);
-}
-
-// Function to parse a label into title and description
-function parseLabel(label) {
-    if (!label) return { title: '', description: '' };
-
-    // Common patterns where title runs into description:
-    // "StatusThis shows whether..." -> "Status" | "This shows whether..."
-    // "Enable userYou can turn off..." -> "Enable user" | "You can turn off..."
-    // "Require MFAThe first time..." -> "Require MFA" | "The first time..."
-    // "ActionsSelecting the ellipsis..." -> "Actions" | "Selecting the ellipsis..."
-
-    // Pattern 1: Title (possibly with spaces/uppercase words) followed by sentence starter
-    // This catches: "Require MFAThe first..." or "Enable userYou can..."
-    const sentenceStartMatch = label.match(/^(.+?)((?:The|This|You|When|If|A |An |It |Select|In |On |Use|Click|Choosing|Enabling|Disabling|What|Where|How|Why|Which|MFA |Note:|Tip:|Generally|Additional)[^]*)/);
-    if (sentenceStartMatch && sentenceStartMatch[1].length <= 50) {
-        let title = sentenceStartMatch[1].trim();
-        let description = sentenceStartMatch[2].trim();
-
-        // Clean up title if it ends with partial word that belongs to description
-        // e.g., "Require MFAThe" -> check if description starts reasonably
-        if (description.match(/^[a-z]/)) {
-            // Description starts lowercase, title might have grabbed too much
-            const reparse = title.match(/^(.+?)([A-Z][a-z].*)$/);
-            if (reparse) {
-                title = reparse[1].trim();
-                description = reparse[2] + description;
-            }
-        }
-
-        return { title, description };
-    }
-
-    // Pattern 2: Simple boundary - word(s) ending in lowercase, then uppercase starts description
-    const boundaryMatch = label.match(/^([A-Z][a-zA-Z\s]{1,40}?)([A-Z][a-z].*)/);
-    if (boundaryMatch) {
-        return {
-            title: boundaryMatch[1].trim(),
-            description: boundaryMatch[2].trim()
-        };
-    }
-
-    // Pattern 3: Colon or dash separator
-    const separatorMatch = label.match(/^([^:–—-]{3,40})(?:\s*[:–—-]\s*)(.+)/);
-    if (separatorMatch) {
-        return {
-            title: separatorMatch[1].trim(),
-            description: separatorMatch[2].trim()
-        };
-    }
-
-    // If no pattern found, return full text as description
-    return {
-        title: '',
-        description: label.trim()
-    };
-}
-
-// Generate content hash for deduplication
-function generateContentHash(item) {
-    if (!item) return '';
-
-    // For hotspots, hash based on the actual point content
-    if (item.points && Array.isArray(item.points)) {
-        const pointContent = item.points
-            .map(p => p.title || p.description || p.label || '')
-            .filter(s => s.length > 0)
-            .join('|');
-        return pointContent.substring(0, 200);
-    }
-
-    // For other items, use their primary content
-    const content = item.content || item.question || item.title || item.description || item.label || '';
-    return content.substring(0, 200);
-}
+// Search result passage types (content keys, plus video transcripts)
+const SEARCH_TYPE_LABELS = {
+    flipCards: 'Flip card',
+    hotspots: 'Hotspot',
+    knowledgeChecks: 'Knowledge check',
+    accordions: 'Accordion',
+    tabs: 'Tab',
+    process: 'Process step',
+    timeline: 'Timeline',
+    labeledGraphic: 'Labeled graphic',
+    sorting: 'Sorting activity',
+    scenario: 'Scenario',
+    textBlocks: 'Text',
+    lists: 'List',
+    tables: 'Table',
+    images: 'Image',
+    slides: 'Slide',
+    transcripts: 'Transcript'
+};
 
 class CeligoUScraper {
     constructor() {
         this.currentData = null;
+        this.crawlRunning = false;
+        this.pageReady = false;
+        this.jobs = [];
+        this.libraryLessons = [];
+        this.libraryLesson = null;
+        this.searchResults = [];
+        this.searchQuery = '';
+        this.searchTimer = null;
+        this.preloadProgress = new Map();
+        this.settings = {};
         this.initElements();
         this.initEventListeners();
+        this.loadSettings();
         this.checkPageStatus();
     }
 
@@ -128,26 +50,140 @@ class CeligoUScraper {
             pageStatus: document.getElementById('page-status'),
             courseName: document.getElementById('course-name'),
             lessonName: document.getElementById('lesson-name'),
+            blocksLoaded: document.getElementById('blocks-loaded'),
             scrapeBtn: document.getElementById('scrape-btn'),
+            courseBtn: document.getElementById('course-btn'),
+            pathBtn: document.getElementById('path-btn'),
+            jobs: document.getElementById('jobs'),
+            jobList: document.getElementById('job-list'),
             copyBtn: document.getElementById('copy-btn'),
+            discoverAnswers: document.getElementById('discover-answers'),
+            captureAssets: document.getElementById('capture-assets'),
+            maxAssetMb: document.getElementById('max-asset-mb'),
+            assetExport: document.getElementById('asset-export'),
+            exportFormat: document.getElementById('export-format'),
             loading: document.getElementById('loading'),
+            loadingText: document.getElementById('loading-text'),
             resultsList: document.getElementById('results-list'),
             totalCount: document.getElementById('total-count'),
             messageArea: document.getElementById('message-area'),
             jsonOutput: document.getElementById('json-output'),
             summaryTab: document.getElementById('summary-tab'),
             jsonTab: document.getElementById('json-tab'),
+            libraryTab: document.getElementById('library-tab'),
+            libraryList: document.getElementById('library-list'),
+            libraryCount: document.getElementById('library-count'),
+            cleanupBtn: document.getElementById('cleanup-btn'),
+            backupBtn: document.getElementById('backup-btn'),
+            searchTab: document.getElementById('search-tab'),
+            searchInput: document.getElementById('search-input'),
+            searchList: document.getElementById('search-list'),
+            searchCount: document.getElementById('search-count'),
             tabs: document.querySelectorAll('.tab')
         };
     }
 
     initEventListeners() {
         this.elements.scrapeBtn.addEventListener('click', () => this.scrapeContent());
+        this.elements.courseBtn.addEventListener('click', () => this.sendJobAction('scrapeCourse'));
+        this.elements.pathBtn.addEventListener('click', () => this.sendJobAction('crawlPath'));
+        this.elements.jobList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const jobId = Number(button.dataset.id);
+            if (button.dataset.action === 'openJob') {
+                this.openJob(jobId);
+            } else {
+                this.sendJobAction(button.dataset.action, jobId);
+            }
+        });
+        this.elements.libraryList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) this.libraryAction(button.dataset.action, button.dataset.id);
+        });
+        this.elements.cleanupBtn.addEventListener('click', () => this.pruneLibrary());
+        // Export and import run in their own tab (file dialogs close the popup)
+        this.elements.backupBtn.addEventListener('click', () => chrome.tabs.create({ url: chrome.runtime.getURL('backup.html') }));
+        this.elements.searchInput.addEventListener('input', () => {
+            // Search once typing pauses
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.searchLibrary(this.elements.searchInput.value), 250);
+        });
+        this.elements.searchList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) this.searchAction(button.dataset.action, Number(button.dataset.id));
+        });
         this.elements.copyBtn.addEventListener('click', () => this.copyToClipboard());
+        this.elements.discoverAnswers.addEventListener('change', (e) => this.saveSettings({ discoverAnswers: e.target.checked }));
+        this.elements.captureAssets.addEventListener('change', (e) => this.saveSettings({ captureAssets: e.target.checked }));
+        this.elements.maxAssetMb.addEventListener('change', (e) => this.saveMaxAssetSize(e.target.value));
+        this.elements.assetExport.addEventListener('change', (e) => this.saveSettings({ assetExport: e.target.value }));
+        this.elements.exportFormat.addEventListener('change', (e) => this.saveSettings({ exportFormat: e.target.value }));
         
         this.elements.tabs.forEach(tab => {
             tab.addEventListener('click', (e) => this.switchTab(e.target.dataset.tab));
         });
+
+        // Block counts reported by lib/preload.js while it scrolls each frame
+        chrome.runtime.onMessage.addListener((message) => {
+            if (message.action === 'preloadProgress') {
+                this.preloadProgress.set(message.frameUrl, message.blocks);
+                this.updateBlocksLoaded();
+            }
+        });
+
+        // Crawl queue status from the background worker: the job list now and after every change
+        this.jobPort = chrome.runtime.connect({ name: 'job-status' });
+        this.jobPort.onMessage.addListener((message) => {
+            if (message.action === 'jobStatus') {
+                this.renderJobs(message.jobs);
+            }
+        });
+    }
+
+    updateBlocksLoaded() {
+        const total = Array.from(this.preloadProgress.values()).reduce((a, b) => a + b, 0);
+        this.elements.blocksLoaded.textContent = total > 0 ? `${total}` : '—';
+        this.elements.loadingText.textContent = `Loading lesson blocks... ${total} loaded`;
+    }
+
+    async loadSettings() {
+        try {
+            const storage = await chrome.storage.local.get(['settings']);
+            this.settings = storage.settings || {};
+            this.elements.discoverAnswers.checked = !!this.settings.discoverAnswers;
+            this.elements.captureAssets.checked = !!this.settings.captureAssets;
+            this.showMaxAssetSize();
+            this.elements.assetExport.value = this.settings.assetExport || 'bundle';
+            this.elements.exportFormat.value = this.exportFormat().key;
+        } catch (error) {
+            console.error('Settings load error:', error);
+        }
+    }
+
+    async saveSettings(changes) {
+        this.settings = { ...this.settings, ...changes };
+        try {
+            await chrome.storage.local.set({ settings: this.settings });
+        } catch (error) {
+            console.error('Settings save error:', error);
+        }
+    }
+
+    /**
+     * Per-image size cap for offline capture, in MB (stored as settings.maxAssetBytes)
+     */
+    showMaxAssetSize() {
+        const bytes = this.settings.maxAssetBytes ?? celigoUExtractor.DEFAULT_MAX_ASSET_BYTES;
+        this.elements.maxAssetMb.value = Math.round(bytes / (1024 * 1024) * 10) / 10;
+    }
+
+    saveMaxAssetSize(value) {
+        const megabytes = parseFloat(value);
+        if (megabytes > 0) {
+            this.saveSettings({ maxAssetBytes: Math.round(megabytes * 1024 * 1024) });
+        }
+        this.showMaxAssetSize();
     }
 
     async checkPageStatus() {
@@ -168,7 +204,7 @@ class CeligoUScraper {
                     this.setPageStatus('Ready', 'success');
                     this.elements.courseName.textContent = response.data.course || '—';
                     this.elements.lessonName.textContent = response.data.lesson || '—';
-                    this.elements.scrapeBtn.disabled = false;
+                    this.enableScraping();
                     return;
                 }
             } catch (e) {
@@ -178,7 +214,7 @@ class CeligoUScraper {
 
             // Content scripts not responding, but we can still scrape via direct injection
             this.setPageStatus('Ready (direct mode)', 'success');
-            this.elements.scrapeBtn.disabled = false;
+            this.enableScraping();
 
         } catch (error) {
             console.error('Status check error:', error);
@@ -187,6 +223,17 @@ class CeligoUScraper {
         }
     }
 
+    /**
+     * Page is scrapeable: crawls can always be queued, single-page scrapes wait
+     * while a crawl is driving a tab
+     */
+    enableScraping() {
+        this.pageReady = true;
+        this.elements.scrapeBtn.disabled = this.crawlRunning;
+        this.elements.courseBtn.disabled = false;
+        this.elements.pathBtn.disabled = false;
+    }
+
     setPageStatus(text, type = 'normal') {
         this.elements.pageStatus.textContent = text;
         this.elements.pageStatus.className = 'status-value';
@@ -195,8 +242,18 @@ class CeligoUScraper {
         }
     }
 
-    showMessage(text, type = 'info') {
-        this.elements.messageArea.innerHTML = `<div class="message ${type}">${text}</div>`;
+    /**
+     * Status line, with an optional second line of details; both are shown as
+     * plain text, as they can carry lesson titles and errors from scraped pages
+     */
+    showMessage(text, type = 'info', details = '') {
+        const message = document.createElement('div');
+        message.className = `message ${type}`;
+        message.textContent = text;
+        if (details) {
+            message.append(document.createElement('br'), details);
+        }
+        this.elements.messageArea.replaceChildren(message);
     }
 
     clearMessage() {
@@ -211,624 +268,16 @@ class CeligoUScraper {
         try {
             const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
-            // Method 1: Try direct message to content scripts
-            let mainResponse = null;
-            let iframeResponse = null;
-
-            try {
-                mainResponse = await chrome.tabs.sendMessage(tab.id, { action: 'scrapeMainPage' });
-            } catch (e) {
-                console.log('Main page scrape note:', e.message);
-            }
-
-            try {
-                iframeResponse = await chrome.tabs.sendMessage(tab.id, { action: 'scrapeIframe' });
-            } catch (e) {
-                console.log('Iframe scrape note:', e.message);
-            }
-
-            // Method 2: Try executing script directly in all frames via background
-            let allFramesResponse = null;
-            try {
-                allFramesResponse = await chrome.runtime.sendMessage({ action: 'executeInAllFrames' });
-            } catch (e) {
-                console.log('All frames execution note:', e.message);
-            }
-
-            // Method 2.5: Extract metadata from MAIN FRAME ONLY (Skilljar page)
-            let mainFrameMetadata = null;
-            try {
-                const metadataResults = await chrome.scripting.executeScript({
-                    target: { tabId: tab.id, allFrames: false },
-                    func: () => {
-                        const metadata = {
-                            url: window.location.href,
-                            course: '',
-                            lesson: '',
-                            path: ''
-                        };
-
-                        // Try Skilljar-specific selectors (training.celigo.com uses Skilljar)
-                        // Course title - try multiple selectors
-                        const courseSelectors = [
-                            '.course-title',
-                            '.course-header h1',
-                            '[class*="course-name"]',
-                            '.path-title',
-                            '#course-title',
-                            'h1.title'
-                        ];
-                        for (const sel of courseSelectors) {
-                            const el = document.querySelector(sel);
-                            if (el && el.textContent.trim()) {
-                                metadata.course = el.textContent.trim();
-                                break;
-                            }
-                        }
-
-                        // Lesson title - try multiple selectors
-                        const lessonSelectors = [
-                            '.lesson-top h2',
-                            '#lesson-main h2',
-                            '.lesson-title',
-                            '[class*="lesson-name"]',
-                            '.lesson-header h2',
-                            '.content-title',
-                            'h2.title'
-                        ];
-                        for (const sel of lessonSelectors) {
-                            const el = document.querySelector(sel);
-                            if (el && el.textContent.trim()) {
-                                metadata.lesson = el.textContent.trim();
-                                break;
-                            }
-                        }
-
-                        // Try breadcrumbs
-                        const breadcrumbs = document.querySelectorAll('.breadcrumb a, .breadcrumbs a, [class*="breadcrumb"] a');
-                        if (breadcrumbs.length > 0) {
-                            const crumbs = Array.from(breadcrumbs).map(a => a.textContent.trim()).filter(t => t.length > 0);
-                            if (crumbs.length >= 1 && !metadata.course) {
-                                metadata.course = crumbs[crumbs.length - 1] || '';
-                            }
-                            if (crumbs.length >= 2) {
-                                metadata.path = crumbs.slice(0, -1).join(' > ');
-                            }
-                        }
-
-                        // Try page title as fallback
-                        if (!metadata.lesson || !metadata.course) {
-                            const pageTitle = document.title;
-                            if (pageTitle) {
-                                // Common patterns: "Lesson Name | Course Name | Site"
-                                const parts = pageTitle.split('|').map(p => p.trim());
-                                if (!metadata.lesson && parts.length >= 1) {
-                                    metadata.lesson = parts[0] || '';
-                                }
-                                if (!metadata.course && parts.length >= 2) {
-                                    metadata.course = parts[1] || '';
-                                }
-                            }
-                        }
-
-                        // Try curriculum list for current lesson
-                        const currentLesson = document.querySelector('.lesson-active .title, [aria-current="page"] .title, .current-lesson, .lesson.active .title');
-                        if (currentLesson && !metadata.lesson) {
-                            metadata.lesson = currentLesson.textContent.trim();
-                        }
-
-                        // Extract from URL path as last resort
-                        // URL pattern: /path/course-name/lesson-name/id/scorm/id
-                        if (!metadata.course || !metadata.lesson) {
-                            const urlPath = window.location.pathname;
-                            const pathParts = urlPath.split('/').filter(p => p.length > 0);
-                            // Look for readable names (not IDs)
-                            const readableParts = pathParts.filter(p => !(/^\d+$/.test(p) || /^[a-z0-9]{10,}$/i.test(p)));
-                            if (readableParts.length >= 2 && !metadata.course) {
-                                // Convert kebab-case to Title Case
-                                metadata.course = readableParts[readableParts.length - 2]
-                                    .split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
-                            }
-                            if (readableParts.length >= 1 && !metadata.lesson) {
-                                metadata.lesson = readableParts[readableParts.length - 1]
-                                    .split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
-                            }
-                        }
-
-                        return metadata;
-                    }
-                });
-
-                if (metadataResults && metadataResults[0] && metadataResults[0].result) {
-                    mainFrameMetadata = metadataResults[0].result;
+            // Preload lazy blocks, run every extraction method and merge (lib/scrape.js)
+            this.preloadProgress.clear();
+            this.currentData = await celigoUExtractor.scrapeTab(tab.id, {
+                settings: this.settings,
+                onStage: (text) => { this.elements.loadingText.textContent = text; },
+                onPreload: (frames) => {
+                    frames.forEach(frame => this.preloadProgress.set(frame.frameUrl, frame.blocks));
+                    this.updateBlocksLoaded();
                 }
-            } catch (e) {
-                console.log('Main frame metadata extraction note:', e.message);
-            }
-
-            // Method 3: Try direct script injection
-            let injectedResponse = null;
-            try {
-                const injectionResults = await chrome.scripting.executeScript({
-                    target: { tabId: tab.id, allFrames: true },
-                    func: () => {
-                        // === INLINE HELPER FUNCTIONS ===
-                        // (duplicated here because injected scripts can't access outer scope)
-
-                        const EXCLUDE_LABELS = [
-                            'close modal', 'previous', 'next', 'back', 'submit',
-                            'continue', 'skip', 'menu', 'not viewed', 'marker,',
-                            'information, not viewed'
-                        ];
-
-                        function shouldExcludeLabel(label) {
-                            if (!label) return true;
-                            const lowerLabel = label.toLowerCase().trim();
-                            if (lowerLabel.length < 5) return true;
-                            return EXCLUDE_LABELS.some(ex => lowerLabel.includes(ex) || lowerLabel === ex);
-                        }
-
-                        function parseLabel(label) {
-                            if (!label) return { title: '', description: '' };
-
-                            // Pattern 1: Title followed by sentence starter
-                            const sentenceStartMatch = label.match(/^(.+?)((?:The|This|You|When|If|A |An |It |Select|In |On |Use|Click|Choosing|Enabling|Disabling|What|Where|How|Why|Which|MFA |Note:|Tip:|Generally|Additional)[^]*)/);
-                            if (sentenceStartMatch && sentenceStartMatch[1].length <= 50) {
-                                let title = sentenceStartMatch[1].trim();
-                                let description = sentenceStartMatch[2].trim();
-
-                                // Clean up if description starts lowercase
-                                if (description.match(/^[a-z]/)) {
-                                    const reparse = title.match(/^(.+?)([A-Z][a-z].*)$/);
-                                    if (reparse) {
-                                        title = reparse[1].trim();
-                                        description = reparse[2] + description;
-                                    }
-                                }
-                                return { title, description };
-                            }
-
-                            // Pattern 2: Simple boundary
-                            const boundaryMatch = label.match(/^([A-Z][a-zA-Z\s]{1,40}?)([A-Z][a-z].*)/);
-                            if (boundaryMatch) {
-                                return { title: boundaryMatch[1].trim(), description: boundaryMatch[2].trim() };
-                            }
-
-                            // Pattern 3: Colon/dash separator
-                            const separatorMatch = label.match(/^([^:–—-]{3,40})(?:\s*[:–—-]\s*)(.+)/);
-                            if (separatorMatch) {
-                                return { title: separatorMatch[1].trim(), description: separatorMatch[2].trim() };
-                            }
-
-                            return { title: '', description: label.trim() };
-                        }
-
-                        // False positive knowledge check patterns
-                        const FALSE_POSITIVE_KC = [
-                            'you are offline', 'trying to reconnect', 'loading',
-                            'please wait', 'error occurred', 'begin by', 'select either option'
-                        ];
-
-                        function isFalsePositiveKC(question) {
-                            if (!question) return true;
-                            const lower = question.toLowerCase();
-                            return FALSE_POSITIVE_KC.some(fp => lower.includes(fp));
-                        }
-
-                        // === EXTRACTION LOGIC ===
-                        const content = {
-                            flipCards: [],
-                            hotspots: [],
-                            knowledgeChecks: [],
-                            accordions: [],
-                            tabs: [],
-                            textBlocks: [],
-                            lists: [],
-                            tables: [],
-                            images: [],
-                            _debug: {
-                                frameUrl: window.location.href,
-                                flashcardElements: document.querySelectorAll('[class*="flashcard"]').length,
-                                blockFlashcards: document.querySelectorAll('.block-flashcards').length,
-                                liFlashcard: document.querySelectorAll('li.flashcard').length,
-                                frViewP: document.querySelectorAll('.fr-view p').length,
-                                // Detailed flashcard debug
-                                flashcardDetails: Array.from(document.querySelectorAll('li.flashcard')).map((card, i) => {
-                                    const frontSide = card.querySelector('[class*="--front"]');
-                                    const backSide = card.querySelector('[class*="--back"]');
-                                    return {
-                                        index: i,
-                                        cardClasses: card.className,
-                                        hasFrontSide: !!frontSide,
-                                        hasBackSide: !!backSide,
-                                        frontSideClasses: frontSide?.className || 'N/A',
-                                        backSideClasses: backSide?.className || 'N/A',
-                                        frontFrViewP: frontSide?.querySelector('.fr-view p')?.textContent?.substring(0, 50) || 'NOT FOUND',
-                                        backFrViewP: backSide?.querySelector('.fr-view p')?.textContent?.substring(0, 50) || 'NOT FOUND',
-                                        frontAllP: frontSide?.querySelectorAll('p').length || 0,
-                                        backAllP: backSide?.querySelectorAll('p').length || 0,
-                                        cardInnerHTML: card.innerHTML.substring(0, 500)
-                                    };
-                                })
-                            }
-                        };
-
-                        // Extract metadata from page
-                        const metadata = {
-                            course: '',
-                            lesson: '',
-                            path: ''
-                        };
-
-                        // Try to get course/lesson from breadcrumbs or page structure
-                        const breadcrumbs = document.querySelectorAll('.breadcrumb a, .breadcrumbs a, nav a');
-                        if (breadcrumbs.length > 0) {
-                            const crumbs = Array.from(breadcrumbs).map(a => a.textContent.trim());
-                            if (crumbs.length >= 2) {
-                                metadata.path = crumbs[0] || '';
-                                metadata.course = crumbs[crumbs.length - 2] || '';
-                            }
-                        }
-
-                        // Try to get lesson name from h1
-                        const h1 = document.querySelector('h1');
-                        if (h1) {
-                            const h1Text = h1.textContent.trim();
-                            // Remove duration if present (e.g., "Account Settings 0 hr 20 min")
-                            metadata.lesson = h1Text.replace(/\s*\d+\s*hr\s*\d*\s*min\s*$/i, '').trim();
-                        }
-
-                        // Try Skilljar-specific selectors
-                        const courseTitle = document.querySelector('.course-title, [class*="course-name"], .lesson-title');
-                        if (courseTitle && !metadata.course) {
-                            metadata.course = courseTitle.textContent.trim();
-                        }
-
-                        // Store metadata in content for later retrieval
-                        content.metadata = metadata;
-
-                        // Get all text content (NO TRUNCATION)
-                        document.querySelectorAll('h1, h2, h3, h4, p').forEach((el, i) => {
-                            const text = el.textContent.trim();
-                            if (text && text.length > 10) {
-                                content.textBlocks.push({
-                                    id: `injected-text-${i}`,
-                                    tagName: el.tagName,
-                                    content: text  // Full text, no truncation
-                                });
-                            }
-                        });
-
-                        // Get images
-                        document.querySelectorAll('img').forEach((img, i) => {
-                            const src = img.src || img.getAttribute('data-src') || '';
-                            const alt = img.alt || '';
-                            // Use naturalWidth/Height if available, otherwise fall back to attributes
-                            const width = img.naturalWidth || img.width || parseInt(img.getAttribute('width')) || 0;
-                            const height = img.naturalHeight || img.height || parseInt(img.getAttribute('height')) || 0;
-                            // Skip tiny images (icons, spacers), data URIs, and tracking pixels
-                            // Also include images with no dimensions if they have a valid src (may not be loaded yet)
-                            const hasValidSrc = src && !src.startsWith('data:') && !src.includes('tracking') && !src.includes('pixel');
-                            const hasValidSize = (width > 50 && height > 50) || (width === 0 && height === 0);
-                            if (hasValidSrc && hasValidSize) {
-                                content.images.push({
-                                    id: `injected-img-${i}`,
-                                    src: src,
-                                    alt: alt,
-                                    width: width,
-                                    height: height
-                                });
-                            }
-                        });
-
-                        // Get labeled graphic content with filtering and parsing
-                        document.querySelectorAll('[class*="labeled-graphic"]').forEach((lg, i) => {
-                            const items = [];
-                            let pointIndex = 0;
-
-                            lg.querySelectorAll('[class*="item"], button, [role="button"]').forEach((item) => {
-                                const rawLabel = item.getAttribute('aria-label') || item.textContent.trim();
-
-                                // Skip UI buttons and navigation elements
-                                if (shouldExcludeLabel(rawLabel)) return;
-
-                                // Parse label into title and description
-                                const parsed = parseLabel(rawLabel);
-
-                                items.push({
-                                    index: pointIndex++,
-                                    title: parsed.title,
-                                    description: parsed.description,
-                                    rawLabel: rawLabel  // Keep original for reference
-                                });
-                            });
-
-                            if (items.length > 0) {
-                                content.hotspots.push({
-                                    id: `injected-lg-${i}`,
-                                    points: items
-                                });
-                            }
-                        });
-
-                        // Get accordions
-                        document.querySelectorAll('[class*="accordion"], .accordion').forEach((acc, i) => {
-                            const panels = [];
-                            acc.querySelectorAll('[class*="accordion-item"], [class*="panel"], details').forEach((panel, j) => {
-                                const header = panel.querySelector('[class*="header"], summary, button')?.textContent.trim();
-                                const body = panel.querySelector('[class*="body"], [class*="content"], .panel-body')?.textContent.trim();
-                                if (header || body) {
-                                    panels.push({
-                                        index: j,
-                                        title: header || '',
-                                        content: body || ''
-                                    });
-                                }
-                            });
-                            if (panels.length > 0) {
-                                content.accordions.push({
-                                    id: `injected-acc-${i}`,
-                                    panels: panels
-                                });
-                            }
-                        });
-
-                        // Get flip cards - Rise 360 uses specific class patterns
-                        // Selector 1: Common flip card patterns
-                        document.querySelectorAll('[class*="flip-card"], .flip-card, [class*="flashcard"], [class*="blocks-flip"], .blocks-flip-card, [class*="FlipCard"]').forEach((card, i) => {
-                            let front = card.querySelector('[class*="flip-card__front"], [class*="front"], .front, [class*="face-front"]')?.textContent.trim();
-                            let back = card.querySelector('[class*="flip-card__back"], [class*="back"], .back, [class*="face-back"]')?.textContent.trim();
-
-                            if (!front && !back) {
-                                const faces = card.querySelectorAll('[class*="face"], [class*="side"]');
-                                if (faces.length >= 2) {
-                                    front = faces[0]?.textContent.trim();
-                                    back = faces[1]?.textContent.trim();
-                                }
-                            }
-
-                            if (!front) front = card.getAttribute('aria-label') || '';
-
-                            if (front || back) {
-                                content.flipCards.push({
-                                    id: `injected-fc-${i}`,
-                                    front: front || '',
-                                    back: back || ''
-                                });
-                            }
-                        });
-
-                        // Selector 2: Rise 360 flashcard blocks (fr-flashcard pattern)
-                        document.querySelectorAll('[class*="fr-flashcard"], [class*="flashcard-block"], [data-block-type*="flash"]').forEach((card, i) => {
-                            const front = card.querySelector('[class*="term"], [class*="front"], [class*="question"]')?.textContent.trim();
-                            const back = card.querySelector('[class*="definition"], [class*="back"], [class*="answer"]')?.textContent.trim();
-                            if ((front || back) && !content.flipCards.some(fc => fc.front === front && fc.back === back)) {
-                                content.flipCards.push({
-                                    id: `injected-fc-fr-${i}`,
-                                    front: front || '',
-                                    back: back || ''
-                                });
-                            }
-                        });
-
-                        // Selector 3: Button-based flip cards (Rise 360 interactive)
-                        document.querySelectorAll('button[class*="card"], [role="button"][class*="card"]').forEach((btn, i) => {
-                            const parent = btn.closest('[class*="flip"], [class*="flash"], [class*="card-container"]');
-                            if (parent) {
-                                const allText = parent.querySelectorAll('p, span, div');
-                                const texts = Array.from(allText).map(el => el.textContent.trim()).filter(t => t.length > 5);
-                                if (texts.length >= 2) {
-                                    const front = texts[0];
-                                    const back = texts.slice(1).join(' ');
-                                    if (!content.flipCards.some(fc => fc.front === front)) {
-                                        content.flipCards.push({
-                                            id: `injected-fc-btn-${i}`,
-                                            front: front,
-                                            back: back
-                                        });
-                                    }
-                                }
-                            }
-                        });
-
-                        // Selector 4: Rise 360 blocks with specific structure (term/definition pairs)
-                        document.querySelectorAll('[class*="blocks-flashcard"], [class*="block-flashcard"]').forEach((block, i) => {
-                            const cards = block.querySelectorAll('[class*="card"]');
-                            cards.forEach((card, j) => {
-                                const texts = Array.from(card.querySelectorAll('p, h2, h3, h4, span')).map(el => el.textContent.trim()).filter(t => t.length > 3);
-                                if (texts.length >= 1) {
-                                    const front = texts[0];
-                                    const back = texts.length > 1 ? texts.slice(1).join(' ') : '';
-                                    if (!content.flipCards.some(fc => fc.front === front)) {
-                                        content.flipCards.push({
-                                            id: `injected-fc-block-${i}-${j}`,
-                                            front: front,
-                                            back: back
-                                        });
-                                    }
-                                }
-                            });
-                        });
-
-                        // Selector 5: Rise 360 block-flashcards (standard Rise 360 structure)
-                        // Structure: .block-flashcards > ol > li.flashcard > .flashcard-side--front/.flashcard-side--back
-                        document.querySelectorAll('.block-flashcards, [class*="block-flashcards"]').forEach((container, i) => {
-                            container.querySelectorAll('li.flashcard, [class*="flashcard"][role="listitem"]').forEach((card, j) => {
-                                // Try multiple selector patterns for front/back
-                                const frontEl = card.querySelector('[class*="--front"] .fr-view p') ||
-                                                card.querySelector('[class*="--front"] p') ||
-                                                card.querySelector('.flashcard-side--front .fr-view p');
-                                const backEl = card.querySelector('[class*="--back"] .fr-view p') ||
-                                               card.querySelector('[class*="--back"] p') ||
-                                               card.querySelector('.flashcard-side--back .fr-view p');
-                                const front = frontEl?.textContent.trim() || '';
-                                const back = backEl?.textContent.trim() || '';
-                                if (front && !content.flipCards.some(fc => fc.front === front)) {
-                                    content.flipCards.push({
-                                        id: `injected-fc-rise360-${i}-${j}`,
-                                        front: front,
-                                        back: back
-                                    });
-                                }
-                            });
-                        });
-
-                        // Selector 6: Fallback - find any li.flashcard even without container
-                        document.querySelectorAll('li.flashcard').forEach((card, i) => {
-                            // Get all .fr-view p elements inside the card
-                            const allP = card.querySelectorAll('.fr-view p');
-                            if (allP.length >= 2) {
-                                // First two p elements are likely front and back
-                                const front = allP[0]?.textContent.trim() || '';
-                                const back = allP[1]?.textContent.trim() || '';
-                                if (front && !content.flipCards.some(fc => fc.front === front)) {
-                                    content.flipCards.push({
-                                        id: `injected-fc-li-${i}`,
-                                        front: front,
-                                        back: back
-                                    });
-                                }
-                            } else {
-                                // Try class-based selectors
-                                const frontEl = card.querySelector('[class*="--front"] .fr-view p, [class*="--front"] p');
-                                const backEl = card.querySelector('[class*="--back"] .fr-view p, [class*="--back"] p');
-                                const front = frontEl?.textContent.trim() || '';
-                                const back = backEl?.textContent.trim() || '';
-                                if (front && !content.flipCards.some(fc => fc.front === front)) {
-                                    content.flipCards.push({
-                                        id: `injected-fc-li-${i}`,
-                                        front: front,
-                                        back: back
-                                    });
-                                }
-                            }
-                        });
-
-                        // Selector 7: Most aggressive - any element with flashcard in class
-                        document.querySelectorAll('[class*="flashcard"]').forEach((el, i) => {
-                            // Look for front/back sides within this element
-                            const frontSide = el.querySelector('[class*="--front"] .fr-view p, [class*="--front"] p');
-                            const backSide = el.querySelector('[class*="--back"] .fr-view p, [class*="--back"] p');
-                            if (frontSide && backSide) {
-                                const front = frontSide.textContent.trim();
-                                const back = backSide.textContent.trim();
-                                if (front && !content.flipCards.some(fc => fc.front === front)) {
-                                    content.flipCards.push({
-                                        id: `injected-fc-any-${i}`,
-                                        front: front,
-                                        back: back
-                                    });
-                                }
-                            }
-                        });
-
-                        // Selector 8: Look for .fr-view p pairs near "flip card" text
-                        const allFrViewP = document.querySelectorAll('.fr-view p');
-                        const frTexts = Array.from(allFrViewP).map(p => p.textContent.trim()).filter(t => t.length > 0 && t.length < 200);
-                        // Look for short text pairs that could be flashcard front/back
-                        for (let i = 0; i < frTexts.length - 1; i++) {
-                            const text = frTexts[i];
-                            const nextText = frTexts[i + 1];
-                            // If both are short (likely term/definition) and not already captured
-                            if (text.length < 50 && nextText.length < 150 &&
-                                !content.textBlocks.some(tb => tb.content === text) === false) {
-                                // Check if this looks like a term (short, no period at end)
-                                if (!text.endsWith('.') && !text.endsWith('?') && !text.endsWith(':')) {
-                                    // Could be a flashcard - but only add if we have NO flashcards yet
-                                    // This is very aggressive, only use as last resort
-                                }
-                            }
-                        }
-
-                        // Get tables
-                        document.querySelectorAll('table').forEach((table, i) => {
-                            const headers = Array.from(table.querySelectorAll('th')).map(th => th.textContent.trim());
-                            const rows = Array.from(table.querySelectorAll('tbody tr')).map(tr =>
-                                Array.from(tr.querySelectorAll('td')).map(td => td.textContent.trim())
-                            );
-                            if (headers.length > 0 || rows.length > 0) {
-                                content.tables.push({ id: `injected-table-${i}`, headers, rows });
-                            }
-                        });
-
-                        // Get lists (only filter navigation-specific items, keep most content)
-                        document.querySelectorAll('ul, ol').forEach((list, i) => {
-                            const items = Array.from(list.querySelectorAll(':scope > li'))
-                                .map(li => li.textContent.trim())
-                                .filter(text => {
-                                    if (text.length < 3) return false;
-                                    // Only filter exact matches for nav items, not content that contains these words
-                                    const lowerText = text.toLowerCase();
-                                    const navOnly = ['previous', 'next', 'close modal', 'skip', 'menu'];
-                                    return !navOnly.some(nav => lowerText === nav);
-                                });
-                            if (items.length > 0) {
-                                content.lists.push({ id: `injected-list-${i}`, items });
-                            }
-                        });
-
-                        // Get knowledge checks / quiz questions
-                        document.querySelectorAll('[class*="knowledge"], [class*="quiz"], [class*="question"], [class*="assessment"]').forEach((q, i) => {
-                            const questionText = q.querySelector('h2, h3, h4, p, [class*="question-text"]')?.textContent.trim();
-
-                            // Skip false positive knowledge checks (system messages, instructions)
-                            if (!questionText || questionText.length < 10 || isFalsePositiveKC(questionText)) {
-                                return;
-                            }
-
-                            const choices = Array.from(q.querySelectorAll('[class*="choice"], [class*="option"], [class*="answer"], li, label'))
-                                .map(c => c.textContent.trim())
-                                .filter(t => t.length > 0 && !shouldExcludeLabel(t));
-
-                            // Try to find correct answer indicator
-                            const correctChoice = q.querySelector('[class*="correct"], [aria-checked="true"], .selected');
-                            const correctAnswer = correctChoice ? correctChoice.textContent.trim() : '';
-
-                            // Try to find feedback
-                            const feedback = q.querySelector('[class*="feedback"], [class*="explanation"]')?.textContent.trim();
-
-                            content.knowledgeChecks.push({
-                                id: `injected-kc-${i}`,
-                                question: questionText,
-                                choices: choices,
-                                correctAnswer: correctAnswer,
-                                feedback: feedback || ''
-                            });
-                        });
-
-                        return content;
-                    }
-                });
-
-                // Aggregate injection results
-                injectedResponse = {
-                    success: true,
-                    data: { content: {}, _debugFrames: [] }
-                };
-
-                injectionResults.forEach(result => {
-                    if (result.result) {
-                        Object.keys(result.result).forEach(key => {
-                            if (key === '_debug') {
-                                // Collect debug info from each frame
-                                injectedResponse.data._debugFrames.push(result.result._debug);
-                                return;
-                            }
-                            if (!injectedResponse.data.content[key]) {
-                                injectedResponse.data.content[key] = [];
-                            }
-                            if (Array.isArray(result.result[key])) {
-                                injectedResponse.data.content[key].push(...result.result[key]);
-                            }
-                        });
-                    }
-                });
-            } catch (e) {
-                console.log('Script injection note:', e.message);
-            }
-
-            // Combine all results
-            this.currentData = this.combineResults(mainResponse, iframeResponse, allFramesResponse, injectedResponse, mainFrameMetadata);
+            });
 
             // Update UI
             this.displayResults(this.currentData);
@@ -845,10 +294,15 @@ class CeligoUScraper {
             }
 
             const totalItems = this.currentData.statistics.totalItems;
+            const totalBlocks = Array.from(this.preloadProgress.values()).reduce((a, b) => a + b, 0);
+            const savedImages = new Set(Object.values(this.currentData.assets)).size;
             if (totalItems > 0) {
-                this.showMessage(`Content extracted successfully! Found ${totalItems} items.`, 'success');
+                const blocksNote = totalBlocks > 0 ? ` from ${totalBlocks} lesson blocks` : '';
+                const assetsNote = savedImages > 0 ? ` Saved ${savedImages} images for offline use.` : '';
+                this.showMessage(`Content extracted successfully! Found ${totalItems} items${blocksNote}.${assetsNote}`, 'success');
+                this.saveToLibrary(this.currentData);
             } else {
-                this.showMessage('No interactive content found. Try scrolling through the lesson first to load all content.', 'info');
+                this.showMessage('No interactive content found. Wait for the lesson to finish loading and try again.', 'info');
             }
 
         } catch (error) {
@@ -860,190 +314,155 @@ class CeligoUScraper {
         }
     }
 
-    combineResults(...responses) {
-        const combined = {
-            metadata: {
-                scrapedAt: new Date().toISOString(),
-                url: '',
-                course: '',
-                lesson: '',
-                path: ''
-            },
-            content: {
-                flipCards: [],
-                hotspots: [],
-                knowledgeChecks: [],
-                accordions: [],
-                tabs: [],
-                images: [],
-                textBlocks: [],
-                lists: [],
-                tables: [],
-                videos: [],
-                rawText: ''
-            },
-            _debugFrames: [],
-            statistics: {}
-        };
-
-        // Merge all responses
-        responses.forEach(response => {
-            // Handle plain metadata object (from mainFrameMetadata)
-            if (response && !response.success && !response.data && (response.url || response.course || response.lesson)) {
-                Object.keys(response).forEach(key => {
-                    if (response[key] && !combined.metadata[key]) {
-                        combined.metadata[key] = response[key];
-                    }
-                });
-                return;
-            }
-
-            if (response && response.success && response.data) {
-                // Collect debug frames
-                if (response.data._debugFrames && Array.isArray(response.data._debugFrames)) {
-                    combined._debugFrames.push(...response.data._debugFrames);
-                }
-
-                // Merge metadata from response.data.metadata
-                if (response.data.metadata) {
-                    Object.keys(response.data.metadata).forEach(key => {
-                        if (response.data.metadata[key] && !combined.metadata[key]) {
-                            combined.metadata[key] = response.data.metadata[key];
-                        }
-                    });
-                }
-
-                // Merge content
-                if (response.data.content) {
-                    Object.keys(response.data.content).forEach(key => {
-                        // Skip metadata nested in content (we handle it separately)
-                        if (key === 'metadata') {
-                            // Extract metadata from content if present
-                            Object.keys(response.data.content.metadata).forEach(metaKey => {
-                                if (response.data.content.metadata[metaKey] && !combined.metadata[metaKey]) {
-                                    combined.metadata[metaKey] = response.data.content.metadata[metaKey];
-                                }
-                            });
-                            return;
-                        }
-
-                        if (Array.isArray(combined.content[key]) && Array.isArray(response.data.content[key])) {
-                            combined.content[key].push(...response.data.content[key]);
-                        } else if (response.data.content[key]) {
-                            combined.content[key] = response.data.content[key];
-                        }
-                    });
-                }
+    /**
+     * Queue or change a crawl job in the background worker:
+     * - 'scrapeCourse': every lesson of the course open in this tab
+     * - 'crawlPath': every course of the learning path page open in this tab
+     * - 'pauseJob' / 'resumeJob': stop after the current lesson / queue the pending lessons again
+     * - 'retryJob': queue the failed lessons again
+     * - 'removeJob': drop the job and its scraped content
+     * The job list re-renders from the job-status broadcast that follows.
+     */
+    async sendJobAction(action, jobId) {
+        this.clearMessage();
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            const response = await chrome.runtime.sendMessage({ action, jobId, tabId: tab.id });
+            if (!response || !response.success) {
+                this.showMessage(response?.error || 'The crawl could not be updated.', 'error');
             }
-        });
+        } catch (error) {
+            console.error('Crawl error:', error);
+            this.showMessage('The crawl could not be updated.', 'error');
+        }
+    }
 
-        // === IMPROVED DEDUPLICATION ===
-        Object.keys(combined.content).forEach(key => {
-            if (Array.isArray(combined.content[key])) {
-                const seen = new Set();
-                combined.content[key] = combined.content[key].filter(item => {
-                    // Generate a content-based hash for deduplication
-                    const hash = generateContentHash(item);
-                    if (!hash || hash.length < 5) return false; // Skip empty items
-                    if (seen.has(hash)) return false;
-                    seen.add(hash);
-                    return true;
-                });
+    /**
+     * Show a crawl's document in the Summary/JSON tabs
+     */
+    async openJob(jobId) {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getJob', jobId });
+            if (!response || !response.success || !response.data.document) {
+                this.showMessage(response?.error || 'The crawl has no results yet.', 'error');
+                return;
             }
-        });
 
-        // === ADDITIONAL CLEANUP ===
-
-        // Merge all hotspot points into a single deduplicated hotspot
-        const allHotspotPoints = [];
-        const seenPointHashes = new Set();
-        combined.content.hotspots.forEach(hotspot => {
-            if (hotspot.points && Array.isArray(hotspot.points)) {
-                hotspot.points.forEach(point => {
-                    // Create hash from meaningful content
-                    const meaningfulContent = (point.title || '') + '|' + (point.description || point.rawLabel || '').substring(0, 100);
-                    if (meaningfulContent.length > 5 && !seenPointHashes.has(meaningfulContent)) {
-                        seenPointHashes.add(meaningfulContent);
-                        allHotspotPoints.push({
-                            ...point,
-                            index: allHotspotPoints.length
-                        });
-                    }
-                });
+            const job = response.data;
+            this.currentData = job.document;
+            this.displayResults(this.currentData);
+            this.elements.copyBtn.disabled = false;
+            this.elements.courseName.textContent = job.title || '—';
+
+            const counts = job.counts;
+            // Path failures name the course; a course that failed as a whole has no lesson title
+            const failures = job.document.failures.map(failure => {
+                const name = [failure.course, failure.title].filter(part => part).join(': ');
+                return `${name || 'Untitled'} (${failure.error})`;
+            });
+            const failuresNote = failures.length > 0 ? `Failed: ${failures.join('; ')}` : '';
+            const summary = `${counts.scraped} of ${counts.lessons} lessons scraped, ${counts.skipped} skipped, ${counts.failed} failed`;
+            if (job.status === 'complete') {
+                this.showMessage(`${job.type === 'path' ? 'Learning path' : 'Course'} scraped: ${summary}.`, failures.length > 0 ? 'info' : 'success', failuresNote);
+            } else {
+                this.showMessage(`Partial results, ${counts.pending} lessons to go: ${summary}.`, 'info', failuresNote);
             }
-        });
-
-        // Replace hotspots array with single deduplicated hotspot
-        if (allHotspotPoints.length > 0) {
-            combined.content.hotspots = [{
-                id: 'hotspots-combined',
-                points: allHotspotPoints
-            }];
-        } else {
-            combined.content.hotspots = [];
+        } catch (error) {
+            console.error('Open job error:', error);
+            this.showMessage('Could not load the crawl results.', 'error');
         }
+    }
 
-        // Remove duplicate text blocks with same content
-        const textSeen = new Set();
-        combined.content.textBlocks = combined.content.textBlocks.filter(block => {
-            const contentHash = (block.content || '').substring(0, 100);
-            if (textSeen.has(contentHash)) return false;
-            textSeen.add(contentHash);
-            return true;
-        });
+    /**
+     * Job list with each job's progress and the actions its status allows;
+     * a job that finishes while the popup is open is shown right away
+     */
+    renderJobs(jobs) {
+        const finished = jobs.filter(job => job.status === 'complete' &&
+            this.jobs.some(previous => previous.id === job.id && previous.status === 'running'));
+        this.jobs = jobs;
+
+        this.crawlRunning = jobs.some(job => job.status === 'running' && !job.waitUntil);
+        this.elements.scrapeBtn.disabled = !this.pageReady || this.crawlRunning;
+
+        this.elements.jobs.classList.toggle('hidden', jobs.length === 0);
+        this.elements.jobList.replaceChildren(...jobs.map(job => {
+            const active = job.status === 'running' || job.status === 'queued';
+            const actions = [];
+            if (active) actions.push(['pauseJob', 'Pause']);
+            if (job.status === 'paused') actions.push(['resumeJob', 'Resume']);
+            if (!active && job.counts.failed + job.counts.failedCourses > 0) actions.push(['retryJob', 'Retry Failed']);
+            if (job.status !== 'running' && job.counts.scraped > 0) actions.push(['openJob', 'Open']);
+            if (job.status !== 'running') actions.push(['removeJob', 'Remove']);
+
+            return this.createListItem(
+                `${job.type === 'path' ? '🗺️' : '📚'} ${job.title || 'Untitled'}`,
+                this.describeJob(job),
+                job.id,
+                actions
+            );
+        }));
+
+        finished.forEach(job => this.openJob(job.id));
+    }
 
-        // Remove duplicate list items
-        const listSeen = new Set();
-        combined.content.lists = combined.content.lists.filter(list => {
-            const listHash = (list.items || []).join('|').substring(0, 150);
-            if (listSeen.has(listHash)) return false;
-            listSeen.add(listHash);
-            return true;
+    /**
+     * Job, library or search row: title and detail line over a row of action buttons
+     * @param {Array} actions - [action, label] pairs, rendered as buttons with data-action / data-id
+     */
+    createListItem(titleText, detailText, id, actions) {
+        const item = document.createElement('li');
+        item.className = 'list-entry';
+
+        const info = document.createElement('div');
+        info.className = 'entry-info';
+        const title = document.createElement('span');
+        title.className = 'type';
+        title.textContent = titleText;
+        const detail = document.createElement('span');
+        detail.className = 'count';
+        detail.textContent = detailText;
+        info.append(title, detail);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'entry-actions';
+        actions.forEach(([action, label]) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-secondary';
+            button.dataset.action = action;
+            button.dataset.id = id;
+            button.textContent = label;
+            buttons.append(button);
         });
 
-        // Remove false positive and duplicate knowledge checks
-        const kcSeen = new Set();
-        combined.content.knowledgeChecks = combined.content.knowledgeChecks.filter(kc => {
-            if (!kc.question || kc.question.length < 10) return false;
-            // Filter false positives
-            const lower = kc.question.toLowerCase();
-            if (FALSE_POSITIVE_KC.some(fp => lower.includes(fp))) return false;
-            // Deduplicate
-            const kcHash = kc.question.substring(0, 100);
-            if (kcSeen.has(kcHash)) return false;
-            kcSeen.add(kcHash);
-            return true;
-        });
+        item.append(info, buttons);
+        return item;
+    }
 
-        // Remove duplicate images by src
-        const imgSeen = new Set();
-        combined.content.images = combined.content.images.filter(img => {
-            if (!img.src) return false;
-            if (imgSeen.has(img.src)) return false;
-            imgSeen.add(img.src);
-            return true;
-        });
+    describeJob(job) {
+        const counts = job.counts;
+        switch (job.status) {
+            case 'queued':
+                return 'Queued';
+            case 'paused':
+                return job.error || `Paused - ${counts.pending} lessons to go`;
+            case 'complete':
+                return `${counts.scraped}/${counts.lessons} scraped, ${counts.skipped} skipped, ${counts.failed} failed`;
+        }
 
-        // Calculate statistics
-        combined.statistics = {
-            flipCards: combined.content.flipCards.length,
-            hotspots: combined.content.hotspots.length,
-            knowledgeChecks: combined.content.knowledgeChecks.length,
-            accordions: combined.content.accordions.length,
-            tabs: combined.content.tabs.length,
-            images: combined.content.images.length,
-            textBlocks: combined.content.textBlocks.length,
-            lists: combined.content.lists.length,
-            tables: combined.content.tables.length,
-            videos: combined.content.videos.length,
-            totalItems: 0
-        };
+        if (job.waitUntil) {
+            return `Retrying ${counts.retrying} lessons at ${new Date(job.waitUntil).toLocaleTimeString()}`;
+        }
 
-        combined.statistics.totalItems = Object.values(combined.statistics)
-            .filter(v => typeof v === 'number')
-            .reduce((a, b) => a + b, 0);
+        const current = job.current;
+        if (!current) return 'Starting...';
 
-        return combined;
+        const lesson = current.lesson > 0
+            ? `Lesson ${current.lesson} of ${current.lessonCount}: ${current.lessonTitle}`
+            : 'Listing lessons...';
+        return job.type === 'path'
+            ? `Course ${current.course} of ${counts.courses} - ${lesson}`
+            : lesson;
     }
 
     displayResults(data) {
@@ -1056,11 +475,17 @@ class CeligoUScraper {
         if (stats.knowledgeChecks > 0) items.push({ type: 'Knowledge Checks', count: stats.knowledgeChecks });
         if (stats.accordions > 0) items.push({ type: 'Accordions', count: stats.accordions });
         if (stats.tabs > 0) items.push({ type: 'Tab Sections', count: stats.tabs });
+        if (stats.process > 0) items.push({ type: 'Process Blocks', count: stats.process });
+        if (stats.timeline > 0) items.push({ type: 'Timelines', count: stats.timeline });
+        if (stats.labeledGraphic > 0) items.push({ type: 'Labeled Graphics', count: stats.labeledGraphic });
+        if (stats.sorting > 0) items.push({ type: 'Sorting Activities', count: stats.sorting });
+        if (stats.scenario > 0) items.push({ type: 'Scenarios', count: stats.scenario });
         if (stats.images > 0) items.push({ type: 'Images', count: stats.images });
         if (stats.textBlocks > 0) items.push({ type: 'Text Blocks', count: stats.textBlocks });
         if (stats.lists > 0) items.push({ type: 'Lists', count: stats.lists });
         if (stats.tables > 0) items.push({ type: 'Tables', count: stats.tables });
         if (stats.videos > 0) items.push({ type: 'Videos', count: stats.videos });
+        if (stats.slides > 0) items.push({ type: 'Storyline Slides', count: stats.slides });
 
         if (items.length === 0) {
             this.elements.resultsList.innerHTML = '<li><span class="type">No interactive content found</span></li>';
@@ -1076,6 +501,28 @@ class CeligoUScraper {
         this.elements.jsonOutput.textContent = JSON.stringify(data, null, 2);
     }
 
+    /**
+     * Export copy of the scraped data with captured images, per settings.assetExport (lib/assets.js)
+     */
+    buildExport(data) {
+        return celigoUExtractor.buildExport(data, this.settings.assetExport || 'bundle');
+    }
+
+    /**
+     * Export format per settings.exportFormat: { key, label, extension, mimeType } (lib/format.js)
+     */
+    exportFormat() {
+        const key = this.settings.exportFormat in celigoUExtractor.EXPORT_FORMATS ? this.settings.exportFormat : 'json';
+        return { key, ...celigoUExtractor.EXPORT_FORMATS[key] };
+    }
+
+    /**
+     * Export copy of the data in the chosen format
+     */
+    async exportText(data) {
+        return celigoUExtractor.formatExport(await this.buildExport(data), this.exportFormat().key);
+    }
+
     switchTab(tabName) {
         this.elements.tabs.forEach(tab => {
             tab.classList.toggle('active', tab.dataset.tab === tabName);
@@ -1083,6 +530,376 @@ class CeligoUScraper {
 
         this.elements.summaryTab.classList.toggle('hidden', tabName !== 'summary');
         this.elements.jsonTab.classList.toggle('hidden', tabName !== 'json');
+        this.elements.libraryTab.classList.toggle('hidden', tabName !== 'library');
+        this.elements.searchTab.classList.toggle('hidden', tabName !== 'search');
+
+        if (tabName === 'library') {
+            this.loadLibrary();
+        }
+        if (tabName === 'search') {
+            this.elements.searchInput.focus();
+        }
+    }
+
+    /**
+     * Keep a scrape in the background worker's library (a new version of the lesson when its content changed)
+     */
+    async saveToLibrary(data) {
+        try {
+            await chrome.runtime.sendMessage({ action: 'saveToLibrary', data });
+        } catch (error) {
+            console.error('Library save error:', error);
+        }
+    }
+
+    /**
+     * Stored lessons, pinned first, then most recently scraped
+     */
+    async loadLibrary() {
+        this.libraryLesson = null;
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getLibrary' });
+            const lessons = (response?.data?.lessons || []).slice()
+                .sort((a, b) => (b.pinned - a.pinned) || b.updatedAt.localeCompare(a.updatedAt));
+            this.libraryLessons = lessons;
+
+            this.showLibraryUsage(response?.data?.usage);
+            this.elements.cleanupBtn.disabled = !lessons.some(lesson => !lesson.pinned && lesson.versionCount > 1);
+            if (lessons.length === 0) {
+                const empty = document.createElement('li');
+                empty.innerHTML = '<span class="type">No saved scrapes yet</span>';
+                this.elements.libraryList.replaceChildren(empty);
+                return;
+            }
+
+            this.elements.libraryList.replaceChildren(...lessons.map(lesson => {
+                const actions = [
+                    ['openLesson', 'Open'],
+                    ['copyLesson', 'Copy'],
+                    ['downloadLesson', 'Export'],
+                    ['openCourse', 'Course']
+                ];
+                if (lesson.versionCount > 1) actions.push(['showVersions', 'Versions']);
+                actions.push(
+                    [lesson.pinned ? 'unpinLesson' : 'pinLesson', lesson.pinned ? 'Unpin' : 'Pin'],
+                    ['deleteLesson', 'Delete']
+                );
+
+                const item = this.createListItem(
+                    `${lesson.pinned ? '📌 ' : ''}${lesson.lesson || lesson.url || 'Untitled'}`,
+                    `${lesson.course || '—'} · ${new Date(lesson.updatedAt).toLocaleString()} · ${lesson.itemCount || 0} items` +
+                        (lesson.versionCount > 1 ? ` · ${lesson.versionCount} versions` : ''),
+                    lesson.key,
+                    actions
+                );
+                if (lesson.changes) item.querySelector('.entry-info').append(this.createChangeBadge(lesson));
+                return item;
+            }));
+        } catch (error) {
+            console.error('Library load error:', error);
+            this.showMessage('Could not load the library.', 'error');
+        }
+    }
+
+    /**
+     * "Changed since last scrape" badge of a library row; opens the changes page when the earlier version is still stored
+     */
+    createChangeBadge(lesson) {
+        const { added, removed, modified, since } = lesson.changes;
+        const badge = document.createElement('button');
+        badge.className = 'change-badge';
+        badge.textContent = 'Changed since last scrape';
+        badge.title = `${added} added, ${removed} removed, ${modified} modified since version ${since}`;
+        badge.dataset.action = 'showChanges';
+        badge.dataset.id = lesson.key;
+        badge.disabled = lesson.versionCount < 2;
+        return badge;
+    }
+
+    /**
+     * Earlier versions of one lesson, newest first, under a row leading back to the lesson list
+     */
+    async loadVersions(key) {
+        const response = await chrome.runtime.sendMessage({ action: 'getLibraryLesson', key });
+        if (!response || !response.success) {
+            this.showMessage(response?.error || 'Library lesson not found.', 'error');
+            return;
+        }
+        const lesson = response.data;
+        this.libraryLesson = key;
+
+        const back = this.createListItem(lesson.lesson || lesson.url || 'Untitled', `${lesson.versionCount} versions`, key, [['showLibrary', 'Back to Library']]);
+        this.elements.libraryList.replaceChildren(back, ...lesson.versions.map((version, i) => {
+            const actions = [
+                ['openLesson', 'Open'],
+                ['copyLesson', 'Copy'],
+                ['downloadLesson', 'Export']
+            ];
+            // Compared with the version scraped before it (next in the newest-first list)
+            if (i < lesson.versions.length - 1) actions.push(['compareVersion', 'Compare']);
+
+            return this.createListItem(
+                `Version ${version.version}${version.version === lesson.version ? ' (latest)' : ''}`,
+                `${new Date(version.scrapedAt).toLocaleString()} · ${version.itemCount || 0} items`,
+                version.version,
+                actions
+            );
+        }));
+    }
+
+    /**
+     * Lesson and version counts, and storage used of the quota when the browser reports it
+     */
+    showLibraryUsage(usage) {
+        if (!usage) return;
+        const megabytes = this.formatMegabytes;
+        const parts = [`${usage.lessons} lessons`, `${usage.versions} versions`];
+        if (usage.usage !== null) {
+            parts.push(usage.quota ? `${megabytes(usage.usage)} of ${megabytes(usage.quota)}` : megabytes(usage.usage));
+        }
+        this.elements.libraryCount.textContent = parts.join(' · ');
+    }
+
+    formatMegabytes(bytes) {
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    /**
+     * Images a delete or cleanup removed, for its message ('' when none)
+     */
+    describeFreedAssets(result) {
+        if (!result?.assetsRemoved) return '';
+        return `${result.assetsRemoved} unused images (${this.formatMegabytes(result.freedBytes)})`;
+    }
+
+    /**
+     * Delete old versions, keeping the latest of each unpinned lesson
+     */
+    async pruneLibrary() {
+        this.clearMessage();
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'pruneLibrary' });
+            if (!response || !response.success) {
+                this.showMessage(response?.error || 'Cleanup failed.', 'error');
+                return;
+            }
+            const images = this.describeFreedAssets(response.data);
+            this.showMessage(`Removed ${response.data.removed} old versions${images ? ` and ${images}` : ''}.`, 'success');
+            await this.loadLibrary();
+        } catch (error) {
+            console.error('Library cleanup error:', error);
+            this.showMessage('Cleanup failed.', 'error');
+        }
+    }
+
+    /**
+     * Library row actions: open in the Summary/JSON tabs, copy or export with
+     * the current format and image settings, open the course compendium, list
+     * versions, show what changed, pin/unpin, delete.
+     * In the version list, id is a version number of this.libraryLesson.
+     */
+    async libraryAction(action, id) {
+        this.clearMessage();
+        try {
+            if (action === 'showLibrary') {
+                await this.loadLibrary();
+                return;
+            }
+            if (action === 'showVersions') {
+                await this.loadVersions(id);
+                return;
+            }
+            if (action === 'showChanges') {
+                await this.openChanges(id);
+                return;
+            }
+            if (action === 'compareVersion') {
+                await this.openChanges(this.libraryLesson, Number(id));
+                return;
+            }
+            if (action === 'openCourse') {
+                await this.openCompendium(this.libraryLessons.find(item => item.key === id).courseKey);
+                return;
+            }
+            if (action === 'pinLesson' || action === 'unpinLesson') {
+                await chrome.runtime.sendMessage({ action: 'pinLibraryLesson', key: id, pinned: action === 'pinLesson' });
+                await this.loadLibrary();
+                return;
+            }
+            if (action === 'deleteLesson') {
+                const response = await chrome.runtime.sendMessage({ action: 'deleteLibraryLesson', key: id });
+                const images = this.describeFreedAssets(response?.data);
+                if (images) this.showMessage(`Lesson deleted, with ${images}.`, 'success');
+                await this.loadLibrary();
+                return;
+            }
+
+            const request = this.libraryLesson
+                ? { action: 'getLibraryLesson', key: this.libraryLesson, version: Number(id) }
+                : { action: 'getLibraryLesson', key: id };
+            const response = await chrome.runtime.sendMessage(request);
+            if (!response || !response.success) {
+                this.showMessage(response?.error || 'Library lesson not found.', 'error');
+                return;
+            }
+            const lesson = response.data;
+
+            if (action === 'openLesson') {
+                this.showLibraryLesson(lesson);
+            } else if (action === 'copyLesson') {
+                await navigator.clipboard.writeText(await this.exportText(lesson.data));
+                this.showMessage(`${this.exportFormat().label} copied to clipboard!`, 'success');
+            } else if (action === 'downloadLesson') {
+                await this.downloadExport(lesson.data, this.exportFileName(lesson));
+                this.showMessage(`${this.exportFormat().label} exported.`, 'success');
+            }
+        } catch (error) {
+            console.error('Library action error:', error);
+            this.showMessage('Library action failed.', 'error');
+        }
+    }
+
+    /**
+     * Show a library lesson (getLibraryLesson response data) in the Summary/JSON tabs
+     */
+    showLibraryLesson(lesson) {
+        this.currentData = lesson.data;
+        this.displayResults(this.currentData);
+        this.elements.copyBtn.disabled = false;
+        this.elements.courseName.textContent = lesson.course || '—';
+        this.elements.lessonName.textContent = lesson.lesson || '—';
+        this.switchTab('summary');
+        this.showMessage(`Opened version ${lesson.openedVersion}, scraped ${new Date(lesson.scrapedAt).toLocaleString()}.`, 'info');
+    }
+
+    /**
+     * Open a course's compendium page (compendium.html) in a new tab
+     */
+    async openCompendium(courseKey) {
+        await chrome.tabs.create({ url: chrome.runtime.getURL(`compendium.html?course=${encodeURIComponent(courseKey)}`) });
+    }
+
+    /**
+     * Open the changes page (changes.html) for a lesson: the given version, or
+     * the latest, side by side with the version scraped before it
+     */
+    async openChanges(key, version) {
+        const params = `key=${encodeURIComponent(key)}${version ? `&to=${version}` : ''}`;
+        await chrome.tabs.create({ url: chrome.runtime.getURL(`changes.html?${params}`) });
+    }
+
+    /**
+     * Search the library and list matching passages, best first
+     */
+    async searchLibrary(query) {
+        this.searchQuery = query;
+        this.clearMessage();
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'searchLibrary', query });
+            // A newer query was typed while this one ran
+            if (this.searchQuery !== query) return;
+            if (!response || !response.success) {
+                this.showMessage(response?.error || 'Search failed.', 'error');
+                return;
+            }
+
+            const { terms, total, results } = response.data;
+            this.searchResults = results;
+            this.elements.searchCount.textContent = total > results.length ? `${results.length} of ${total} matches` : `${total} matches`;
+
+            if (results.length === 0) {
+                const empty = document.createElement('li');
+                empty.innerHTML = `<span class="type">${terms.length > 0 ? 'No matches in saved lessons' : 'Type a word or phrase to search'}</span>`;
+                this.elements.searchList.replaceChildren(empty);
+                return;
+            }
+
+            this.elements.searchList.replaceChildren(...results.map((result, i) => {
+                const actions = [['openLesson', 'Open'], ['openCourse', 'Course']];
+                if (result.url) actions.push(['openLessonPage', 'Lesson Page']);
+                const item = this.createListItem(result.lesson || result.url || 'Untitled', result.course || '—', i, actions);
+
+                const snippet = document.createElement('div');
+                snippet.className = 'snippet';
+                const type = document.createElement('span');
+                type.className = 'snippet-type';
+                type.textContent = [SEARCH_TYPE_LABELS[result.type] || result.type, result.label].filter(part => part).join(': ');
+                snippet.append(type, this.highlightTerms(result.snippet, terms));
+                item.insertBefore(snippet, item.lastChild);
+                return item;
+            }));
+        } catch (error) {
+            console.error('Search error:', error);
+            this.showMessage('Search failed.', 'error');
+        }
+    }
+
+    /**
+     * Text with words starting with a query term wrapped in <mark>
+     */
+    highlightTerms(text, terms) {
+        const fragment = document.createDocumentFragment();
+        const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const pattern = new RegExp(`(${escaped.join('|')})`, 'gi');
+
+        text.split(pattern).forEach((part, i) => {
+            if (i % 2 === 1) {
+                const mark = document.createElement('mark');
+                mark.textContent = part;
+                fragment.append(mark);
+            } else if (part) {
+                fragment.append(part);
+            }
+        });
+        return fragment;
+    }
+
+    /**
+     * Search result actions: open the lesson's latest version, its course compendium, or the lesson on Celigo U
+     */
+    async searchAction(action, index) {
+        const result = this.searchResults[index];
+        if (!result) return;
+
+        try {
+            if (action === 'openLessonPage') {
+                await chrome.tabs.create({ url: result.url });
+            } else if (action === 'openCourse') {
+                await this.openCompendium(result.courseKey);
+            } else if (action === 'openLesson') {
+                const response = await chrome.runtime.sendMessage({ action: 'getLibraryLesson', key: result.key });
+                if (!response || !response.success) {
+                    this.showMessage(response?.error || 'Library lesson not found.', 'error');
+                    return;
+                }
+                this.showLibraryLesson(response.data);
+            }
+        } catch (error) {
+            console.error('Search action error:', error);
+            this.showMessage('Could not open the search result.', 'error');
+        }
+    }
+
+    /**
+     * celigo-u-<course>-<lesson>-<date>.<json|md|txt>
+     */
+    exportFileName(entry) {
+        const slug = (text) => (text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const parts = ['celigo-u', slug(entry.course), slug(entry.lesson), entry.scrapedAt.slice(0, 10)];
+        return `${parts.filter(part => part).join('-')}.${this.exportFormat().extension}`;
+    }
+
+    /**
+     * Save the export copy of the data (see exportText()) as a file
+     */
+    async downloadExport(data, fileName) {
+        const text = await this.exportText(data);
+        const url = URL.createObjectURL(new Blob([text], { type: this.exportFormat().mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
     async copyToClipboard() {
@@ -1092,9 +909,8 @@ class CeligoUScraper {
         }
 
         try {
-            const jsonStr = JSON.stringify(this.currentData, null, 2);
-            await navigator.clipboard.writeText(jsonStr);
-            this.showMessage('JSON copied to clipboard!', 'success');
+            await navigator.clipboard.writeText(await this.exportText(this.currentData));
+            this.showMessage(`${this.exportFormat().label} copied to clipboard!`, 'success');
             
             // Visual feedback
             const originalText = this.elements.copyBtn.innerHTML;
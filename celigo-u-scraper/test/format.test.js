@@ -0,0 +1,88 @@
+/**
+ * formatExport() (lib/format.js): Markdown and plain-text exports
+ * Run with: node --test test/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// lib files are browser scripts that attach to window.celigoUExtractor
+function loadExtractor(files) {
+    const context = { console };
+    context.window = context;
+    vm.createContext(context);
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+    return context.celigoUExtractor;
+}
+
+const extractor = loadExtractor(['lib/extractor.js', 'lib/format.js']);
+
+const lesson = {
+    metadata: { lesson: 'Flow basics', course: 'Integrator Fundamentals' },
+    content: {
+        outline: [
+            { type: 'section', heading: 'Flow steps', children: [
+                { type: 'block', items: [{ type: 'textBlocks', id: 'text-0' }, { type: 'tables', id: 'table-0' }] }
+            ] }
+        ],
+        textBlocks: [{ id: 'text-0', content: 'A flow moves **records** between apps.' }],
+        tables: [{ id: 'table-0', rows: [['Step', 'Role'], ['Export', 'Reads | fetches']] }],
+        knowledgeChecks: [{
+            id: 'kc-0',
+            question: 'Which step runs first?',
+            choices: [{ text: 'Export', isCorrect: true }, { text: 'Import', isCorrect: false }]
+        }]
+    }
+};
+
+test('Markdown follows the outline, then lists the items it leaves out by type', () => {
+    const markdown = extractor.formatExport(lesson, 'markdown');
+
+    assert.strictEqual(markdown, [
+        '# Flow basics',
+        '',
+        'Course: Integrator Fundamentals',
+        '',
+        '## Flow steps',
+        '',
+        'A flow moves **records** between apps.',
+        '',
+        '| Step | Role |',
+        '| --- | --- |',
+        '| Export | Reads \\| fetches |',
+        '',
+        `## ${extractor.CONTENT_TYPE_LABELS.knowledgeChecks}`,
+        '',
+        '**Which step runs first?**',
+        '- [x] Export',
+        '- [ ] Import',
+        ''
+    ].join('\n'));
+});
+
+test('plain text drops the Markdown and notes the course lessons not scraped', () => {
+    const course = {
+        type: 'course',
+        metadata: { course: 'Integrator Fundamentals' },
+        lessons: [
+            { index: 1, title: 'Flow basics', content: lesson.content },
+            { index: 2, title: 'Mappings', status: 'missing' }
+        ]
+    };
+    const text = extractor.formatExport(course, 'text');
+
+    assert.ok(text.startsWith('Integrator Fundamentals\n\n1. Flow basics\n\nFlow steps\n\nA flow moves records between apps.'));
+    assert.ok(text.includes('\n\n2. Mappings\n\nNot scraped (missing)\n'));
+    assert.ok(!/[#*]/.test(text));
+});
+
+test('JSON and unknown formats export the data as is', () => {
+    assert.strictEqual(extractor.formatExport(lesson), JSON.stringify(lesson, null, 2));
+    assert.strictEqual(extractor.formatExport(lesson, 'docx'), JSON.stringify(lesson, null, 2));
+});
@@ -0,0 +1,56 @@
+/**
+ * combineResults() (lib/scrape.js): merging the responses of the extraction methods
+ * Run with: node --test test/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// lib files are browser scripts that attach to window.celigoUExtractor
+function loadExtractor(files) {
+    const context = { console };
+    context.window = context;
+    vm.createContext(context);
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+    return context.celigoUExtractor;
+}
+
+const extractor = loadExtractor(['lib/extractor.js', 'lib/assets.js', 'lib/scrape.js']);
+
+function knowledgeCheck(discovered) {
+    return {
+        id: 'kc-0',
+        question: 'Which flow step runs first in an integration?',
+        questionType: 'multipleChoice',
+        choices: [
+            { text: 'Export', isCorrect: discovered, feedback: discovered ? 'Correct - exports read the source.' : '' },
+            { text: 'Import', isCorrect: false, feedback: discovered ? 'Imports write to the destination.' : '' }
+        ],
+        ...(discovered ? { answerDiscovery: 'discovered' } : {})
+    };
+}
+
+function response(content) {
+    return { success: true, data: { content } };
+}
+
+test('keeps the discovered answers of a knowledge check the plain extraction also found', () => {
+    const revealed = response({ knowledgeChecks: [knowledgeCheck(true)] });
+    const plain = response({ knowledgeChecks: [knowledgeCheck(false)] });
+
+    // scrapeTab() passes the reveal pass first; the discovered copy must win either way
+    [[null, revealed, plain, plain, null], [null, plain, plain, revealed, null]].forEach(responses => {
+        const combined = extractor.combineResults(...responses);
+
+        assert.strictEqual(combined.content.knowledgeChecks.length, 1);
+        const [kc] = combined.content.knowledgeChecks;
+        assert.strictEqual(kc.answerDiscovery, 'discovered');
+        assert.deepStrictEqual(kc.choices.map(choice => choice.isCorrect), [true, false]);
+    });
+});